@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// ts.js - 命令分发入口：ts <命令> [参数]，命令可以是内置命令、配置的别名、用户目录插件或 npm 插件包
+// 不带命令时显示 h 的命令列表
+
+import { resolveCommand, runCommand } from '../lib/commands.js';
+import { complete } from '../lib/completion.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('ts.usage');
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv[0] === '--help' || argv[0] === '-h') {
+    console.log(USAGE);
+    return;
+  }
+
+  // 补全脚本调用：ts __complete <已输入的单词...>，每行输出一个候选项
+  if (argv[0] === '__complete') {
+    const candidates = await complete(argv.slice(1));
+    if (candidates.length) console.log(candidates.join('\n'));
+    return;
+  }
+
+  const [name = 'h', ...rest] = argv;
+  const { command, args } = await resolveCommand(name, rest);
+  if (!command) {
+    console.error(t('ts.unknownCommand', { name }));
+    console.error(t('ts.listHint'));
+    process.exit(1);
+  }
+
+  await runCommand(command, args);
+}
+
+main().catch(err => {
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
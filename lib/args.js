@@ -0,0 +1,66 @@
+// args.js - 命令行参数解析：支持 --flag、--no-flag、--key value、--key=value、-k、-- 之后原样保留
+
+import { t } from './i18n.js';
+
+// 参数错误
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// 解析参数，返回 { _: 位置参数, flags: 选项, rest: -- 之后的参数 }
+// spec.boolean：布尔选项名；spec.string：带值的选项名；spec.alias：短选项到长选项的映射，如 { f: 'force' }
+export function parseArgs(argv, spec = {}) {
+  const booleans = new Set(spec.boolean || []);
+  const strings = new Set(spec.string || []);
+  const alias = spec.alias || {};
+  const result = { _: [], flags: {}, rest: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      result.rest = argv.slice(i + 1);
+      break;
+    }
+
+    let key = null;
+    let value;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      key = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      if (eq !== -1) value = arg.slice(eq + 1);
+    } else if (/^-[a-zA-Z]$/.test(arg)) {
+      key = alias[arg.slice(1)] || arg.slice(1);
+    } else {
+      result._.push(arg);
+      continue;
+    }
+
+    if (key.startsWith('no-') && booleans.has(key.slice(3))) {
+      result.flags[key.slice(3)] = false;
+    } else if (strings.has(key)) {
+      if (value === undefined) {
+        value = argv[i + 1];
+        if (value === undefined) throw new UsageError(t('args.missingValue', { option: `--${key}` }));
+        i++;
+      }
+      result.flags[key] = value;
+    } else if (booleans.has(key)) {
+      result.flags[key] = value === undefined ? true : value !== 'false';
+    } else {
+      throw new UsageError(t('args.unknownOption', { option: arg }));
+    }
+  }
+
+  return result;
+}
+
+// 打印错误原因和用法后退出（退出码 2 表示用法错误）
+export function exitWithUsage(usage, reason) {
+  if (reason) console.error(`❌ ${reason}\n`);
+  console.error(usage);
+  process.exit(2);
+}
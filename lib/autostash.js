@@ -0,0 +1,70 @@
+// autostash.js - ck 的分支自动 stash：离开分支时把未提交的更改 stash 起来并关联到该分支，切回该分支时由 ck 自动恢复
+// 关联关系保存在 <git 公共目录>/terminalscript/autostash.json：{ 分支名: { sha, time } }
+// stash 的编号（stash@{n}）会随新的 stash 变化，因此按 stash 提交的 sha 查找
+
+import fs from 'fs';
+import path from 'path';
+import { git, gitOutput, getStashList } from './git.js';
+
+// 自动 stash 的说明前缀，git stash list 中显示为 "On feature/a: ts-autostash: feature/a"
+export const AUTOSTASH_MESSAGE = 'ts-autostash';
+
+// 关联文件路径，不在 git 仓库时返回 null
+export function getAutostashPath() {
+  const dir = gitOutput(['rev-parse', '--git-common-dir']);
+  if (!dir) return null;
+  return path.join(path.resolve(dir), 'terminalscript', 'autostash.json');
+}
+
+// 读取关联关系，文件不存在或损坏时返回 {}
+function readAutostashes() {
+  const file = getAutostashPath();
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// 写入关联关系
+function writeAutostashes(data) {
+  const file = getAutostashPath();
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+// 把未提交的更改（包括未跟踪文件）stash 起来并关联到分支，返回 stash 提交的 sha，失败时返回 null
+// 分支已有关联的自动 stash 时覆盖关联（旧的 stash 仍保留在 git stash list 中）
+export function saveAutostash(branch) {
+  const result = git(['stash', 'push', '--include-untracked', '--message', `${AUTOSTASH_MESSAGE}: ${branch}`]);
+  if (result.status !== 0) return null;
+  const sha = gitOutput(['rev-parse', '--verify', '--quiet', 'refs/stash']);
+  if (!sha) return null;
+  const data = readAutostashes();
+  data[branch] = { sha, time: new Date().toISOString() };
+  writeAutostashes(data);
+  return sha;
+}
+
+// 取消分支与自动 stash 的关联（不删除 stash 本身）
+export function forgetAutostash(branch) {
+  const data = readAutostashes();
+  if (!(branch in data)) return;
+  delete data[branch];
+  writeAutostashes(data);
+}
+
+// 分支关联的自动 stash：{ ref, sha }，没有关联或 stash 已被删除时返回 null（并清除失效的关联）
+export function findAutostash(branch) {
+  const entry = readAutostashes()[branch];
+  if (!entry) return null;
+  const stash = getStashList().find(s => s.sha === entry.sha);
+  if (!stash) {
+    forgetAutostash(branch);
+    return null;
+  }
+  return { ref: stash.ref, sha: entry.sha };
+}
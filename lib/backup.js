@@ -0,0 +1,143 @@
+// backup.js - hard reset 前的自动备份：保存当时的 HEAD 和所有未提交的修改（包括未跟踪的文件），可列出并恢复
+// 备份保存为 refs/terminalscript/backups/<编号>，指向一个与 git stash -u 结构相同的提交：
+//   第一个父提交为当时的 HEAD，第二个父提交保存暂存区，第三个父提交（有未跟踪的文件时）保存未跟踪的文件（不含忽略的文件），
+//   提交本身的树为工作区中已跟踪的文件；未跟踪的文件单独保存，hard reset 后它们仍留在工作区，恢复时才能区分出来
+// 提交说明为 "ts-backup: <分支>: <原因>"，只保留最近 MAX_BACKUPS 个
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { git, gitOutput, resolveRef, getCurrentBranch } from './git.js';
+
+export const BACKUP_REF_PREFIX = 'refs/terminalscript/backups/';
+const MESSAGE_PREFIX = 'ts-backup';
+const MAX_BACKUPS = 20;
+
+const SEP = '\x1f';
+
+// 执行 git，失败时抛出（带上 git 的错误输出）
+function gitOrThrow(args, options = {}) {
+  const result = git(args, options);
+  if (result.status !== 0) throw new Error(result.stderr || `git ${args.join(' ')} failed`);
+  return result.stdout;
+}
+
+// 在临时索引中执行 fn(options)，不影响真正的暂存区；copyIndex 为 true 时临时索引从当前暂存区复制，否则为空
+function withTempIndex(root, copyIndex, fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminalscript-backup-'));
+  const tmpIndex = path.join(tmpDir, 'index');
+  try {
+    const index = path.resolve(gitOutput(['rev-parse', '--git-path', 'index']));
+    if (copyIndex && fs.existsSync(index)) fs.copyFileSync(index, tmpIndex);
+    return fn({ cwd: root, env: { ...process.env, GIT_INDEX_FILE: tmpIndex } });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// 把工作区中已跟踪的文件（包括修改和删除）写成树
+function writeWorktreeTree(root) {
+  return withTempIndex(root, true, options => {
+    gitOrThrow(['add', '--update', '--', '.'], options);
+    return gitOrThrow(['write-tree'], options);
+  });
+}
+
+// 把未跟踪的文件（不含忽略的文件）写成树，没有未跟踪的文件时返回 null
+function writeUntrackedTree(root) {
+  const files = git(['ls-files', '--others', '--exclude-standard', '-z'], { cwd: root }).stdout;
+  if (!files) return null;
+  return withTempIndex(root, false, options => {
+    gitOrThrow(['update-index', '--add', '-z', '--stdin'], { ...options, input: files });
+    return gitOrThrow(['write-tree'], options);
+  });
+}
+
+// 获取所有备份（最新的在前）：[{ id, ref, sha, head, branch, reason, time, date, untracked, hasChanges }]
+// untracked 为保存未跟踪文件的提交（没有时为 null），hasChanges 表示备份中是否有未提交的修改（工作区或暂存区与当时的 HEAD 不同，或有未跟踪的文件）
+export function getBackups() {
+  const format = ['%(refname)', '%(objectname)', '%(tree)', '%(parent)', '%(subject)', '%(creatordate:relative)', '%(creatordate:iso-strict)'].join('%1f');
+  const output = gitOutput(['for-each-ref', `--format=${format}`, BACKUP_REF_PREFIX]);
+  if (!output) return [];
+  return output.split('\n').map(line => {
+    const [ref, sha, tree, parents, subject, time, date] = line.split(SEP);
+    const [head, indexCommit, untrackedCommit = null] = parents.split(' ');
+    const [, branch = '', reason = ''] = subject.match(/^ts-backup: ([^:]*): (.*)$/) || [];
+    const headTree = gitOutput(['rev-parse', `${head}^{tree}`]);
+    const indexTree = gitOutput(['rev-parse', `${indexCommit}^{tree}`]);
+    return {
+      id: Number(ref.slice(BACKUP_REF_PREFIX.length)),
+      ref,
+      sha,
+      head,
+      branch: branch || null,
+      reason,
+      time,
+      date,
+      untracked: untrackedCommit,
+      hasChanges: tree !== headTree || indexTree !== headTree || Boolean(untrackedCommit)
+    };
+  }).sort((a, b) => b.id - a.id);
+}
+
+// 按编号查找备份，不存在时返回 null
+function findBackup(id) {
+  return getBackups().find(backup => backup.id === Number(id)) || null;
+}
+
+// 创建备份，reason 为备份原因（如 "res --hard HEAD~1"），返回备份信息；还没有提交时返回 null，失败时抛出
+// 超出上限时删除最旧的备份
+export function createBackup(reason) {
+  const head = resolveRef('HEAD');
+  if (!head) return null;
+  const root = gitOutput(['rev-parse', '--show-toplevel']);
+  const branch = getCurrentBranch() || 'HEAD';
+  const message = `${MESSAGE_PREFIX}: ${branch}: ${reason}`;
+
+  // 有未解决的冲突时暂存区无法写成树，改为保存 HEAD 的树
+  const indexTree = gitOutput(['write-tree']) || gitOrThrow(['rev-parse', 'HEAD^{tree}']);
+  const indexCommit = gitOrThrow(['commit-tree', indexTree, '-p', head, '-m', `index on ${message}`]);
+  const untrackedTree = writeUntrackedTree(root);
+  const parents = ['-p', head, '-p', indexCommit];
+  if (untrackedTree) parents.push('-p', gitOrThrow(['commit-tree', untrackedTree, '-m', `untracked files on ${message}`]));
+  const worktreeCommit = gitOrThrow(['commit-tree', writeWorktreeTree(root), ...parents, '-m', message]);
+
+  const backups = getBackups();
+  const id = backups.length ? backups[0].id + 1 : 1;
+  gitOrThrow(['update-ref', `${BACKUP_REF_PREFIX}${id}`, worktreeCommit]);
+  backups.slice(MAX_BACKUPS - 1).forEach(old => git(['update-ref', '-d', old.ref]));
+  return findBackup(id);
+}
+
+// 删除备份
+export function deleteBackup(backup) {
+  return git(['update-ref', '-d', backup.ref]).status === 0;
+}
+
+// 备份中的未跟踪文件在工作区中已存在的情况：{ same, different }，路径相对于仓库根目录
+// same 为内容相同的文件，different 为内容不同的文件（恢复会覆盖它们）；当前已跟踪的文件会被 hard reset 处理，不计入
+export function getUntrackedCollisions(backup) {
+  const result = { same: [], different: [] };
+  if (!backup.untracked) return result;
+  const root = gitOutput(['rev-parse', '--show-toplevel']);
+  const tracked = new Set(git(['ls-files', '-z'], { cwd: root }).stdout.split('\0'));
+  const entries = git(['ls-tree', '-r', '-z', backup.untracked], { cwd: root }).stdout.split('\0').filter(Boolean);
+  for (const entry of entries) {
+    const [info, file] = entry.split('\t');
+    const full = path.join(root, file);
+    if (tracked.has(file) || !fs.existsSync(full)) continue;
+    const same = gitOutput(['hash-object', '--', full]) === info.split(' ')[2];
+    result[same ? 'same' : 'different'].push(file);
+  }
+  return result;
+}
+
+// 把备份中未提交的修改恢复到工作区和暂存区（HEAD 应该已经是备份时的 HEAD），返回 { status, stderr }
+// git stash apply 不会覆盖已存在的未跟踪文件：hard reset 后仍留在工作区、内容与备份相同的文件先删除，再由备份恢复
+export function applyBackup(backup) {
+  const root = gitOutput(['rev-parse', '--show-toplevel']);
+  getUntrackedCollisions(backup).same.forEach(file => fs.rmSync(path.join(root, file), { force: true }));
+  // 先尝试同时恢复暂存区，失败时只恢复工作区
+  const applied = git(['stash', 'apply', '--index', backup.sha]);
+  return applied.status === 0 ? applied : git(['stash', 'apply', backup.sha]);
+}
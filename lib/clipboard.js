@@ -0,0 +1,28 @@
+// clipboard.js - 写入系统剪贴板：macOS 使用 pbcopy，Windows 使用 clip，Linux 使用 xclip / xsel
+
+import { spawnSync } from 'child_process';
+
+// 把文本写入剪贴板，返回是否成功
+export function copyToClipboardSync(text) {
+  const platform = process.platform;
+  try {
+    if (platform === 'darwin') {
+      // macOS 使用 pbcopy
+      spawnSync('pbcopy', { input: text });
+      return true;
+    } else if (platform === 'win32') {
+      // Windows 使用 clip
+      spawnSync('clip', { input: text });
+      return true;
+    } else {
+      // Linux 常见工具 xclip/xsel
+      const tryXclip = spawnSync('xclip', ['-selection', 'clipboard'], { input: text });
+      if (tryXclip.status === 0) return true;
+      const tryXsel = spawnSync('xsel', ['--clipboard', '--input'], { input: text });
+      if (tryXsel.status === 0) return true;
+      return false;
+    }
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,237 @@
+// commands.js - 命令发现：内置命令（scripts/*.js）、用户目录插件、npm 插件包（terminalscript-plugin-*）
+//
+// 插件是一个 ES 模块，默认导出：
+//   export default {
+//     name: 'deploy',                       // 命令名（省略时使用文件名 / 包名去掉前缀）
+//     description: '部署到测试环境',           // h 中显示的说明
+//     aliases: ['dp'],                      // 可选，别名
+//     flags: ['--env <name>', '--dry-run'], // 可选，支持的选项（用于帮助和补全）
+//     run(args) { ... }                     // 执行入口，args 为命令名之后的参数，可返回 Promise
+//   };
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getConfig, getAliases } from './config.js';
+import { t, hasMessage } from './i18n.js';
+
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SCRIPTS_DIR = path.join(PACKAGE_ROOT, 'scripts');
+
+// npm 插件包名前缀（也支持 @scope/terminalscript-plugin-*）
+export const PLUGIN_PREFIX = 'terminalscript-plugin-';
+
+// 用户插件目录（配置项 plugins.dir，默认 ~/.terminalscript/commands）
+export function getPluginDir() {
+  return getConfig('plugins.dir') || path.join(os.homedir(), '.terminalscript', 'commands');
+}
+
+// 内置命令：scripts 目录下的 .js 文件，说明来自消息目录中的 h.desc.<命令名>
+export function getBuiltinCommands() {
+  return fs.readdirSync(SCRIPTS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const name = file.replace(/\.js$/, '');
+      const key = `h.desc.${name}`;
+      return {
+        name,
+        description: hasMessage(key) ? t(key) : null,
+        aliases: [],
+        flags: [],
+        source: 'builtin',
+        file: path.join(SCRIPTS_DIR, file)
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// 插件元数据缓存：{ 插件文件: { mtimeMs, size, meta, error } }
+// 列出命令时（h、补全的每次按键）文件未变化的插件直接使用缓存的元数据，不执行插件代码；运行插件命令时才导入模块
+function getCacheFile() {
+  return path.join(os.homedir(), '.terminalscript', 'plugin-cache.json');
+}
+
+// 读取缓存，文件不存在或损坏时返回 {}
+function readCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getCacheFile(), 'utf8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// 写入缓存，失败时忽略（下次重新导入插件）
+function writeCache(data) {
+  try {
+    fs.mkdirSync(path.dirname(getCacheFile()), { recursive: true });
+    fs.writeFileSync(getCacheFile(), JSON.stringify(data, null, 2) + '\n');
+  } catch (e) {
+    // 缓存只是加速，写不进去不影响使用
+  }
+}
+
+// 导入插件模块并检查导出：{ plugin } 或 { error }，error 为 { key, params }（消息目录中的警告）
+async function importPlugin(file) {
+  let mod;
+  try {
+    mod = await import(pathToFileURL(file).href);
+  } catch (e) {
+    return { error: { key: 'commands.loadFailed', params: { file, reason: e.message } } };
+  }
+  const plugin = mod.default;
+  if (!plugin || typeof plugin.run !== 'function') {
+    return { error: { key: 'commands.invalidPlugin', params: { file } } };
+  }
+  return { plugin };
+}
+
+// 插件的元数据（不含 run）：文件未变化时取自缓存 cache.old，否则导入插件；结果记入 cache.next
+// 格式不对或加载失败时打印警告并返回 null
+async function loadPlugin(file, defaultName, source, cache) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    console.error(t('commands.loadFailed', { file, reason: e.message }));
+    return null;
+  }
+  let entry = cache.old[file];
+  if (!entry || entry.mtimeMs !== stat.mtimeMs || entry.size !== stat.size) {
+    const { plugin, error } = await importPlugin(file);
+    entry = {
+      mtimeMs: stat.mtimeMs,
+      size: stat.size,
+      meta: plugin ? {
+        name: plugin.name || defaultName,
+        description: plugin.description || null,
+        aliases: Array.isArray(plugin.aliases) ? plugin.aliases : [],
+        flags: Array.isArray(plugin.flags) ? plugin.flags : []
+      } : null,
+      error: error || null
+    };
+  }
+  cache.next[file] = entry;
+  if (entry.error) {
+    console.error(t(entry.error.key, entry.error.params));
+    return null;
+  }
+  return { ...entry.meta, source, file };
+}
+
+// 用户目录中的插件：<插件目录>/*.js、*.mjs
+async function getUserPlugins(cache) {
+  const dir = getPluginDir();
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir).filter(file => /\.m?js$/.test(file)).sort();
+  const plugins = [];
+  for (const file of files) {
+    const plugin = await loadPlugin(path.join(dir, file), file.replace(/\.m?js$/, ''), 'user', cache);
+    if (plugin) plugins.push(plugin);
+  }
+  return plugins;
+}
+
+// 查找 npm 插件包的 node_modules 目录：本包自己的依赖目录，以及本包所在的目录（全局安装时与插件包并列）
+function getNodeModulesDirs() {
+  const dirs = [path.join(PACKAGE_ROOT, 'node_modules')];
+  let parent = path.dirname(PACKAGE_ROOT);
+  if (path.basename(parent).startsWith('@')) parent = path.dirname(parent);
+  if (path.basename(parent) === 'node_modules') dirs.push(parent);
+  return dirs.filter(dir => fs.existsSync(dir));
+}
+
+// 列出 node_modules 中名称带插件前缀的包目录：[{ name, dir }]
+function findPluginPackages(nodeModules) {
+  const packages = [];
+  for (const entry of fs.readdirSync(nodeModules)) {
+    if (entry.startsWith(PLUGIN_PREFIX)) {
+      packages.push({ name: entry, dir: path.join(nodeModules, entry) });
+    } else if (entry.startsWith('@')) {
+      const scopeDir = path.join(nodeModules, entry);
+      for (const sub of fs.readdirSync(scopeDir)) {
+        if (sub.startsWith(PLUGIN_PREFIX)) packages.push({ name: `${entry}/${sub}`, dir: path.join(scopeDir, sub) });
+      }
+    }
+  }
+  return packages;
+}
+
+// npm 安装的插件包，入口为 package.json 中的 main（默认 index.js）
+async function getPackagePlugins(cache) {
+  const plugins = [];
+  const seen = new Set();
+  for (const nodeModules of getNodeModulesDirs()) {
+    for (const { name, dir } of findPluginPackages(nodeModules)) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      let main = 'index.js';
+      try {
+        main = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).main || main;
+      } catch (e) {
+        // 没有 package.json 时使用 index.js
+      }
+      const defaultName = name.replace(/^@[^/]+\//, '').slice(PLUGIN_PREFIX.length);
+      const plugin = await loadPlugin(path.join(dir, main), defaultName, 'npm', cache);
+      if (plugin) plugins.push(plugin);
+    }
+  }
+  return plugins;
+}
+
+let cachedCommands = null;
+
+// 获取所有命令：内置命令在前，插件按名称排序；与已有命令重名的插件会被忽略（结果会缓存，插件只加载一次）
+export function getCommands() {
+  if (!cachedCommands) cachedCommands = loadCommands();
+  return cachedCommands;
+}
+
+async function loadCommands() {
+  const commands = getBuiltinCommands();
+  const names = new Set(commands.map(c => c.name));
+  const cache = { old: readCache(), next: {} };
+  const plugins = [...await getUserPlugins(cache), ...await getPackagePlugins(cache)];
+  if (JSON.stringify(cache.next) !== JSON.stringify(cache.old)) writeCache(cache.next);
+  for (const plugin of plugins.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (names.has(plugin.name)) {
+      console.error(t('commands.duplicate', { name: plugin.name, file: plugin.file }));
+      continue;
+    }
+    names.add(plugin.name);
+    commands.push(plugin);
+  }
+  return commands;
+}
+
+// 按命令名或别名查找命令；内置命令直接匹配，不加载插件
+export async function findCommand(name) {
+  const builtin = getBuiltinCommands().find(c => c.name === name);
+  if (builtin) return builtin;
+  const commands = await getCommands();
+  return commands.find(c => c.name === name) || commands.find(c => c.aliases.includes(name)) || null;
+}
+
+// 解析命令行：先匹配内置命令，再展开配置中的别名（alias.<别名>，只展开一层），最后匹配插件
+// 返回 { command, args }，找不到时 command 为 null
+export async function resolveCommand(name, args = []) {
+  const aliases = getAliases();
+  if (!getBuiltinCommands().some(c => c.name === name) && aliases[name]) {
+    const [target, ...aliasArgs] = aliases[name].split(/\s+/).filter(Boolean);
+    return { command: await findCommand(target), args: [...aliasArgs, ...args] };
+  }
+  return { command: await findCommand(name), args };
+}
+
+// 执行命令：内置命令以新的 process.argv 导入脚本，插件导入模块后调用 run(args)
+export async function runCommand(command, args = []) {
+  if (command.source !== 'builtin') {
+    const { plugin, error } = await importPlugin(command.file);
+    if (!plugin) throw new Error(t(error.key, error.params));
+    await plugin.run(args);
+    return;
+  }
+  process.argv = [process.argv[0], command.file, ...args];
+  await import(pathToFileURL(command.file).href);
+}
@@ -0,0 +1,190 @@
+// completion.js - Shell 补全：根据已输入的单词给出候选项，并生成 bash / zsh / fish 补全脚本
+// 候选项使用与交互提示相同的数据来源（分支列表、npm scripts、stash 列表、res 的备份）
+
+import path from 'path';
+import {
+  isGitRepo,
+  getLocalBranches,
+  getRemoteBranches,
+  getRemotes,
+  getStashList,
+  getStagedFiles,
+  getConflictedFiles,
+  getCommits
+} from './git.js';
+import { getBackups } from './backup.js';
+import { getNpmScripts } from './npm.js';
+import { SCHEMA, getAliases } from './config.js';
+import { getCommands } from './commands.js';
+
+// 常用的 git log 选项，l 命令会原样传给 git log
+const GIT_LOG_OPTIONS = [
+  '--oneline', '--graph', '--decorate', '--all', '--stat', '--name-only', '--name-status',
+  '--author=', '--committer=', '--grep=', '--since=', '--until=', '--after=', '--before=',
+  '--no-merges', '--merges', '--first-parent', '--reverse', '--follow', '--patch',
+  '--pretty=', '--format=', '--abbrev-commit', '--max-count=', '--skip='
+];
+
+// 候选项来源（不在仓库中时返回空列表）
+const sources = {
+  localBranches: () => (isGitRepo() ? getLocalBranches() : []),
+  allBranches: () => (isGitRepo() ? [...getLocalBranches(), ...getRemoteBranches()] : []),
+  remotes: () => (isGitRepo() ? getRemotes() : []),
+  stashes: () => (isGitRepo() ? getStashList().map(s => s.ref) : []),
+  stagedFiles: () => (isGitRepo() ? getStagedFiles().map(f => f.file) : []),
+  conflictedFiles: () => (isGitRepo() ? getConflictedFiles() : []),
+  commits: () => (isGitRepo() ? getCommits(20).map(c => c.shortHash) : []),
+  backups: () => (isGitRepo() ? getBackups().map(b => String(b.id)) : []),
+  npmScripts: () => Object.keys(getNpmScripts() || {})
+};
+
+// 内置命令的补全规则：
+//   flags：选项；values：需要取值的选项及其候选项；actions：第一个位置参数（子命令）
+//   args(positionals)：位置参数的候选项，positionals 为已输入的位置参数
+export const BUILTIN_COMPLETIONS = {
+  b: { flags: ['--json'] },
+  bd: {
+    flags: ['--force', '--remote', '--merged', '--gone', '--stale', '--days', '--yes', '--help'],
+    values: { '--days': () => [] },
+    args: () => sources.localBranches()
+  },
+  c: { flags: ['--current', '--help'], args: () => sources.localBranches() },
+  cf: {
+    flags: ['--json', '--help'],
+    actions: ['list', 'show', 'ours', 'theirs', 'resolved', 'continue', 'abort'],
+    args: ([action]) => (['show', 'ours', 'theirs', 'resolved'].includes(action) ? sources.conflictedFiles() : [])
+  },
+  ck: {
+    flags: ['--branch', '--base', '--push', '--no-push', '--switch', '--stash', '--no-stash', '--help'],
+    values: {
+      '--switch': () => sources.localBranches(),
+      '-s': () => sources.localBranches(),
+      '--base': () => sources.allBranches()
+    },
+    args: () => sources.allBranches()
+  },
+  completion: { actions: ['bash', 'zsh', 'fish'] },
+  config: {
+    flags: ['--local', '--global', '--json', '--help'],
+    actions: ['list', 'get', 'set', 'unset', 'path'],
+    args: ([action]) => (['get', 'set', 'unset'].includes(action) ? Object.keys(SCHEMA) : [])
+  },
+  h: { flags: ['--json'] },
+  l: {
+    flags: ['--json', '--interactive', '--mine', '--author', '--since', '--grep', '--path', '--vs', '--guided', '--help', ...GIT_LOG_OPTIONS],
+    values: { '--vs': () => sources.allBranches(), '--since': () => ['1d', '1w', '2w', '1m'] },
+    args: () => sources.allBranches()
+  },
+  p: { flags: ['--merge', '--rebase', '--ff-only', '--no-autostash', '--yes', '--help'] },
+  push: {
+    flags: ['--remote', '--force', '--tags', '--no-verify', '--yes', '--help'],
+    values: { '--remote': () => sources.remotes(), '-r': () => sources.remotes() }
+  },
+  res: {
+    flags: ['--mode', '--yes', '--all', '--json', '--dry-run', '--delete', '--help'],
+    values: {
+      '--mode': () => ['soft', 'mixed', 'hard'],
+      '-m': () => ['soft', 'mixed', 'hard'],
+      '--delete': () => [...sources.backups(), 'all']
+    },
+    actions: ['commits', 'unstage', 'remote', 'commit', 'backups', 'restore'],
+    args: ([action]) => {
+      if (action === 'unstage') return sources.stagedFiles();
+      if (action === 'commit') return sources.commits();
+      if (action === 'restore') return sources.backups();
+      return [];
+    }
+  },
+  s: { flags: ['--help'], args: () => sources.npmScripts() },
+  stash: {
+    flags: ['--message', '--include-untracked', '--keep-index', '--all', '--yes', '--json', '--help'],
+    values: { '--message': () => [], '-m': () => [] },
+    actions: ['push', 'pop', 'apply', 'show', 'drop', 'clear', 'list'],
+    args: ([action]) => (['pop', 'apply', 'show', 'drop'].includes(action) ? sources.stashes() : [])
+  },
+  undo: { flags: ['--all', '--json', '--yes', '--force', '--help'], actions: ['list', 'last'] }
+};
+
+// 计算候选项：words 为命令行中的单词，最后一个是正在输入的单词（可以为空）
+// 第一个单词可以是 ts（ts ck ma<tab>）或已注册的短命令（ck ma<tab>）
+export async function complete(words) {
+  const input = [...words];
+  if (input.length && path.basename(input[0]).replace(/\.js$/, '') === 'ts') input.shift();
+  const current = input.pop() || '';
+  const match = list => [...new Set(list)].filter(item => item.startsWith(current));
+
+  // 正在输入命令名
+  if (!input.length) {
+    const commands = await getCommands();
+    return match([
+      ...commands.flatMap(c => [c.name, ...c.aliases]),
+      ...Object.keys(getAliases())
+    ]);
+  }
+
+  // 展开别名，如 alias.sl = "stash list"
+  let [name, ...rest] = input;
+  const alias = getAliases()[name];
+  if (alias && !BUILTIN_COMPLETIONS[name]) [name, ...rest] = [...alias.split(/\s+/).filter(Boolean), ...rest];
+
+  let rules = BUILTIN_COMPLETIONS[name];
+  if (!rules) {
+    // 插件：只补全元数据中声明的选项（如 '--env <name>' 取 '--env'）
+    const plugin = (await getCommands()).find(c => c.name === name || c.aliases.includes(name));
+    if (!plugin) return [];
+    rules = { flags: plugin.flags.map(f => f.split(/[\s=]/)[0]) };
+  }
+
+  // 上一个单词是需要取值的选项
+  const previous = rest[rest.length - 1];
+  if (previous && rules.values && rules.values[previous]) return match(rules.values[previous]());
+
+  if (current.startsWith('-')) return match(rules.flags || []);
+
+  // 去掉选项及其取值，剩下位置参数
+  const positionals = [];
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('-')) {
+      if (rules.values && rules.values[rest[i]]) i++;
+      continue;
+    }
+    positionals.push(rest[i]);
+  }
+
+  if (rules.actions && !positionals.length) return match(rules.actions);
+  return match(rules.args ? rules.args(positionals) : []);
+}
+
+// 生成补全脚本，commands 为需要额外注册补全的短命令（如 register.sh 注册的 ck、stash）
+// 脚本会写进用户的 shell 配置，其中的注释与 README 一样使用英文，不随界面语言变化
+export function completionScript(shell, commands = []) {
+  const names = ['ts', ...commands];
+  if (shell === 'bash') {
+    return `# terminalScript bash completion, add to ~/.bashrc: eval "$(ts completion bash)"
+_terminalscript_complete() {
+  local IFS=$'\\n'
+  COMPREPLY=($(ts __complete "\${COMP_WORDS[@]:0:$((COMP_CWORD + 1))}" 2>/dev/null))
+}
+complete -o default -F _terminalscript_complete ${names.join(' ')}
+`;
+  }
+  if (shell === 'zsh') {
+    return `# terminalScript zsh completion, add to ~/.zshrc: eval "$(ts completion zsh)"
+_terminalscript_complete() {
+  local -a candidates
+  candidates=("\${(@f)$(ts __complete "\${(@)words[1,CURRENT]}" 2>/dev/null)}")
+  compadd -a candidates
+}
+compdef _terminalscript_complete ${names.join(' ')}
+`;
+  }
+  if (shell === 'fish') {
+    return `# terminalScript fish completion, save as ~/.config/fish/completions/ts.fish or run: ts completion fish | source
+function __terminalscript_complete
+    ts __complete (commandline -opc) (commandline -ct) 2>/dev/null
+end
+${names.map(name => `complete -c ${name} -f -a '(__terminalscript_complete)'`).join('\n')}
+`;
+  }
+  return null;
+}
@@ -0,0 +1,212 @@
+// config.js - 分层配置：默认值 < 全局文件 ~/.terminalscriptrc < 仓库文件 <仓库根目录>/.terminalscriptrc < 环境变量 TS_*
+// 配置文件为 JSON，键为点分名称，如 { "log.limit": 30, "remote.default": "upstream" }
+// 注意：本模块不能导入 i18n.js（i18n 从这里读取 locale），错误信息的翻译函数由 i18n.js 通过 setTranslator 注入
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const CONFIG_FILE = '.terminalscriptrc';
+
+// 支持的配置项：类型、默认值（choice 类型的可选值为 values）
+// globalOnly 的配置项只能在全局文件或环境变量中设置：仓库文件随克隆的仓库而来，不能由它决定加载并执行哪些代码
+export const SCHEMA = {
+  'locale': { type: 'string', default: null },
+  'log.limit': { type: 'number', default: 20 },
+  's.defaultScript': { type: 'string', default: 'sit' },
+  'remote.default': { type: 'string', default: 'origin' },
+  'res.counts': { type: 'list', default: [1, 2, 3, 5] },
+  'bd.staleDays': { type: 'number', default: 30 },
+  'protected.branches': { type: 'strings', default: [] },
+  'protected.action': { type: 'choice', values: ['confirm', 'block'], default: 'confirm' },
+  'push.checks': { type: 'strings', default: [] },
+  'p.strategy': { type: 'choice', values: ['merge', 'rebase', 'ff-only'], default: null },
+  'cf.mergeTool': { type: 'string', default: null },
+  'ck.base': { type: 'string', default: null },
+  'ck.templates': { type: 'strings', default: [] },
+  'ck.pattern': { type: 'string', default: null },
+  'plugins.dir': { type: 'string', default: null, globalOnly: true }
+};
+
+// 命令别名 alias.<别名>，值为命令及参数，如 "alias.sl": "stash list"
+const ALIAS_PREFIX = 'alias.';
+const ALIAS_SCHEMA = { type: 'string', default: null };
+
+// 错误信息翻译函数，i18n.js 加载后替换
+let translate = (key, params) => `${key} ${JSON.stringify(params)}`;
+
+// 注入错误信息翻译函数
+export function setTranslator(fn) {
+  translate = fn;
+}
+
+// 配置错误，code 对应消息目录中的 config.errors.<code>
+export class ConfigError extends Error {
+  constructor(code, params = {}) {
+    super(translate(`config.errors.${code}`, params));
+    this.name = 'ConfigError';
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// 配置项对应的环境变量名：log.limit -> TS_LOG_LIMIT，s.defaultScript -> TS_S_DEFAULT_SCRIPT
+export function envName(key) {
+  return 'TS_' + key.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+}
+
+// 获取配置项的定义，alias.<别名> 为动态配置项，未知配置项返回 null
+function schemaFor(key) {
+  if (SCHEMA[key]) return SCHEMA[key];
+  if (key.startsWith(ALIAS_PREFIX) && /^[\w-]+$/.test(key.slice(ALIAS_PREFIX.length))) return ALIAS_SCHEMA;
+  return null;
+}
+
+// 检查配置项是否存在
+export function assertKnownKey(key) {
+  if (!schemaFor(key)) throw new ConfigError('unknownKey', { key });
+}
+
+// 配置项是否只能在全局文件或环境变量中设置
+export function isGlobalOnly(key) {
+  const schema = schemaFor(key);
+  return Boolean(schema && schema.globalOnly);
+}
+
+// 把字符串（命令行、环境变量）转换为配置项对应的类型
+export function parseValue(key, raw) {
+  assertKnownKey(key);
+  const { type } = schemaFor(key);
+  if (type === 'number') {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value <= 0) throw new ConfigError('invalidNumber', { key, value: raw });
+    return value;
+  }
+  if (type === 'list') {
+    const items = String(raw).split(',').map(s => s.trim()).filter(Boolean);
+    const values = items.map(Number);
+    if (!values.length || values.some(n => !Number.isInteger(n) || n <= 0)) {
+      throw new ConfigError('invalidList', { key, value: raw });
+    }
+    return values;
+  }
+  if (type === 'strings') {
+    // 逗号分隔的字符串列表，可以为空
+    return String(raw).split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (type === 'choice') {
+    const { values } = schemaFor(key);
+    if (!values.includes(String(raw))) throw new ConfigError('invalidChoice', { key, value: raw, values: values.join(' | ') });
+    return String(raw);
+  }
+  return String(raw);
+}
+
+// 向上查找仓库根目录（包含 .git 的目录），不在仓库中时返回 null
+export function findRepoRoot(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// 配置文件路径：{ global, local }，不在仓库中时 local 为 null
+export function getConfigPaths({ cwd = process.cwd(), home = os.homedir() } = {}) {
+  const root = findRepoRoot(cwd);
+  return {
+    global: path.join(home, CONFIG_FILE),
+    local: root ? path.join(root, CONFIG_FILE) : null
+  };
+}
+
+// 读取配置文件，文件不存在时返回 {}
+export function readConfigFile(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new ConfigError('invalidFile', { file, reason: e.message });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError('invalidFile', { file, reason: 'not a JSON object' });
+  }
+  return data;
+}
+
+// 写入配置文件（值为 undefined 的键会被删除）
+export function writeConfigFile(file, data) {
+  const clean = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+  fs.writeFileSync(file, JSON.stringify(clean, null, 2) + '\n');
+}
+
+// 加载各层配置，返回 { 键: { value, source } }，source 为 default、global、local、env
+// 文件中的值按字符串重新校验，格式不对时抛出 ConfigError；仓库文件中的 globalOnly 配置项被忽略，并通过 warn 提示
+export function loadConfig({ cwd = process.cwd(), home = os.homedir(), env = process.env, warn = message => console.error(message) } = {}) {
+  const paths = getConfigPaths({ cwd, home });
+  const layers = [
+    ['global', readConfigFile(paths.global)],
+    ['local', readConfigFile(paths.local)]
+  ];
+  // 固定配置项 + 配置文件中出现的别名
+  const aliasKeys = layers.flatMap(([, data]) => Object.keys(data)).filter(key => key.startsWith(ALIAS_PREFIX) && schemaFor(key));
+  const keys = [...new Set([...Object.keys(SCHEMA), ...aliasKeys.sort()])];
+  const result = {};
+  for (const key of keys) {
+    result[key] = { value: schemaFor(key).default, source: 'default' };
+    for (const [source, data] of layers) {
+      if (data[key] !== undefined && data[key] !== null) {
+        if (source === 'local' && isGlobalOnly(key)) {
+          warn(translate('config.localIgnored', { key, file: paths.local, env: envName(key) }));
+          continue;
+        }
+        const raw = Array.isArray(data[key]) ? data[key].join(',') : data[key];
+        result[key] = { value: parseValue(key, raw), source };
+      }
+    }
+    if (env[envName(key)]) {
+      result[key] = { value: parseValue(key, env[envName(key)]), source: 'env' };
+    }
+  }
+  return result;
+}
+
+let cached = null;
+
+// 加载并缓存配置，配置有误时打印错误并退出
+function cachedConfig() {
+  if (!cached) {
+    try {
+      cached = loadConfig();
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+  }
+  return cached;
+}
+
+// 获取配置项的最终值
+export function getConfig(key) {
+  assertKnownKey(key);
+  const entry = cachedConfig()[key];
+  return entry ? entry.value : schemaFor(key).default;
+}
+
+// 获取所有命令别名：{ 别名: 命令及参数 }
+export function getAliases() {
+  const aliases = {};
+  for (const [key, { value }] of Object.entries(cachedConfig())) {
+    if (key.startsWith(ALIAS_PREFIX) && value) aliases[key.slice(ALIAS_PREFIX.length)] = value;
+  }
+  return aliases;
+}
+
+// 清除缓存，下次 getConfig 重新读取文件
+export function reloadConfig() {
+  cached = null;
+}
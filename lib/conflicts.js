@@ -0,0 +1,240 @@
+// conflicts.js - 冲突处理：列出冲突文件，逐个文件采用 ours / theirs、在编辑器或合并工具中打开、查看冲突块、标记已解决
+// 然后继续或中止正在进行的 merge / rebase / cherry-pick / revert（cf 命令、p、stash 共用）
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { git, gitOutput, getConflictedFiles, getOperationInProgress, getEditor } from './git.js';
+import { ask, canPrompt } from './prompt.js';
+import { getConfig } from './config.js';
+import { t } from './i18n.js';
+
+// 仓库根目录（git 输出的冲突文件路径相对于它）
+function repoRoot() {
+  return gitOutput(['rev-parse', '--show-toplevel']);
+}
+
+// 冲突文件的绝对路径
+function absolutePath(file) {
+  return path.join(repoRoot(), file);
+}
+
+// 在仓库根目录执行 git，返回 { status, stdout, stderr }
+function gitInRoot(args) {
+  return git(args, { cwd: repoRoot() });
+}
+
+// 文件中是否还有冲突标记
+export function hasConflictMarkers(file) {
+  const full = absolutePath(file);
+  if (!fs.existsSync(full)) return false;
+  return /^(<{7}|>{7})( |$)/m.test(fs.readFileSync(full, 'utf8'));
+}
+
+// 获取文件中的冲突块：[{ start, lines }]，start 为 <<<<<<< 所在的行号（从 1 开始）
+export function getConflictHunks(file) {
+  const full = absolutePath(file);
+  if (!fs.existsSync(full)) return [];
+  const hunks = [];
+  let current = null;
+  fs.readFileSync(full, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    if (line.startsWith('<<<<<<<')) current = { start: index + 1, lines: [] };
+    if (!current) return;
+    current.lines.push(line);
+    if (line.startsWith('>>>>>>>')) {
+      hunks.push(current);
+      current = null;
+    }
+  });
+  return hunks;
+}
+
+// 打印文件的冲突块（带行号）
+export function printHunks(file) {
+  const hunks = getConflictHunks(file);
+  if (!hunks.length) {
+    console.log(t('conflicts.noHunks', { file }));
+    return;
+  }
+  console.log(t('conflicts.hunksTitle', { file, count: hunks.length }));
+  for (const hunk of hunks) {
+    const width = String(hunk.start + hunk.lines.length).length;
+    console.log('');
+    hunk.lines.forEach((line, i) => console.log(`  ${String(hunk.start + i).padStart(width)} │ ${line}`));
+  }
+  console.log('');
+}
+
+// 采用某一方的版本（side 为 'ours' 或 'theirs'）并标记为已解决，返回是否成功
+// 某一方删除了文件时，采用该方即删除文件
+export function takeSide(file, side) {
+  const checkout = gitInRoot(['checkout', `--${side}`, '--', file]);
+  const result = checkout.status === 0 ? gitInRoot(['add', '--', file]) : gitInRoot(['rm', '--quiet', '--', file]);
+  if (result.status !== 0) {
+    console.error(t('conflicts.takeFailed', { file, error: checkout.stderr || result.stderr }));
+    return false;
+  }
+  return true;
+}
+
+// 标记文件已解决（git add）
+export function markFileResolved(file) {
+  const target = fs.existsSync(absolutePath(file)) ? ['add', '--', file] : ['rm', '--quiet', '--', file];
+  return gitInRoot(target).status === 0;
+}
+
+// 是否为文本内容冲突：index 中有双方的版本（stage 2 和 3），且不是二进制文件
+// 二进制冲突和修改/删除冲突不会写入冲突标记，无法根据文件内容判断是否已解决
+export function isTextConflict(file) {
+  const stages = {};
+  for (const line of gitInRoot(['ls-files', '-u', '-z', '--', file]).stdout.split('\0')) {
+    const match = line.match(/^\d+ ([0-9a-f]+) ([123])\t/);
+    if (match) stages[match[2]] = match[1];
+  }
+  if (!stages[2] || !stages[3]) return false;
+  // 二进制文件的 numstat 为 "-\t-"
+  const numstat = gitInRoot(['diff', '--numstat', stages[2], stages[3]]);
+  return numstat.status === 0 && !numstat.stdout.startsWith('-\t');
+}
+
+// 把已去掉冲突标记的文本冲突文件标记为已解决，返回仍未解决的文件
+// 二进制冲突和修改/删除冲突需要采用 ours / theirs、用合并工具处理或明确标记为已解决
+export function markResolved(files) {
+  const remaining = files.filter(file => !isTextConflict(file) || hasConflictMarkers(file));
+  files.filter(file => !remaining.includes(file)).forEach(markFileResolved);
+  return remaining;
+}
+
+// 在编辑器中打开文件；编辑器命令可能带参数（如 "code --wait"），与 git 一样通过 sh -c 执行，文件路径作为位置参数传入
+export function openInEditor(files, editor = getEditor()) {
+  const result = spawnSync('sh', ['-c', `${editor} "$@"`, editor, ...files.map(absolutePath)], { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+// 用合并工具处理文件：配置项 cf.mergeTool，未设置时使用 git 的 merge.tool；成功时 git mergetool 会标记为已解决
+export function openInMergeTool(file) {
+  const tool = getConfig('cf.mergeTool');
+  const args = ['mergetool', '--no-prompt', ...(tool ? [`--tool=${tool}`] : []), '--', file];
+  const result = spawnSync('git', args, { cwd: repoRoot(), stdio: 'inherit' });
+  return result.status === 0;
+}
+
+// 继续正在进行的操作，提交信息使用 git 生成的默认内容，不打开编辑器
+export function continueOperation(operation) {
+  const result = spawnSync('git', [operation, '--continue'], {
+    stdio: 'inherit',
+    env: { ...process.env, GIT_EDITOR: 'true' }
+  });
+  return result.status === 0;
+}
+
+// 中止正在进行的操作，恢复到操作之前的状态
+export function abortOperation(operation) {
+  const result = spawnSync('git', [operation, '--abort'], { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+// 打印冲突文件列表，operation 为 null 时（如 stash pop / apply 产生的冲突）不显示操作名
+export function printConflicts(operation, files) {
+  if (operation) console.log(t('conflicts.title', { operation, count: files.length }));
+  else console.log(t('conflicts.titleNoOperation', { count: files.length }));
+  files.forEach(file => console.log(`  ✖ ${file}`));
+}
+
+// 打印手动处理的提示
+function printManualHint(operation) {
+  console.log(t(operation ? 'conflicts.manualHint' : 'conflicts.manualHintNoOperation', { operation }));
+}
+
+// ours / theirs 在 rebase 中含义相反：ours 是要变基到的提交，theirs 是正在重放的本地提交
+function sideLabel(side, operation) {
+  return t(`conflicts.${side}.${operation === 'rebase' ? 'rebase' : 'default'}`);
+}
+
+// 处理单个冲突文件，直到标记已解决或返回列表
+async function resolveFile(file, operation) {
+  while (true) {
+    const action = await ask('Select', {
+      name: 'action',
+      message: t('conflicts.fileAction', { file }),
+      choices: [
+        { name: 'hunks', message: t('conflicts.action.hunks') },
+        { name: 'ours', message: t('conflicts.action.ours', { side: sideLabel('ours', operation) }) },
+        { name: 'theirs', message: t('conflicts.action.theirs', { side: sideLabel('theirs', operation) }) },
+        { name: 'editor', message: t('conflicts.action.editor', { editor: getEditor() }) },
+        { name: 'mergetool', message: t('conflicts.action.mergetool') },
+        { name: 'resolved', message: t('conflicts.action.resolved') },
+        { name: 'back', message: t('conflicts.action.back') }
+      ]
+    });
+
+    if (action === 'hunks') {
+      printHunks(file);
+    } else if (action === 'ours' || action === 'theirs') {
+      if (takeSide(file, action)) {
+        console.log(t('conflicts.taken', { file, side: sideLabel(action, operation) }));
+        return;
+      }
+    } else if (action === 'editor') {
+      openInEditor([file]);
+    } else if (action === 'mergetool') {
+      if (openInMergeTool(file)) return;
+    } else if (action === 'resolved') {
+      // 仍有冲突标记时需要再次确认
+      const confirmed = !hasConflictMarkers(file) || await ask('Confirm', {
+        name: 'confirm',
+        message: t('conflicts.confirmMarkers', { file }),
+        initial: false
+      });
+      if (confirmed && markFileResolved(file)) {
+        console.log(t('conflicts.markedResolved', { file }));
+        return;
+      }
+    } else {
+      return;
+    }
+  }
+}
+
+// 交互式解决冲突：选择文件逐个处理，全部解决后继续或中止操作，直到操作完成或用户离开
+// 无法交互时只打印冲突文件和提示；返回冲突是否已全部解决且操作已完成
+export async function guideConflicts() {
+  while (true) {
+    const operation = getOperationInProgress();
+    const files = getConflictedFiles();
+    if (!files.length && !operation) return true;
+    printConflicts(operation, files);
+
+    if (!canPrompt()) {
+      printManualHint(operation);
+      return false;
+    }
+
+    const choices = files.map(file => ({ name: file, message: `✖ ${file}` }));
+    if (operation) {
+      choices.push(
+        { name: '__continue__', message: t('conflicts.action.continue', { operation }) },
+        { name: '__abort__', message: t('conflicts.action.abort', { operation }) }
+      );
+    }
+    choices.push({ name: '__later__', message: t('conflicts.action.later') });
+    const picked = await ask('Select', { name: 'file', message: t('conflicts.selectFile'), choices });
+
+    if (picked === '__continue__') {
+      const remaining = markResolved(files);
+      if (remaining.length) {
+        console.log(t('conflicts.stillConflicted', { files: remaining.join(', ') }));
+      } else if (!continueOperation(operation)) {
+        console.log(t('conflicts.continueFailed', { operation }));
+      }
+    } else if (picked === '__abort__') {
+      if (abortOperation(operation)) console.log(t('conflicts.aborted', { operation }));
+      return false;
+    } else if (picked === '__later__') {
+      printManualHint(operation);
+      return false;
+    } else {
+      await resolveFile(picked, operation);
+    }
+  }
+}
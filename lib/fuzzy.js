@@ -0,0 +1,31 @@
+// fuzzy.js - 模糊匹配：输入的字符按顺序出现在文本中即匹配（如 "fl" 匹配 "feature/login"），用于 AutoComplete 提示的过滤
+
+// 计算匹配分数，不匹配时返回 null；分数越高越靠前：连续匹配、匹配在单词开头（/ - _ . 之后）和文本开头时加分
+export function fuzzyScore(pattern, text) {
+  const p = pattern.toLowerCase();
+  const s = text.toLowerCase();
+  if (!p) return 0;
+  let score = 0;
+  let last = -1;
+  for (const ch of p) {
+    const index = s.indexOf(ch, last + 1);
+    if (index === -1) return null;
+    if (index === last + 1) score += 3;
+    if (index === 0 || '/-_. '.includes(s[index - 1])) score += 2;
+    score -= Math.min(index - last - 1, 3);
+    last = index;
+  }
+  return score;
+}
+
+// AutoComplete 的 suggest 函数：按选项的 name 模糊匹配并按分数排序，分数相同时保持原顺序
+// 作为 suggest 调用时 this 为提示对象：有输入时把光标移到最匹配的第一项（否则会停在 initial 的位置）
+export function fuzzySuggest(input, choices) {
+  if (!input) return choices;
+  if (this && 'index' in this) this.index = 0;
+  return choices
+    .map((choice, index) => ({ choice, index, score: fuzzyScore(input, choice.name) }))
+    .filter(item => item.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(item => item.choice);
+}
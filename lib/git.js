@@ -0,0 +1,278 @@
+// git.js - Git 核心工具库：各命令共用的仓库检测、分支、状态、upstream、stash、提交日志解析
+
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+import { t } from './i18n.js';
+
+// 字段分隔符（ASCII 单元分隔符），提交信息、分支名中不会出现，避免用 "|" 拆分时被内容打断
+const SEP = '\x1f';
+
+// 以参数数组执行 git（不经过 shell），返回 { status, stdout, stderr }
+export function git(args, options = {}) {
+  const result = spawnSync('git', args, { encoding: 'utf8', stdio: 'pipe', ...options });
+  return {
+    status: result.status,
+    stdout: (result.stdout || '').trim(),
+    stderr: (result.stderr || '').trim()
+  };
+}
+
+// 执行 git 并返回 stdout，失败时返回空字符串
+export function gitOutput(args) {
+  const result = git(args);
+  return result.status === 0 ? result.stdout : '';
+}
+
+// 执行 git 命令（输出直接显示在终端），返回是否成功
+export function runGitCommand(args) {
+  const result = spawnSync('git', args, { stdio: 'inherit' });
+  return result.status === 0;
+}
+
+// 按行拆分输出并去掉空行
+function lines(output) {
+  return output ? output.split(/\r?\n/).map(l => l.trim()).filter(Boolean) : [];
+}
+
+// ============= 仓库 =============
+
+// 检查是否在 git 仓库
+export function isGitRepo() {
+  return git(['rev-parse', '--is-inside-work-tree']).status === 0;
+}
+
+// 不在 git 仓库时打印提示并退出
+export function ensureGitRepo() {
+  if (!isGitRepo()) {
+    console.error(t('common.notGitRepo'));
+    process.exit(1);
+  }
+}
+
+// ============= 分支 =============
+
+// 获取当前分支名（分离 HEAD 时返回 null）
+export function getCurrentBranch() {
+  return gitOutput(['branch', '--show-current']) || null;
+}
+
+// 解析 %(upstream:track) 的输出，如 "[ahead 1, behind 2]"、"[gone]"
+function parseTrack(track) {
+  const ahead = /ahead (\d+)/.exec(track);
+  const behind = /behind (\d+)/.exec(track);
+  return {
+    ahead: ahead ? parseInt(ahead[1]) : 0,
+    behind: behind ? parseInt(behind[1]) : 0,
+    gone: track.includes('gone')
+  };
+}
+
+// 获取本地分支详情：[{ name, isCurrent, upstream, ahead, behind, gone, date, relativeDate, author }]
+// date、relativeDate、author 为分支最后一个提交的提交时间和作者
+export function getBranches() {
+  const format = [
+    '%(HEAD)', '%(refname:short)', '%(upstream:short)', '%(upstream:track)',
+    '%(committerdate:iso-strict)', '%(committerdate:relative)', '%(authorname)'
+  ].join('%1f');
+  return lines(gitOutput(['for-each-ref', `--format=${format}`, 'refs/heads'])).map(line => {
+    const [head, name, upstream, track, date, relativeDate, author] = line.split(SEP);
+    return {
+      name,
+      isCurrent: head === '*',
+      upstream: upstream || null,
+      ...parseTrack(track || ''),
+      date,
+      relativeDate,
+      author
+    };
+  });
+}
+
+// 获取最近切换过的分支（按 HEAD 的 reflog 中 "checkout: moving from A to B" 记录，最近的在前，不重复）
+// limit 为读取的 reflog 条数
+export function getRecentBranches(limit = 500) {
+  const recent = [];
+  for (const line of lines(gitOutput(['reflog', 'show', '--format=%gs', `-n${limit}`, 'HEAD']))) {
+    const match = /^checkout: moving from .+ to (\S+)$/.exec(line);
+    if (match && !recent.includes(match[1])) recent.push(match[1]);
+  }
+  return recent;
+}
+
+// 获取默认分支名：优先取远程 HEAD 指向的分支（如 origin/HEAD -> origin/main），其次本地的 main、master
+export function getDefaultBranch(remote = 'origin') {
+  const head = gitOutput(['symbolic-ref', '--quiet', '--short', `refs/remotes/${remote}/HEAD`]);
+  if (head.startsWith(`${remote}/`)) return head.slice(remote.length + 1);
+  return ['main', 'master'].find(name => resolveRef(`refs/heads/${name}`)) || null;
+}
+
+// 获取已合并到 target 的本地分支名
+export function getMergedBranches(target) {
+  return lines(gitOutput(['for-each-ref', '--format=%(refname:short)', '--merged', target, 'refs/heads']));
+}
+
+// 解析修订为完整的提交 hash，无效时返回 null
+export function resolveRef(rev) {
+  return gitOutput(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]) || null;
+}
+
+// 获取本地分支名列表
+export function getLocalBranches() {
+  return lines(gitOutput(['for-each-ref', '--format=%(refname:short)', 'refs/heads']));
+}
+
+// 获取远程分支列表（形如 origin/branch，不包含 origin/HEAD 这类符号引用）
+export function getRemoteBranches() {
+  const format = ['%(refname:short)', '%(symref)'].join('%1f');
+  return lines(gitOutput(['for-each-ref', `--format=${format}`, 'refs/remotes']))
+    .map(line => line.split(SEP))
+    .filter(([, symref]) => !symref)
+    .map(([name]) => name);
+}
+
+// 获取远程仓库名列表
+export function getRemotes() {
+  return lines(gitOutput(['remote']));
+}
+
+// 获取分支的 upstream 配置：{ remote, merge, remoteBranch, ref }，未配置时返回 null
+export function getUpstream(branch = getCurrentBranch()) {
+  if (!branch) return null;
+  const remote = gitOutput(['config', `branch.${branch}.remote`]);
+  const merge = gitOutput(['config', `branch.${branch}.merge`]);
+  if (!remote || !merge) return null;
+  const remoteBranch = merge.replace(/^refs\/heads\//, '');
+  return { remote, merge, remoteBranch, ref: `${remote}/${remoteBranch}` };
+}
+
+// 获取 from 相对 to 领先/落后的提交数
+export function getAheadBehind(from, to) {
+  const output = gitOutput(['rev-list', '--left-right', '--count', `${from}...${to}`]);
+  const [ahead, behind] = output.split(/\s+/).map(n => parseInt(n) || 0);
+  return { ahead: ahead || 0, behind: behind || 0 };
+}
+
+// ============= 工作区状态 =============
+
+// 获取工作区状态（各类文件数量）
+export function getWorkingStatus() {
+  return {
+    modified: lines(gitOutput(['diff', '--name-only'])).length,
+    staged: lines(gitOutput(['diff', '--cached', '--name-only'])).length,
+    untracked: lines(gitOutput(['ls-files', '--others', '--exclude-standard'])).length
+  };
+}
+
+// 检查是否有已跟踪文件的修改（工作区或暂存区）
+export function hasChanges() {
+  const status = getWorkingStatus();
+  return status.modified > 0 || status.staged > 0;
+}
+
+// 获取已暂存的文件：[{ file, status, statusText }]
+export function getStagedFiles() {
+  const statusTexts = { M: 'modified', A: 'new file', D: 'deleted', R: 'renamed' };
+  return lines(gitOutput(['diff', '--cached', '--name-status'])).map(line => {
+    const [status, ...paths] = line.split('\t');
+    // 重命名的状态形如 R100，路径为 "旧路径\t新路径"，取新路径
+    const code = status.charAt(0);
+    return { file: paths[paths.length - 1], status: code, statusText: statusTexts[code] || 'changed' };
+  });
+}
+
+// 获取 git diff --numstat 的结果（不检测重命名）：[{ file, added, deleted }]，二进制文件的 added / deleted 为 null
+// diffArgs 为比较的对象，如 ['--cached', 'HEAD~1']、['HEAD~1', 'HEAD']
+export function getNumstat(diffArgs = []) {
+  return lines(gitOutput(['diff', '--numstat', '--no-renames', ...diffArgs, '--'])).map(line => {
+    const [added, deleted, ...file] = line.split('\t');
+    return {
+      file: file.join('\t'),
+      added: added === '-' ? null : Number(added),
+      deleted: deleted === '-' ? null : Number(deleted)
+    };
+  });
+}
+
+// ============= 冲突 =============
+
+// 获取有冲突（未合并）的文件
+export function getConflictedFiles() {
+  return lines(gitOutput(['diff', '--name-only', '--diff-filter=U']));
+}
+
+// 获取正在进行的操作：'rebase'、'merge'、'cherry-pick'、'revert'，没有时返回 null
+export function getOperationInProgress() {
+  const exists = file => fs.existsSync(gitOutput(['rev-parse', '--git-path', file]));
+  if (exists('rebase-merge') || exists('rebase-apply')) return 'rebase';
+  if (exists('MERGE_HEAD')) return 'merge';
+  if (exists('CHERRY_PICK_HEAD')) return 'cherry-pick';
+  if (exists('REVERT_HEAD')) return 'revert';
+  return null;
+}
+
+// 获取 git 使用的编辑器（GIT_EDITOR > core.editor > VISUAL > EDITOR > vi）
+export function getEditor() {
+  return gitOutput(['var', 'GIT_EDITOR']) || 'vi';
+}
+
+// ============= Stash =============
+
+// 获取 stash 列表：[{ ref, sha, message, time, date }]
+export function getStashList() {
+  const format = ['%gd', '%H', '%s', '%cr', '%cI'].join('%x1f');
+  return lines(gitOutput(['stash', 'list', `--pretty=format:${format}`])).map(line => {
+    const [ref, sha, message, time, date] = line.split(SEP);
+    return { ref, sha, message, time, date };
+  });
+}
+
+// ============= 提交日志 =============
+
+const COMMIT_FORMAT = ['%H', '%h', '%s', '%ar', '%an', '%aI'].join('%x1f');
+// 每条记录以 \x1e 开头，用于从 --stat、-p、--graph 等选项附加的输出中分离出记录
+const RECORD = '\x1e';
+
+// 拆分 git log 的输出：每条记录只取开始标记之后的第一行，其余内容（统计、补丁、图形）丢弃
+function records(output) {
+  return output.split(RECORD).slice(1).map(part => part.split(/\r?\n/)[0]);
+}
+
+// 解析一行提交记录
+function parseCommit(line) {
+  const [fullHash, shortHash, message, time, author, date] = line.split(SEP);
+  return { fullHash, shortHash, message, time, author, date };
+}
+
+// 按任意 git log 参数获取提交列表：[{ fullHash, shortHash, message, time, author, date }]
+export function getLog(logArgs = []) {
+  return records(gitOutput(['log', `--pretty=format:%x1e${COMMIT_FORMAT}`, ...logArgs])).map(parseCommit);
+}
+
+// 获取 HEAD 的 reflog（按时间倒序），logArgs 为额外的 git log 参数（如 --max-count、--grep）
+// 返回 [{ selector, action, fullHash, shortHash, message, time, author, date }]，selector 形如 HEAD@{2}，action 为 reflog 说明（如 "rebase (start): checkout main"）
+export function getReflog(logArgs = []) {
+  const format = ['%gd', '%gs', COMMIT_FORMAT].join('%x1f');
+  return records(gitOutput(['log', '--walk-reflogs', `--pretty=format:%x1e${format}`, ...logArgs, 'HEAD', '--'])).map(line => {
+    const [selector, action, ...rest] = line.split(SEP);
+    return { selector, action, ...parseCommit(rest.join(SEP)) };
+  });
+}
+
+// 获取提交列表，range 为可选的修订范围，如 "origin/main..HEAD"
+export function getCommits(count = 10, range) {
+  const logArgs = [];
+  if (count) logArgs.push(`-${count}`);
+  if (range) logArgs.push(range);
+  return getLog(logArgs);
+}
+
+// 获取范围内的全部提交
+export function getCommitsInRange(range) {
+  return getCommits(0, range);
+}
+
+// 获取单个提交的信息，无效的修订返回 null
+export function getCommit(rev) {
+  const [record] = records(gitOutput(['log', '-1', `--pretty=format:%x1e${COMMIT_FORMAT}`, rev, '--']));
+  return record ? parseCommit(record) : null;
+}
@@ -0,0 +1,65 @@
+// i18n.js - 多语言：根据配置项 locale（含 TS_LOCALE）/ LC_ALL / LC_MESSAGES / LANG 选择消息目录（zh-CN、en）
+
+import { loadConfig, setTranslator } from './config.js';
+import zhCN from './locales/zh-CN.js';
+import en from './locales/en.js';
+
+const catalogs = { 'zh-CN': zhCN, en };
+
+// 默认语言（未设置或无法识别时使用）
+export const DEFAULT_LOCALE = 'zh-CN';
+
+// 把环境变量中的语言值（如 zh_CN.UTF-8、en_US、en）归一化为消息目录名
+export function normalizeLocale(value) {
+  if (!value) return null;
+  const lang = value.split(/[.@]/)[0].replace('_', '-').toLowerCase();
+  if (lang === 'c' || lang === 'posix' || lang === '') return null;
+  if (lang.startsWith('zh')) return 'zh-CN';
+  return 'en';
+}
+
+// 读取配置项 locale（配置文件或 TS_LOCALE），配置有误时忽略，由读取配置的命令报错
+function configuredLocale() {
+  try {
+    return loadConfig().locale.value;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 检测当前语言：配置项 locale 优先，其次按 POSIX 规则依次读取 LC_ALL、LC_MESSAGES、LANG
+export function detectLocale(env = process.env, configured = configuredLocale()) {
+  const fromConfig = normalizeLocale(configured);
+  if (fromConfig) return fromConfig;
+  for (const name of ['LC_ALL', 'LC_MESSAGES', 'LANG']) {
+    const locale = normalizeLocale(env[name]);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+let currentLocale = detectLocale();
+
+// 获取当前语言
+export function getLocale() {
+  return currentLocale;
+}
+
+// 切换当前语言（不支持的语言忽略）
+export function setLocale(locale) {
+  if (catalogs[locale]) currentLocale = locale;
+}
+
+// 是否存在该消息条目（当前语言或默认语言）
+export function hasMessage(key) {
+  return key in catalogs[currentLocale] || key in catalogs[DEFAULT_LOCALE];
+}
+
+// 获取翻译文本，params 中的值替换文本里的 {name} 占位符
+// 当前语言缺少该条目时回退到默认语言，仍然没有则返回 key 本身
+export function t(key, params = {}) {
+  const template = catalogs[currentLocale][key] ?? catalogs[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+setTranslator(t);
@@ -0,0 +1,69 @@
+// journal.js - 撤销日志：记录破坏性操作（reset、删除分支、删除 stash）之前的状态，供 undo 命令恢复
+// 日志保存在 <git 公共目录>/terminalscript/journal.json，只保留最近 MAX_ENTRIES 条
+//
+// 条目结构（公共字段 id、time、command、type、undone）：
+//   reset                { branch, before, after, mode }        reset 前后的 HEAD
+//   branch-delete        { branches: [{ name, sha }] }          被删除的本地分支及其最后的提交
+//   remote-branch-delete { branches: [{ remote, name, sha }] }  被删除的远程分支
+//   stash-drop           { stashes: [{ sha, message }] }        被删除的 stash（按 stash@{0} 在前排列）
+
+import fs from 'fs';
+import path from 'path';
+import { gitOutput } from './git.js';
+
+const MAX_ENTRIES = 50;
+
+// 日志文件路径，不在 git 仓库时返回 null
+export function getJournalPath() {
+  const dir = gitOutput(['rev-parse', '--git-common-dir']);
+  if (!dir) return null;
+  return path.join(path.resolve(dir), 'terminalscript', 'journal.json');
+}
+
+// 读取日志（按时间顺序，最新的在最后），文件不存在或损坏时返回 []
+export function readJournal() {
+  const file = getJournalPath();
+  if (!file || !fs.existsSync(file)) return [];
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// 写入日志，超出上限时丢弃最旧的条目
+function writeJournal(entries) {
+  const file = getJournalPath();
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2) + '\n');
+}
+
+// 追加一条记录，返回该条目；写入失败不影响命令本身
+export function recordEntry(command, type, data) {
+  const entries = readJournal();
+  const entry = {
+    id: entries.length ? entries[entries.length - 1].id + 1 : 1,
+    time: new Date().toISOString(),
+    command,
+    type,
+    ...data,
+    undone: null
+  };
+  try {
+    writeJournal([...entries, entry]);
+  } catch (e) {
+    return null;
+  }
+  return entry;
+}
+
+// 标记条目已撤销
+export function markUndone(id) {
+  const entries = readJournal();
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return;
+  entry.undone = new Date().toISOString();
+  writeJournal(entries);
+}
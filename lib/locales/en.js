@@ -0,0 +1,766 @@
+// en.js - 英文消息目录
+
+export default {
+  // ============= common =============
+  'common.notGitRepo': '❌ The current directory is not a Git repository. Please cd into a repository first.',
+  'common.currentBranch': '* {branch} (current branch)',
+  'common.cancelled': '\nCancelled.',
+  'common.operationCancelled': '\n\nOperation cancelled\n',
+  'common.aborted': '\nOperation cancelled\n',
+  'common.error': 'Operation failed:',
+  'common.fatal': 'Fatal error:',
+  'common.selectAction': 'Select an action:',
+  'common.unknownAction': 'Unknown action: {action}',
+  'args.missingValue': 'Option {option} requires a value',
+  'args.unknownOption': 'Unknown option: {option}',
+  'prompt.unavailable': 'Required arguments are missing and this is not an interactive terminal, so no prompt can be shown',
+
+  // ============= pager =============
+  'pager.next': '⏭️ Next page',
+  'pager.prev': '⏮️ Previous page',
+  'pager.clear': '🧹 Clear search',
+
+  // ============= b =============
+  'b.title': '📋 Git branches:\n',
+
+  // ============= p =============
+  'p.usage': `Usage: p [options]
+
+  Pull the current branch's upstream: fetch first and list the incoming commits, then integrate them with the chosen strategy.
+  Local changes are stashed automatically (--autostash) and restored afterwards; on conflicts, lists the conflicted files and offers to continue, abort or open them in the editor.
+
+Options:
+  --merge            Integrate the remote commits with a merge
+  --rebase           Rebase local commits on top of the remote commits
+  --ff-only          Only fast-forward (fails when local and remote have diverged)
+  --no-autostash     Do not stash local changes automatically
+  -y, --yes          Do not ask for a strategy; use the default (the p.strategy setting, or git's pull.rebase when unset)
+  -h, --help         Show help`,
+  'p.fetching': '🔄 Fetching the latest commits from {remote}...',
+  'p.pulling': '\n🔄 Running {command}...\n',
+  'p.noUpstream': '❌ Branch {branch} has no upstream; push it first or run git branch --set-upstream-to',
+  'p.upstreamMissing': '❌ The upstream {ref} does not exist',
+  'p.upToDate': '✅ Already up to date; no new commits on {ref}',
+  'p.incoming': '\n{count} commit(s) to pull from {ref}:',
+  'p.localAhead': '\nℹ️  You also have {count} local commit(s) not pushed yet',
+  'p.selectStrategy': 'Select a pull strategy:',
+  'p.strategy.merge': 'merge - create a merge commit',
+  'p.strategy.rebase': 'rebase - replay local commits on top of the remote ones for a linear history',
+  'p.strategy.ff-only': 'ff-only - fast-forward only',
+  'p.diverged': 'local and remote have diverged',
+  'p.conflictingStrategies': 'Only one of --merge, --rebase and --ff-only can be given',
+  'p.autostash': 'ℹ️  Local changes detected; stashing them before the pull and restoring them afterwards',
+  'p.done': '\n✅ Pull finished',
+  'p.ffOnlyHint': '\n💡 Tip: local and remote have diverged and cannot be fast-forwarded; use p --merge or p --rebase',
+
+  // ============= push =============
+  'push.usage': `Usage: push [options]
+
+  Push the current branch: first shows the commits to be pushed, and sets the upstream when there is none.
+  Pushes to the upstream's remote; with several remotes and no upstream, asks which one (defaults to the remote.default setting).
+
+Options:
+  -r, --remote <name>  Push to the given remote
+  -f, --force          Force-push with --force-with-lease, listing and confirming the remote commits that would be overwritten
+  --tags               Also push all tags
+  --no-verify          Skip the pre-push checks (the push.checks setting)
+  -y, --yes            Skip the force-push confirmation
+  -h, --help           Show help`,
+  'push.pushing': '\n🚀 Running {command}...\n',
+  'push.noCurrentBranch': '❌ Unable to determine the current branch name',
+  'push.noRemotes': '❌ This repository has no remotes',
+  'push.unknownRemote': 'Remote {remote} does not exist (available: {remotes})',
+  'push.selectRemote': 'Select the remote to push to:',
+  'push.summary': '\n📤 {branch} → {remote}/{target}',
+  'push.newBranch': '   {ref} does not exist yet; a new remote branch will be created',
+  'push.outgoing': '\n{count} commit(s) to push:',
+  'push.nothingOutgoing': '\nNo commits to push',
+  'push.diverged': '\n⚠️  {ref} has {count} commit(s) that are not in your branch; a normal push would be rejected:',
+  'push.divergedHint': '\n💡 Tip: run p to pull and merge first, or push --force to overwrite the remote commits',
+  'push.willOverwrite': '\n⚠️  Force-pushing will overwrite {count} commit(s) on {ref}:',
+  'push.confirmForce': 'Force-push and overwrite {ref}?',
+  'push.checks.running': '\n🔍 Running pre-push checks: {checks}',
+  'push.checks.title': '\nCheck results:',
+  'push.checks.passed': '✅ passed',
+  'push.checks.failed': '❌ failed (exit code {code})',
+  'push.checks.missing': 'No such script in package.json: {script}',
+  'push.checks.output': '\n----- output of {script} -----',
+  'push.checks.abort': '\n❌ Pre-push checks failed; nothing was pushed (use push --no-verify to skip the checks)',
+
+  // ============= h =============
+  'h.title': '\n📚 Available commands:\n',
+  'h.noDescription': 'No description',
+  'h.aliases': ' (aliases: {aliases})',
+  'h.source.user': 'user plugin',
+  'h.source.npm': 'npm plugin',
+  'h.aliasTitle': '\n🔗 Aliases:',
+  'h.desc.b': 'List branches - show all local branches',
+  'h.desc.bd': 'Delete local branches and optionally their remote branches - pick branches interactively, with safe and forced deletion',
+  'h.desc.c': 'Copy a branch name to the clipboard - pick a local branch and copy its name',
+  'h.desc.cf': 'Resolve conflicts - take ours / theirs per file, open in the editor or merge tool, view hunks, then continue or abort the merge / rebase',
+  'h.desc.ck': 'Switch or create branches - fuzzy-search local and remote branches to switch to, or pass a name to create a new branch from the remote default branch (or a given base) following the naming rules',
+  'h.desc.completion': 'Generate shell completion - bash, zsh and fish completion for commands, branches, npm scripts, stashes and more',
+  'h.desc.config': 'View and change settings - global ~/.terminalscriptrc, repo .terminalscriptrc and TS_* environment variables, layered',
+  'h.desc.l': 'Show commit history - graph of the latest 20 commits (configurable via log.limit), accepts filters such as --mine, --since 2w, --path and --vs main or raw git log arguments; --interactive browses commits and their diffs',
+  'h.desc.p': 'Run git pull - preview incoming commits, choose merge / rebase / ff-only, autostash local changes and guide through conflicts',
+  'h.desc.push': 'Run git push - show outgoing commits first, choose the remote, --force-with-lease and push tags',
+  'h.desc.res': 'Git reset helper - undo commits, unstage files, reset to the remote branch and more; hard resets are backed up automatically',
+  'h.desc.s': 'Run npm scripts - pick and run a script from package.json, preselecting one matching the current branch',
+  'h.desc.stash': 'Git stash manager - stash, restore, inspect and drop stashes interactively',
+  'h.desc.undo': 'Undo destructive operations - restore resets from res, branches deleted by bd and stashes dropped by stash from the undo journal',
+  'h.desc.h': 'Help - list all available commands, including plugins, with descriptions (this command)',
+
+  // ============= c =============
+  'c.usage': `Usage: c [branch] [options]
+
+  Without arguments, pick a local branch to copy interactively; with a branch name, copy it directly.
+
+Options:
+  --current    Copy the current branch name
+  -h, --help   Show help`,
+  'c.notGitRepo': 'Error: the current directory is not a git repository, or the git command failed. Run this command inside a git repository.',
+  'c.detachedHead': 'Error: HEAD is detached, there is no current branch.',
+  'c.branchNotFound': 'Error: local branch does not exist: {branch}',
+  'c.selectBranch': 'Select a local branch to copy (arrow keys to move, Enter to confirm, Ctrl+C to quit)',
+  'c.copied': 'Copied branch name: {branch}',
+  'c.clipboardFailed': 'Could not write to the clipboard. Branch name: {branch}',
+  'c.error': 'Cancelled or failed:',
+
+  // ============= s =============
+  's.usage': `Usage: s [script] [-- args...]
+
+  Without arguments, pick an npm script to run interactively; with a script name, run it directly.
+
+Options:
+  -h, --help   Show help`,
+  's.noPackageJson': '❌ There is no package.json in the current directory',
+  's.noScripts': '⚠️ No npm scripts found',
+  's.running': '🚀 Running: npm run {script}\n',
+  's.scriptNotFound': '❌ package.json has no script named: {script}',
+  's.selectScript': 'Select an npm script to run:',
+
+  // ============= ck =============
+  'ck.usage': `Usage: ck [new-branch] [options]
+
+  Without arguments, pick a branch to switch to: type to fuzzy-search, remote branches included (switching creates a local branch tracking them),
+  current and recently used branches first, ↑/↓ showing commits ahead of/behind the upstream.
+  With uncommitted changes, carry them over or auto-stash them; an auto-stash is restored when you switch back to its branch.
+  With a branch name, create it and switch to it: pick the base interactively (the freshly fetched default branch of the remote, e.g. origin/main,
+  is suggested first) or give it with --base. Without a terminal to ask in, the base is ck.base if set, otherwise the current HEAD.
+  When ck.templates (e.g. feature/<ticket>-<slug>) or ck.pattern (a regex) is set, the name must match one of them.
+
+Options:
+  -b, --branch         Create and switch to a new branch; without a name, fill in a template step by step, descriptions become slugs ("Fix login" -> fix-login)
+      --base <ref>     Base of the new branch (branch, remote branch, tag or commit), without asking
+      --push           Push the new branch and set its upstream right away (--no-push: neither push nor ask)
+  -s, --switch <name>  Switch to an existing branch without prompting; may be a remote branch such as origin/feature
+      --stash          With uncommitted changes, auto-stash them for the current branch and restore them when switching back
+                       (--no-stash: carry them over), without asking
+  -h, --help           Show help`,
+  'ck.selectBranch': 'Select a branch to switch to (type to fuzzy-search, arrow keys to move, Enter to confirm)',
+  'ck.remoteTag': '[remote]',
+  'ck.gone': '[upstream gone]',
+  'ck.tracking': '🔁 Creating local branch {branch} tracking {ref} ...',
+  'ck.alreadyOn': '✅ Already on branch: {branch}',
+  'ck.switching': '🔁 Switching to branch: {branch} ...',
+  'ck.switched': '🎉 Switched to branch: {branch}',
+  'ck.switchFailed': '❌ Switch failed, check for uncommitted changes.',
+  'ck.dirty': '⚠️ The working tree has uncommitted changes',
+  'ck.dirtyAction': 'What should happen to the uncommitted changes?',
+  'ck.dirty.stash': 'Auto-stash - stash them for {branch} and restore them when switching back to {branch}',
+  'ck.dirty.carry': 'Carry over - bring them to the target branch (switching fails if they conflict with it)',
+  'ck.dirty.cancel': 'Cancel the switch',
+  'ck.detached': 'not on a branch',
+  'ck.stashDetached': '❌ Not on a branch (detached HEAD), cannot auto-stash',
+  'ck.stashFailed': '❌ Auto-stash failed; the branch was not switched',
+  'ck.stashed': '📦 Uncommitted changes auto-stashed; they will be restored when switching back to {branch}',
+  'ck.stashHint': '💡 Tip: use ck --stash to auto-stash uncommitted changes and restore them when switching back to the current branch',
+  'ck.restoring': '📤 Restoring the auto-stash of {branch} ({ref}) ...',
+  'ck.restored': '✅ Restored the previously uncommitted changes',
+  'ck.restoreFailed': '❌ Could not restore the auto-stash; the changes are still saved in {ref}, restore them later with stash pop',
+  'ck.creatingFrom': '🚀 Creating and switching to new branch {branch} from "{base}" ...',
+  'ck.creating': '🚀 Creating and switching to new branch: {branch} ...',
+  'ck.createdFrom': '🎉 Created new branch {branch} from "{base}" and switched to it',
+  'ck.created': '🎉 Created and switched to new branch: {branch}',
+  'ck.createFailed': '❌ Failed to create the branch; it may already exist or there are uncommitted changes.',
+  'ck.branchNotFound': '❌ Branch does not exist: {branch}',
+  'ck.inputName': 'Enter the new branch name:',
+  'ck.selectTemplate': 'Select a branch name template:',
+  'ck.inputPlaceholder': 'Enter <{placeholder}>:',
+  'ck.inputSlug': 'Enter a short description (becomes <slug>, e.g. "Fix login" -> fix-login):',
+  'ck.invalidPlaceholder': 'Invalid value for <{placeholder}>: "{value}"',
+  'ck.emptyName': 'The branch name cannot be empty',
+  'ck.invalidName': 'Not a valid branch name: {name}',
+  'ck.nameMismatch': 'Branch name {name} does not follow the naming rules: {rules}',
+  'ck.invalidPattern': 'The ck.pattern setting is not a valid regex: {pattern} ({error})',
+  'ck.selectBase': 'Select the base of the new branch (type to fuzzy-search)',
+  'ck.fetching': '🔄 Fetching the latest commits from {remote} ...',
+  'ck.baseNotFound': '❌ Base does not exist: {base}',
+  'ck.confirmPush': 'Push {branch} now and set its upstream?',
+  'ck.pushing': '⬆️ Pushing {branch} to {remote} and setting the upstream ...',
+  'ck.pushFailed': '❌ Push failed; the branch exists locally, push it later with push.',
+  'ck.noRemote': '❌ There is no remote to push to.',
+
+  // ============= l =============
+  'l.usage': `Usage: l [git log arguments...] [options]
+
+  Without arguments, show a graph of the latest commits (count from the log.limit setting, default 20); other arguments are passed to git log.
+  Filters work on their own (keeping the default graph format) or together with git log arguments.
+
+Filters:
+  --mine           Only your own commits (by git's user.email)
+  --author <name>  Filter by author (case-insensitive)
+  --since <when>   Only commits after that time, e.g. 2w, 3d, 1m, 2024-01-01 (h/d/w/m/y: hours/days/weeks/months/years)
+  --grep <text>    Filter by commit message (case-insensitive)
+  --path <path>    Only commits touching that path, e.g. src/
+  --vs <branch>    Only commits on the current branch that are not on that branch, e.g. --vs main
+  --guided         Build the filters step by step and print the equivalent command
+
+Options:
+  --json           Print commit hash, author, date and subject as JSON (cannot be combined with --oneline, --pretty or --format)
+  --interactive    Browse commits interactively: paged list, search by message, author or path; pick a commit to see its full message,
+                   changed files with stats and the patch, then copy its hash, cherry-pick, revert or reset to it (filters and git log arguments still apply)
+  -h, --help       Show help`,
+  'l.page': '\n📜 Commits {from}-{to}',
+  'l.noCommits': '\n📭 No matching commits',
+  'l.filters': '🔍 Search: {filters}',
+  'l.selectCommit': 'Select a commit to see its details',
+  'l.search': '🔍 Search',
+  'l.quit': '👋 Quit',
+  'l.searchBy': 'Search by:',
+  'l.field.mine': 'mine',
+  'l.field.author': 'author',
+  'l.field.since': 'since',
+  'l.field.grep': 'message',
+  'l.field.path': 'path',
+  'l.field.vs': 'not on',
+  'l.searchValue': 'Enter the {field} (empty clears it):',
+  'l.commitAction': 'What to do with commit {hash}?',
+  'l.action.patch': '📄 Show the patch',
+  'l.action.copy': '📋 Copy the hash',
+  'l.action.cherry-pick': '🍒 Cherry-pick onto the current branch',
+  'l.action.revert': '↩️ Revert (new commit undoing it)',
+  'l.action.reset': '⏪ Reset to this commit (res)',
+  'l.action.back': '⬅️ Back to the list',
+  'l.noIdentity': 'git user.email is not configured; --mine is unavailable',
+  'l.unknownRef': 'No such branch or revision: {ref}',
+  'l.formatConflict': '{option} cannot be combined with {format}',
+  'l.guided.select': 'Choose the filters to use (Space to select, Enter to confirm)',
+  'l.guided.mine': 'Only my commits',
+  'l.guided.author': 'By author',
+  'l.guided.since': 'By time (after a point in time)',
+  'l.guided.grep': 'By commit message',
+  'l.guided.path': 'By path (touching a file or directory)',
+  'l.guided.vs': 'Compare with another branch (commits here that are not there)',
+  'l.guided.input.author': 'Author name or email (partial is fine):',
+  'l.guided.input.since': 'Since when? e.g. 2w (two weeks), 3d (three days), 1m (a month), 2024-01-01:',
+  'l.guided.input.grep': 'Commit message contains:',
+  'l.guided.input.path': 'File or directory path, e.g. src/:',
+  'l.guided.input.vs': 'Branch to compare with (type to fuzzy-search)',
+  'l.guided.empty': 'Cannot be empty',
+  'l.guided.command': '💡 Next time, run directly: {command}',
+  'l.copied': '📋 Copied: {hash}',
+  'l.copyFailed': 'Could not write to the clipboard. Commit hash: {hash}',
+  'l.cherry-pick.running': '🍒 Cherry-picking {hash} ...',
+  'l.cherry-pick.done': '✅ Cherry-picked {hash}',
+  'l.cherry-pick.failed': '❌ Cherry-picking {hash} failed',
+  'l.revert.running': '↩️ Reverting {hash} ...',
+  'l.revert.done': '✅ Reverted {hash}',
+  'l.revert.failed': '❌ Reverting {hash} failed',
+
+  // ============= bd =============
+  'bd.usage': `Usage: bd [branches...] [options]
+
+  Without branch arguments, pick local branches to delete interactively; with branch names, delete them directly without prompting.
+  The list shows each branch's last commit time and author, with [merged], [upstream gone] and [stale] markers.
+
+Options:
+  -f, --force    Force-delete (git branch -D) when safe deletion fails, e.g. unmerged branches
+  -r, --remote   Also delete the remote branches they track (--no-remote to skip)
+  --merged       Preselect branches merged into the default branch
+  --gone         Preselect branches whose upstream has been deleted
+  --stale        Preselect branches without commits for a long time
+  --days <n>     Number of days for --stale (defaults to the bd.staleDays setting, 30)
+  -y, --yes      With --merged / --gone / --stale, delete the matching branches without prompting
+  -h, --help     Show help`,
+  'bd.deleteFailed': 'Delete failed',
+  'bd.forceDeleteFailed': 'Force delete failed',
+  'bd.remoteDeleteFailed': 'Failed to delete remote branch',
+  'bd.selectPreset': 'Preselect branches to clean up by:',
+  'bd.preset.none': 'No preselection, pick manually',
+  'bd.preset.merged': 'Merged into {target} ({count})',
+  'bd.preset.gone': 'Upstream deleted ({count})',
+  'bd.preset.stale': 'No commits in {days} days ({count})',
+  'bd.tag.merged': 'merged',
+  'bd.tag.gone': 'upstream gone',
+  'bd.tag.stale': 'stale',
+  'bd.tag.protected': 'protected',
+  'bd.noDefaultBranch': 'default branch not found',
+  'bd.invalidDays': 'Invalid number of days: {days}',
+  'bd.nothingMatched': 'No branches match.',
+  'bd.selectAll': '🔘 Select all (choosing this selects every branch)',
+  'bd.selectBranches': 'Select local branches to delete (current branch: {current}, which cannot be deleted). Space to toggle, Enter to confirm, Ctrl+C to cancel:',
+  'bd.noneSelected': 'No branch selected, cancelled.',
+  'bd.aboutToDelete': 'About to delete these local branches:',
+  'bd.confirmDelete': 'Delete the local branches above? (safe deletion with git branch -d, Ctrl+C to cancel)',
+  'bd.deleteCancelled': 'Deletion cancelled.',
+  'bd.invalidBranches': '❌ These branches do not exist or are the current branch and cannot be deleted: {branches}',
+  'bd.nothingToDelete': 'No local branches to delete (other than the current branch).',
+  'bd.undoHint': `\n💡 Tip: run 'undo' to recreate the deleted branches at their previous commits`,
+  'bd.deletedLocal': '\nDeleted (local):',
+  'bd.safeDeleteFailed': '\nCould not delete safely (probably unmerged or with unsaved changes):',
+  'bd.confirmForce': 'Force-delete the failed branches above (git branch -D)? (Ctrl+C to cancel)',
+  'bd.forceDeleted': '\nForce-deleted:',
+  'bd.forceFailed': '\nForce delete failed:',
+  'bd.forceHint': '\n💡 Tip: add --force to delete unmerged branches',
+  'bd.noLocalDeleted': '\nNo local branches were deleted, skipping remote deletion.',
+  'bd.confirmRemote': 'Also delete the remote branches matching the deleted local branches? ({count} deleted, Ctrl+C to cancel)',
+  'bd.localOnlyDone': 'Local deletion finished, remote branches were not touched.',
+  'bd.noRemoteCandidates': 'The deleted local branches have no remote branches to delete (looked up from branch.<name>.remote / merge).',
+  'bd.remoteChoice': '{ref}  (remote {remote}, local branch {local})',
+  'bd.remoteSkipped': '\nSkipping these remote branches:',
+  'bd.remoteProtected': 'protected branch',
+  'bd.remoteMissing': 'remote-tracking branch no longer exists',
+  'bd.selectAllRemote': '🔘 Select all (choosing this selects every remote branch)',
+  'bd.selectRemotes': 'Select remote branches to delete (Space to toggle, Enter to confirm, Ctrl+C to cancel):',
+  'bd.noRemoteSelected': 'No remote branch selected, done.',
+  'bd.deletingRemote': '\nDeleting remote branches:',
+  'bd.remoteDeleted': '\nRemote branches deleted:',
+  'bd.remoteFailed': '\nRemote deletion failed:',
+  'bd.done': '\nDone.',
+
+  // ============= res =============
+  'res.usage': `Usage: res [action] [args] [options]
+
+  Without arguments, open the interactive menu; with an action and its arguments, run it directly and only ask for missing values in a terminal.
+
+Actions:
+  commits <count>    Undo the most recent commits
+  unstage [files...] Unstage the given files (--all for everything)
+  remote             Reset to the remote branch (--json only reports ahead/behind, no reset)
+  commit <hash>      Reset to a specific commit (or a reflog state such as HEAD@{2})
+  backups            List the automatic backups (HEAD and uncommitted changes, untracked files included, saved before every hard reset)
+                     --delete <number|all> deletes backups you no longer need (at most 20 are kept)
+  restore <number>   Restore a backup: reset to its HEAD and bring back its uncommitted changes
+
+Options:
+  -m, --mode <mode>  Reset mode: soft | mixed | hard
+  -y, --yes          Skip confirmation (required for hard mode, or type yes in a terminal)
+  -a, --all          Unstage all files
+  --dry-run          Only preview the effect of each mode on files (staged, unstaged, discarded, with line counts), do not reset
+  --json             Print a JSON report for remote and backups
+  -h, --help         Show help`,
+  'res.title': '\n🔄 Git reset helper\n',
+  'res.menu.resetCommits': '📜 Undo commits - undo recent commits (keeping or discarding changes)',
+  'res.menu.unstageFiles': '📦 Unstage files - move staged files out of the index',
+  'res.menu.resetToRemote': '🔗 Reset to remote - reset the local branch to the latest remote state',
+  'res.menu.resetToCommit': '🎯 Reset to commit - reset precisely to a commit hash',
+  'res.menu.listBackups': '🛟 Backups - list and restore the automatic backups taken before hard resets',
+  'res.menu.cancel': '❌ Cancel',
+  'res.cancelledMenu': '\nCancelled\n',
+  'res.invalidMode': 'Invalid mode: {mode} (choose from: {modes})',
+  'res.confirmHard': 'Type "yes" to confirm the hard reset:',
+  'res.typeYes': 'Please type "yes" to confirm',
+  'res.localChanges': 'local changes',
+  'res.changes': 'changes',
+  'res.selectResetMode': 'Select a reset mode:',
+  'res.modeMixed': 'mixed - keep {subject} but unstage them (recommended)',
+  'res.modeSoft': 'soft  - keep {subject} staged',
+  'res.modeHard': 'hard  - discard {subject} completely ⚠️',
+  'res.fetching': '🔄 Fetching remote information...\n',
+  'res.noRemoteInfo': '❌ Unable to get remote branch information',
+  'res.running': '\nRunning...\n',
+  'res.resetFailed': '\n❌ Reset failed\n',
+  'res.undoHint': `💡 Tip: run 'undo' to revert this reset (see 'git reflog' for the full history)\n`,
+  'res.backup.created': '🛟 Backed up the current HEAD and uncommitted changes: #{id} (restore with res restore {id})',
+  'res.backup.failed': '❌ Automatic backup failed, nothing was reset: {error}',
+  'res.backup.none': 'There are no backups from hard resets',
+  'res.backup.title': '\n🛟 Automatic backups taken before hard resets (newest first):',
+  'res.backup.changesTag': '[uncommitted changes]',
+  'res.backup.restoreHint': '💡 Tip: restore one with res restore <number>',
+  'res.backup.select': 'Select the backup to restore:',
+  'res.backup.notFound': '❌ No such backup: {id} (see res backups)',
+  'res.backup.otherBranch': '❌ Backup #{id} belongs to branch {branch} but you are on {current}; switch to {branch} first',
+  'res.backup.aboutToRestore': '\n⚠️  About to restore backup #{id}: reset the current branch to {head} and bring back its uncommitted changes (the current state is backed up first)',
+  'res.backup.untrackedCollision': '❌ Backup #{id} would overwrite these untracked files, which have different contents: {files}\n   Move or delete them first',
+  'res.backup.applyFailed': '❌ Could not restore the uncommitted changes: {error}\n   They are still saved in {sha}; restore them manually with git stash apply {sha}',
+  'res.backup.aboutToDelete': '\n🗑️  About to delete {count} backup(s):',
+  'res.backup.confirmDelete': 'Delete these backups? They cannot be restored afterwards',
+  'res.backup.deleted': '✅ Deleted {count} backup(s)',
+  'res.backup.deleteFailed': '❌ Failed to delete: {ids}',
+  'res.backup.restored': '✅ Restored backup #{id}',
+  'res.resetCommits.title': '\n📜 Undo commits\n',
+  'res.resetCommits.selectCount': 'How many commits do you want to undo?',
+  'res.resetCommits.countChoice': 'Undo {count} commit(s)',
+  'res.resetCommits.customCount': 'Custom count',
+  'res.resetCommits.pickTarget': 'Pick the target from the history or the reflog',
+  'res.resetCommits.inputCount': 'Enter the number of commits to undo:',
+  'res.resetCommits.countRange': 'Please enter a number between 1 and 99',
+  'res.resetCommits.invalidCount': 'Invalid commit count: {count}',
+  'res.resetCommits.preview': '\n📋 These {count} commit(s) will be undone:\n',
+  'res.resetCommits.selectMode': 'Select a reset mode:',
+  'res.resetCommits.modeSoft': '💚 soft   - keep the changes staged (ready to commit again)\n          Use when: you want to rewrite the commit message',
+  'res.resetCommits.modeMixed': '🟡 mixed  - keep the changes but unstage them (default)\n          Use when: you want to reorganize what gets committed',
+  'res.resetCommits.modeHard': '🔴 hard   - discard all changes ⚠️  Dangerous!\n          Use when: you are sure you want to drop these commits and changes',
+  'res.resetCommits.hardWarning': '\n⚠️  Warning: this permanently deletes:\n   - all changes from the last {count} commit(s)\n   - uncommitted changes in the working tree\n\n❌ This cannot be undone!\n',
+  'res.resetCommits.done': '\n✅ Undid {count} commit(s) (mode: {mode})\n',
+  'res.resetCommits.currentHead': 'Current state:\n  HEAD is now at: {head}\n',
+  'res.resetCommits.failed': '\n❌ Undo failed\n',
+  'res.unstage.title': '\n📦 Unstage files\n',
+  'res.unstage.nothingStaged': 'ℹ️  No files are staged\n',
+  'res.unstage.notStaged': '❌ These files are not staged: {files}\n',
+  'res.unstage.noneSelected': '\nNo files selected\n',
+  'res.unstage.fileFailed': '  ❌ {file} (failed)',
+  'res.unstage.done': '\n✅ Unstaged {count} file(s)\n',
+  'res.unstage.hint': '💡 The changes are still in the working tree\n',
+  'res.unstage.stagedFiles': 'Currently staged files:\n',
+  'res.unstage.selectAll': '🔘 Select all (unstage every file)',
+  'res.unstage.selectFiles': 'Select files to unstage (Space to toggle, Enter to confirm):',
+  'res.remote.title': '\n🔗 Reset to remote branch\n',
+  'res.remote.noInfo': '❌ Unable to get remote branch information\n',
+  'res.remote.branches': 'Current branch: {local}\nRemote branch: {remote}\n',
+  'res.remote.noDiff': '❌ Unable to compare with the remote\n',
+  'res.remote.inSync': '✅ The local branch is in sync with the remote branch\n',
+  'res.remote.diffTitle': '📊 Differences between local and remote:\n',
+  'res.remote.ahead': 'Local is ahead by {count} commit(s):',
+  'res.remote.behind': 'Remote is ahead by {count} commit(s):',
+  'res.remote.warning': '⚠️  This resets the local branch to the latest state of the remote branch\n',
+  'res.remote.confirm': 'Reset the local branch to {remote}?',
+  'res.remote.done': '\n✅ Reset to {remote}\n',
+  'res.preview.title': '\n🔎 Effect on files of resetting to {target}:',
+  'res.preview.mode.soft': '  soft:',
+  'res.preview.mode.mixed': '  mixed:',
+  'res.preview.mode.hard': '  hard:',
+  'res.preview.nothing': '    (no file changes)',
+  'res.preview.staged': '    {count} file(s) staged:',
+  'res.preview.unstaged': '    {count} file(s) unstaged:',
+  'res.preview.committed': '    {count} file(s) with committed changes discarded (recoverable from the reflog):',
+  'res.preview.lost': '    ⚠️ {count} file(s) with uncommitted changes lost permanently:',
+  'res.preview.binary': 'binary',
+  'res.preview.dryRun': '🧪 --dry-run: preview only, nothing was reset',
+  'res.commit.title': '\n🎯 Reset to a specific commit\n',
+  'res.commit.invalidTarget': '❌ Invalid commit hash: {target}\n',
+  'res.commit.methodManual': 'Enter a commit hash',
+  'res.commit.selectCommit': 'Select the commit to reset to:',
+  'res.commit.inputHash': 'Enter a commit hash (full or first 7 characters):',
+  'res.commit.hashTooShort': 'Please enter at least 6 characters',
+  'res.commit.invalidHash': '\n❌ Invalid commit hash\n',
+  'res.commit.target': '\nTarget commit:\n  Hash: {hash}\n  Author: {author}\n  Time: {time}\n  Message: {message}\n',
+  'res.commit.source.history': '\n📜 Commit history (commits {from}-{to})',
+  'res.commit.source.reflog': '\n🕘 Reflog - where HEAD has been (entries {from}-{to}); go back to before a rebase or a previous reset',
+  'res.commit.searching': '🔍 Message contains: {search}',
+  'res.commit.search': '🔍 Search by message',
+  'res.commit.showReflog': '🕘 Show the reflog (states before a rebase or reset)',
+  'res.commit.showHistory': '📜 Show the commit history',
+  'res.commit.inputSearch': 'Message contains (empty clears):',
+  'res.commit.discarded': '🗑️ {count} commit(s) will be discarded from the current branch:',
+  'res.commit.regained': '♻️ {count} commit(s) not on the current branch will be brought back:',
+  'res.commit.kept': '✅ Kept: {hash} and everything before it ({count} commits)',
+  'res.commit.aboutToReset': '\n⚠️  About to reset to commit: {hash}',
+  'res.commit.confirm': 'Proceed?',
+  'res.commit.done': '\n✅ Reset to the selected commit\n',
+
+  // ============= stash =============
+  'stash.usage': `Usage: stash [action] [args] [options]
+
+  Without arguments, open the interactive menu; with an action, run it directly without confirmation prompts.
+
+Actions:
+  push               Stash the current changes
+  pop [index]        Restore and remove a stash (default 0, i.e. stash@{0})
+  apply [index]      Apply a stash but keep it
+  show [index]       Show the contents of a stash
+  drop [index]       Remove a stash
+  clear              Remove all stashes (requires --yes)
+  list               List stashes (--json for machine-readable output)
+
+Options:
+  -m, --message <text>     Stash message for push
+  -u, --include-untracked  Include untracked files in push
+  -k, --keep-index         Keep staged changes in the index on push
+  -a, --all                Include all files, even ignored ones, in push
+  -y, --yes                Skip the confirmation for clear
+  --json                   Print JSON for list
+  -h, --help               Show help`,
+  'stash.title': '\n🗂️  Git stash manager\n',
+  'stash.status.title': '📊 Current state:',
+  'stash.status.branch': '  • Branch: {branch}',
+  'stash.status.modified': '  • Working tree: {count} file(s) modified',
+  'stash.status.staged': '  • Index: {count} file(s) staged',
+  'stash.status.untracked': '  • Untracked: {count} file(s)',
+  'stash.status.stashes': '  • Stashes: {count}',
+  'stash.menu.stash': '💾 Stash changes - save working tree and index changes',
+  'stash.menu.manage': '📋 Manage stashes ({count}) - restore, apply, inspect or drop',
+  'stash.menu.list': '📜 List stashes - show details of every stash',
+  'stash.menu.exit': '❌ Exit',
+  'stash.nothingToDo': 'ℹ️  The working tree is clean and there are no saved stashes\n',
+  'stash.nothingToDoHint': '💡 Tip: use this command to stash changes whenever you have uncommitted work\n',
+  'stash.exited': '\nExited\n',
+  'stash.running': '\nRunning...\n',
+  'stash.empty': 'ℹ️  There are no stashes\n',
+  'stash.back': '← Back',
+  'stash.remaining': '📊 Stashes left: {count}\n',
+  'stash.irreversible': '⚠️  This cannot be undone!\n',
+  'stash.dirtyWarning': '⚠️  Warning: the working tree has uncommitted changes\n',
+  'stash.confirmConflict': 'Running {action} may cause conflicts. Continue?',
+  'stash.invalidIndex': 'Invalid stash index: {index}',
+  'stash.notFound': '❌ Stash does not exist: {ref}',
+  'stash.push.title': '\n💾 Stash changes\n',
+  'stash.push.nothing': 'ℹ️  There are no changes to stash\n',
+  'stash.push.status': 'Working tree state:',
+  'stash.push.modified': '  📝 Modified: {count} file(s)',
+  'stash.push.staged': '  ✅ Staged: {count} file(s)',
+  'stash.push.untracked': '  ❓ Untracked: {count} file(s)',
+  'stash.push.selectOption': 'Select a stash option:',
+  'stash.push.optionDefault': '💾 Stash all changes (excluding untracked files)\n          git stash push',
+  'stash.push.optionMessage': '📝 Stash with a message\n          git stash push -m "message"',
+  'stash.push.optionUntracked': '📦 Include untracked files\n          git stash push -u',
+  'stash.push.optionKeepIndex': '🎯 Stash only unstaged changes (keep the index)\n          git stash push --keep-index',
+  'stash.push.optionAll': '🗂️  Include all files (even ignored ones)\n          git stash push -a',
+  'stash.push.inputMessage': 'Enter a message:',
+  'stash.push.emptyMessage': 'The message cannot be empty',
+  'stash.push.done': '\n✅ Changes stashed\n',
+  'stash.push.count': '📊 Stashes: {count}\n',
+  'stash.push.hint': '💡 Tip: use the stash command to manage your stashes\n',
+  'stash.push.failed': '\n❌ Stash failed\n',
+  'stash.manage.title': '\n📋 Manage stashes\n',
+  'stash.manage.count': '{count} stash(es):\n',
+  'stash.manage.clear': '🧹 Clear all stashes',
+  'stash.manage.select': 'Select a stash:',
+  'stash.operate.selected': '\nSelected stash: {stash}\n',
+  'stash.operate.selectAction': 'What do you want to do with {ref}?',
+  'stash.operate.pop': '📤 Restore and remove (pop)\n          Apply the stashed changes and remove it from the stash list',
+  'stash.operate.apply': '📌 Apply but keep (apply)\n          Apply the stashed changes and keep it in the stash list',
+  'stash.operate.show': '👀 Show contents (show)\n          Show the changes in this stash',
+  'stash.operate.drop': '🗑️  Drop (drop)\n          Remove this stash from the stash list',
+  'stash.pop.running': '\n📤 Restoring {ref}...\n',
+  'stash.pop.done': '\n✅ Restored {ref}\n',
+  'stash.pop.failed': '\n❌ Restore failed\n',
+  'stash.pop.conflicts': '\n❌ Restoring the stash caused conflicts',
+  'stash.pop.dropHint': '💡 Tip: after resolving conflicts, drop the stash manually: git stash drop {ref}\n',
+  'stash.apply.running': '\n📌 Applying {ref}...\n',
+  'stash.apply.done': '\n✅ Applied {ref}\n',
+  'stash.apply.hint': '💡 Tip: the changes are applied, but the stash stays in the list\n',
+  'stash.apply.failed': '\n❌ Apply failed\n',
+  'stash.apply.conflicts': '\n❌ Applying the stash caused conflicts',
+  'stash.show.title': '\n👀 Contents of {ref}:\n',
+  'stash.show.continue': 'Do something else with this stash?',
+  'stash.drop.title': '\n🗑️  About to drop: {stash}\n',
+  'stash.drop.confirm': 'Drop {ref}?',
+  'stash.drop.done': '\n✅ Dropped {ref}\n',
+  'stash.drop.failed': '\n❌ Drop failed\n',
+  'stash.clear.title': '\n🧹 About to clear all stashes ({count})\n',
+  'stash.clear.list': 'These stashes will be removed:',
+  'stash.clear.confirm': 'Type "yes" to clear all {count} stash(es):',
+  'stash.clear.done': '\n✅ All stashes cleared\n',
+  'stash.clear.failed': '\n❌ Clear failed\n',
+  'stash.undoHint': `💡 Tip: run 'undo' to restore dropped stashes\n`,
+  'stash.list.title': '\n📋 Stash list\n',
+  'stash.list.count': '{count} stash(es):\n',
+
+  // ============= config =============
+  'config.usage': `Usage: config [action] [args] [options]
+
+Actions:
+  list                 List the effective value and source of every setting (default)
+  get <key>            Print the value of one setting
+  set <key> <value>    Change a setting (writes the global file by default)
+  unset <key>          Remove a setting
+  path                 Show the config file locations
+
+Options:
+  --local              Write the repository's .terminalscriptrc
+  --global             Write ~/.terminalscriptrc (default)
+  --json               Print JSON for list and get
+  -h, --help           Show help
+
+Settings:
+  locale               Interface language: zh-CN, en (derived from LANG by default)
+  log.limit            Number of commits l shows by default (default 20)
+  s.defaultScript      Keyword of the script s preselects (default sit)
+  remote.default       Default remote name (default origin)
+  res.counts           Preset commit counts offered by res, comma-separated (default 1,2,3,5)
+  bd.staleDays         Days without commits after which bd --stale considers a branch stale (default 30)
+  protected.branches   Globs of protected branches, comma-separated, e.g. main,master,release/* (default: none); deleting, hard-resetting or pushing directly to them needs confirmation
+  protected.action     For protected branches: confirm asks to type the branch name (default), block refuses
+  push.checks          npm scripts push runs in parallel before pushing, comma-separated (none by default); best set in the repository file
+  p.strategy           Default pull strategy of p: merge, rebase, ff-only (follows git's pull.rebase by default)
+  cf.mergeTool         Merge tool used by cf (defaults to git's merge.tool)
+  ck.base              Default base for branches created by ck (unset: the prompt suggests the default remote's default branch, e.g. origin/main; without a terminal, the current HEAD)
+  ck.templates         Branch name templates of ck, comma-separated, e.g. feature/<ticket>-<slug>,fix/<slug> (<ticket>: ticket id, <slug>: hyphenated description)
+  ck.pattern           Regex branch names created by ck must match (matching it or any of ck.templates is enough)
+  plugins.dir          User plugin directory (default ~/.terminalscript/commands); global file or TS_PLUGINS_DIR only, ignored in repository files
+  alias.<alias>        Command alias, e.g. alias.co = ck, used as ts co
+
+Precedence: TS_* environment variables (e.g. TS_LOG_LIMIT) > repository file > global file > defaults`,
+  'config.unset': '(not set)',
+  'config.notInRepo': '❌ The current directory is not inside a Git repository, --local is unavailable',
+  'config.missingKey': 'Missing setting name',
+  'config.missingValue': 'Missing setting name or value',
+  'config.knownKeys': 'Available settings: {keys}',
+  'config.list.title': '\n⚙️  Current settings:\n',
+  'config.list.envHint': '\n💡 Tip: TS_* environment variables (e.g. TS_LOG_LIMIT) take precedence over config files\n',
+  'config.source.default': 'default',
+  'config.source.global': 'global file',
+  'config.source.local': 'repository file',
+  'config.source.env': 'environment',
+  'config.set.done': '✅ Set {key} = {value} ({file})',
+  'config.set.envOverride': '⚠️  The environment variable {env} is set and overrides this setting',
+  'config.unset.done': '✅ Removed {key} ({file})',
+  'config.unset.missing': 'ℹ️  {key} is not set in {file}',
+  'config.path.global': 'Global: {file}',
+  'config.path.local': 'Repository: {file}',
+  'config.path.noRepo': '(not inside a Git repository)',
+  'config.errors.unknownKey': 'Unknown setting: {key}',
+  'config.errors.invalidNumber': 'Setting {key} must be a positive integer, got: {value}',
+  'config.errors.invalidList': 'Setting {key} must be comma-separated positive integers, got: {value}',
+  'config.errors.invalidChoice': 'Setting {key} must be one of {values}, got: {value}',
+  'config.errors.invalidFile': 'Invalid config file: {file} ({reason})',
+  'config.errors.globalOnly': '{key} can only be set in the global file ~/.terminalscriptrc or with {env}',
+  'config.localIgnored': '⚠️  Ignored {key} in {file}: it can only be set in the global file ~/.terminalscriptrc or with {env}',
+
+  // ============= commands / ts =============
+  'commands.loadFailed': '⚠️  Failed to load plugin: {file} ({reason})',
+  'commands.invalidPlugin': '⚠️  Invalid plugin, the default export must be an object with a run function: {file}',
+  'commands.duplicate': '⚠️  Plugin command {name} clashes with an existing command and was ignored: {file}',
+  'ts.usage': `Usage: ts <command> [args]
+
+  Run every command through one entry point, e.g. ts ck, ts stash pop, ts l --json.
+  Without a command, list all commands (same as ts h).
+
+Aliases:
+  ts config set alias.<alias> "<command> [args]"   e.g. ts config set alias.co ck, then ts co runs ts ck
+  Aliases never override built-in commands
+
+Short commands (optional):
+  ./register.sh [name...]   Register commands as standalone short commands (e.g. ck, stash); set TS_BIN_DIR to choose the target directory
+                            Only b, bd, c, ck, h, l, p, push, res, s and stash can be registered; other commands are available as ts <command> only`,
+  'ts.unknownCommand': '❌ Unknown command: {name}',
+  'ts.listHint': '💡 Run ts h to list all available commands',
+
+  // ============= completion =============
+  'completion.usage': `Usage: completion <bash|zsh|fish> [short command...]
+
+  Print a shell completion script for ts and the listed short commands (names registered by register.sh, e.g. ck stash).
+
+Install:
+  bash   Add to ~/.bashrc: eval "$(ts completion bash)"
+  zsh    Add to ~/.zshrc: eval "$(ts completion zsh)"
+  fish   ts completion fish > ~/.config/fish/completions/ts.fish
+
+Options:
+  -h, --help    Show help`,
+  'completion.missingShell': 'Missing shell name',
+  'completion.unknownShell': 'Unsupported shell: {shell}',
+
+  // ============= undo =============
+  'undo.usage': `Usage: undo [list | last | <id>] [options]
+
+  Undo destructive operations performed by res (reset), bd (branch deletion) and stash (drop, clear).
+  Without arguments, pick the operation to undo interactively.
+
+Actions:
+  list             List the undo journal (only operations not yet undone by default)
+  last             Undo the most recent operation
+  <id>             Undo the operation with this id, e.g. undo 3
+
+Options:
+  -a, --all        Include undone entries in list
+  --json           Print JSON for list
+  -y, --yes        Skip the confirmation after picking interactively
+  -f, --force      Undo a reset even if HEAD has moved since
+  -h, --help       Show help`,
+  'undo.empty': 'ℹ️  Nothing to undo\n',
+  'undo.list.title': '\n↩️  Undo journal (newest first):\n',
+  'undo.select': 'Select the operation to undo:',
+  'undo.confirm': 'Undo {entry}?',
+  'undo.running': '\n↩️  Undoing {entry}\n',
+  'undo.done': '\n✅ Undo complete\n',
+  'undo.failed': '\n❌ Undo did not complete, see the errors above\n',
+  'undo.nothingToUndo': 'Nothing to undo',
+  'undo.notFound': 'No journal entry: {id}',
+  'undo.alreadyUndone': 'Entry #{id} has already been undone',
+  'undo.unknownType': '❌ This kind of entry cannot be undone: {type}',
+  'undo.undoneTag': '(undone)',
+  'undo.describe.reset': 'reset --{mode} on {branch} ({before} → {after})',
+  'undo.describe.branchDelete': 'deleted local branches {branches}',
+  'undo.describe.remoteBranchDelete': 'deleted remote branches {branches}',
+  'undo.describe.stashDrop': 'dropped {count} stash(es)',
+  'undo.reset.wrongBranch': '❌ Switch to {branch} before undoing this reset',
+  'undo.reset.headMoved': '❌ HEAD has moved since the reset (it was {after} afterwards); add --force to undo anyway',
+  'undo.reset.done': '✅ HEAD restored to {before}',
+  'undo.branch.restored': '✅ Restored branch {branch} ({sha})',
+  'undo.branch.failed': '❌ Failed to restore branch {branch}: {error}',
+  'undo.stash.restored': '✅ Restored stash: {message}',
+  'undo.stash.failed': '❌ Failed to restore stash ({message}): {error}',
+
+  // ============= protected =============
+  'protected.op.delete': 'delete the branch',
+  'protected.op.deleteRemote': 'delete the remote branch',
+  'protected.op.hardReset': 'hard reset',
+  'protected.op.push': 'push directly',
+  'protected.blocked': '🛡️  {branch} is a protected branch; not allowed to {operation} (settings protected.branches / protected.action)',
+  'protected.needsConfirm': '🛡️  {branch} is a protected branch; to {operation}, type the branch name in a terminal. Skipped',
+  'protected.confirm': '🛡️  {branch} is a protected branch. Type the branch name to {operation}:',
+  'protected.mismatch': 'The name does not match; {branch} was left untouched',
+
+  // ============= conflicts =============
+  'conflicts.title': '\n⚠️  The {operation} stopped with conflicts; {count} file(s) need resolving:',
+  'conflicts.titleNoOperation': '\n⚠️  {count} file(s) have conflicts to resolve:',
+  'conflicts.selectFile': 'Pick a conflicted file to handle, or the next step:',
+  'conflicts.fileAction': 'How do you want to resolve {file}?',
+  'conflicts.action.hunks': 'View the conflict hunks',
+  'conflicts.action.ours': 'Take ours ({side})',
+  'conflicts.action.theirs': 'Take theirs ({side})',
+  'conflicts.action.editor': 'Open in the editor ({editor})',
+  'conflicts.action.mergetool': 'Open in the merge tool (git mergetool)',
+  'conflicts.action.resolved': 'Mark as resolved',
+  'conflicts.action.back': 'Back to the file list',
+  'conflicts.action.continue': 'All resolved: continue the {operation}',
+  'conflicts.action.abort': 'Abort the {operation} and go back to where you were',
+  'conflicts.action.later': 'Handle it manually later',
+  'conflicts.ours.default': 'the current branch\'s version',
+  'conflicts.theirs.default': 'the incoming version',
+  'conflicts.ours.rebase': 'the upstream version being rebased onto',
+  'conflicts.theirs.rebase': 'the version from your commit being replayed',
+  'conflicts.hunksTitle': '\n{file}: {count} conflict(s)',
+  'conflicts.noHunks': '\n{file} has no conflict markers (probably a modify/delete conflict; take ours or theirs)\n',
+  'conflicts.taken': '✅ {file}: took {side}',
+  'conflicts.takeFailed': '❌ Could not resolve {file}: {error}',
+  'conflicts.confirmMarkers': '{file} still contains conflict markers. Mark it as resolved anyway?',
+  'conflicts.markedResolved': '✅ Marked {file} as resolved',
+  'conflicts.stillConflicted': '\n❌ These files are still conflicted: {files}\n   Conflict markers remain, or it is a binary or modify/delete conflict that has no markers.\n   Take ours / theirs, use the editor or merge tool, or mark them resolved with cf resolved <files...>',
+  'conflicts.continueFailed': '\n❌ Could not continue the {operation}; see the messages above',
+  'conflicts.aborted': '\n↩️  Aborted the {operation}',
+  'conflicts.manualHint': '\n💡 Tip: run cf to resolve the files one by one, then cf continue; or cf abort to give up the {operation}',
+  'conflicts.manualHintNoOperation': '\n💡 Tip: run cf to resolve the files one by one, or edit them and run git add <file>',
+
+  // ============= cf =============
+  'cf.usage': `Usage: cf [action] [files...] [options]
+
+  Resolve conflicts interactively: pick a conflicted file, view its conflict hunks, take ours / theirs, open it in the editor or merge tool, mark it resolved,
+  then continue or abort the merge / rebase / cherry-pick / revert in progress.
+
+Actions:
+  list               List the conflicted files
+  show <files...>    Show the conflict hunks of files
+  ours <files...>    Take our version and mark resolved (during a rebase: the upstream version)
+  theirs <files...>  Take their version and mark resolved (during a rebase: your commit's version)
+  resolved <files...> Mark files as resolved as they are (git add, or git rm for deleted files)
+  continue           Mark text conflicts without conflict markers as resolved and continue the operation
+                     (binary and modify/delete conflicts have to be resolved explicitly)
+  abort              Abort the operation
+
+Options:
+  --json             Print JSON for list
+  -h, --help         Show help
+
+File paths are relative to the repository root (as printed by cf list). Set the merge tool with the cf.mergeTool setting.`,
+  'cf.noConflicts': '✅ No conflicts to resolve',
+  'cf.noOperation': '❌ No merge / rebase / cherry-pick / revert is in progress',
+  'cf.missingFiles': 'Missing file arguments',
+  'cf.notConflicted': 'Not conflicted: {files}',
+  'cf.taken': '✅ Took {side}: {files}',
+  'cf.resolved': '✅ Marked as resolved: {files}',
+  'cf.done': '\n✅ All conflicts resolved'
+};
@@ -0,0 +1,765 @@
+// zh-CN.js - 简体中文消息目录
+
+export default {
+  // ============= 通用 =============
+  'common.notGitRepo': '❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。',
+  'common.currentBranch': '* {branch}（当前分支）',
+  'common.cancelled': '\n已取消。',
+  'common.operationCancelled': '\n\n已取消操作\n',
+  'common.aborted': '\n已取消操作\n',
+  'common.error': '操作出错：',
+  'common.fatal': '致命错误：',
+  'common.selectAction': '请选择要执行的操作：',
+  'common.unknownAction': '未知操作：{action}',
+  'args.missingValue': '选项 {option} 需要一个值',
+  'args.unknownOption': '未知选项：{option}',
+  'prompt.unavailable': '缺少必要参数，且当前不是交互式终端，无法弹出选择提示',
+
+  // ============= pager =============
+  'pager.next': '⏭️ 下一页',
+  'pager.prev': '⏮️ 上一页',
+  'pager.clear': '🧹 清除搜索条件',
+
+  // ============= b =============
+  'b.title': '📋 Git 分支列表:\n',
+
+  // ============= p =============
+  'p.usage': `用法：p [选项]
+
+  拉取当前分支的 upstream：先 fetch 并列出将要拉取的提交，再按选择的策略合并。
+  有本地修改时自动使用 --autostash，拉取完成后恢复；出现冲突时列出冲突文件并提供继续、中止、在编辑器中打开等操作。
+
+选项：
+  --merge            使用 merge 合并远程提交
+  --rebase           把本地提交 rebase 到远程提交之上
+  --ff-only          只允许快进（本地和远程已分叉时失败）
+  --no-autostash     有本地修改时不自动暂存
+  -y, --yes          不询问策略，使用默认策略（配置项 p.strategy，未设置时沿用 git 的 pull.rebase）
+  -h, --help         显示帮助`,
+  'p.fetching': '🔄 正在获取 {remote} 的最新提交...',
+  'p.pulling': '\n🔄 正在执行 {command}...\n',
+  'p.noUpstream': '❌ 分支 {branch} 没有设置 upstream，请先推送（push）或执行 git branch --set-upstream-to',
+  'p.upstreamMissing': '❌ upstream {ref} 不存在',
+  'p.upToDate': '✅ 已是最新，{ref} 上没有新的提交',
+  'p.incoming': '\n将从 {ref} 拉取 {count} 个提交：',
+  'p.localAhead': '\nℹ️  本地还有 {count} 个未推送的提交',
+  'p.selectStrategy': '请选择拉取策略：',
+  'p.strategy.merge': 'merge - 创建合并提交',
+  'p.strategy.rebase': 'rebase - 把本地提交移到远程提交之后，保持线性历史',
+  'p.strategy.ff-only': 'ff-only - 只允许快进',
+  'p.diverged': '本地和远程已分叉',
+  'p.conflictingStrategies': '--merge、--rebase、--ff-only 只能指定一个',
+  'p.autostash': 'ℹ️  检测到本地修改，拉取前自动暂存，完成后恢复',
+  'p.done': '\n✅ 拉取完成',
+  'p.ffOnlyHint': '\n💡 提示：本地和远程已分叉，无法快进，请使用 p --merge 或 p --rebase',
+
+  // ============= push =============
+  'push.usage': `用法：push [选项]
+
+  推送当前分支：先显示将要推送的提交，没有 upstream 时自动设置。
+  有 upstream 时推送到 upstream 所在的远程；有多个远程仓库时交互选择（默认为配置项 remote.default）。
+
+选项：
+  -r, --remote <名称>  推送到指定的远程仓库
+  -f, --force          使用 --force-with-lease 强制推送，推送前列出会被覆盖的远程提交并确认
+  --tags               同时推送所有标签
+  --no-verify          跳过推送前检查（配置项 push.checks）
+  -y, --yes            跳过强制推送的确认
+  -h, --help           显示帮助`,
+  'push.pushing': '\n🚀 正在执行 {command}...\n',
+  'push.noCurrentBranch': '❌ 无法获取当前分支名',
+  'push.noRemotes': '❌ 当前仓库没有配置远程仓库',
+  'push.unknownRemote': '远程仓库 {remote} 不存在（可用：{remotes}）',
+  'push.selectRemote': '请选择要推送到的远程仓库：',
+  'push.summary': '\n📤 {branch} → {remote}/{target}',
+  'push.newBranch': '   {ref} 不存在，将创建新的远程分支',
+  'push.outgoing': '\n将推送 {count} 个提交：',
+  'push.nothingOutgoing': '\n没有需要推送的提交',
+  'push.diverged': '\n⚠️  {ref} 上有 {count} 个本地没有的提交，普通推送会被拒绝：',
+  'push.divergedHint': '\n💡 提示：先运行 p 拉取并合并，或使用 push --force 覆盖远程提交',
+  'push.willOverwrite': '\n⚠️  强制推送将覆盖 {ref} 上的 {count} 个提交：',
+  'push.confirmForce': '确定要强制推送并覆盖 {ref} 吗？',
+  'push.checks.running': '\n🔍 正在运行推送前检查：{checks}',
+  'push.checks.title': '\n检查结果：',
+  'push.checks.passed': '✅ 通过',
+  'push.checks.failed': '❌ 失败（退出码 {code}）',
+  'push.checks.missing': 'package.json 中没有 script：{script}',
+  'push.checks.output': '\n----- {script} 的输出 -----',
+  'push.checks.abort': '\n❌ 推送前检查未通过，已取消推送（使用 push --no-verify 可跳过检查）',
+
+  // ============= h =============
+  'h.title': '\n📚 可用命令列表：\n',
+  'h.noDescription': '暂无说明',
+  'h.aliases': '（别名：{aliases}）',
+  'h.source.user': '用户插件',
+  'h.source.npm': 'npm 插件',
+  'h.aliasTitle': '\n🔗 别名：',
+  'h.desc.b': '查看分支列表 - 列出所有本地分支',
+  'h.desc.bd': '删除本地分支和可选删除对应远程分支 - 交互式选择要删除的分支，支持安全删除和强制删除，可选择同时删除对应的远程分支',
+  'h.desc.c': '复制分支名到剪贴板 - 列出所有本地分支，选择后自动复制分支名到系统剪贴板',
+  'h.desc.cf': '解决冲突 - 逐个文件采用 ours / theirs、在编辑器或合并工具中打开、查看冲突块，然后继续或中止 merge / rebase',
+  'h.desc.ck': '切换或创建分支 - 无参数时模糊搜索本地和远程分支并切换，带参数时从远程默认分支（或指定的基准）按命名规范创建并切换到新分支',
+  'h.desc.completion': '生成 shell 补全脚本 - 支持 bash、zsh、fish，补全命令、分支名、npm scripts、stash 等',
+  'h.desc.config': '查看和修改配置 - 全局 ~/.terminalscriptrc、仓库 .terminalscriptrc 与 TS_* 环境变量分层生效',
+  'h.desc.l': '查看提交历史 - 以图形化方式显示最近 20 条（可通过 log.limit 配置）git 提交记录，支持 --mine、--since 2w、--path、--vs main 等筛选或自定义参数；--interactive 交互浏览提交及其改动',
+  'h.desc.p': '执行 git pull - 预览将要拉取的提交，选择 merge / rebase / ff-only 策略，自动暂存本地修改并引导解决冲突',
+  'h.desc.push': '执行 git push - 推送前显示将要推送的提交，支持选择远程、--force-with-lease 和推送标签',
+  'h.desc.res': 'Git Reset 工具 - 交互式管理提交回退、取消暂存、重置到远程分支等操作，hard reset 前自动备份',
+  'h.desc.s': '运行 npm scripts - 交互式选择并运行当前项目的 npm scripts，自动匹配包含当前分支名的脚本',
+  'h.desc.stash': 'Git Stash 管理器 - 交互式管理工作区暂存，支持暂存、恢复、查看和删除操作',
+  'h.desc.undo': '撤销破坏性操作 - 按撤销日志恢复 res 的 reset、bd 删除的分支、stash 删除的暂存',
+  'h.desc.h': '帮助命令 - 展示所有可用命令（包括插件）及其说明（当前命令）',
+
+  // ============= c =============
+  'c.usage': `用法：c [分支名] [选项]
+
+  不带参数时交互式选择要复制的本地分支；传入分支名时直接复制。
+
+选项：
+  --current    复制当前分支名
+  -h, --help   显示帮助`,
+  'c.notGitRepo': '错误：当前目录不是 git 仓库，或 git 命令执行失败。请在一个 git 仓库目录下运行此命令。',
+  'c.detachedHead': '错误：当前处于分离 HEAD 状态，没有当前分支。',
+  'c.branchNotFound': '错误：本地分支不存在：{branch}',
+  'c.selectBranch': '请选择要复制的本地分支（上下键选择，回车确认，Ctrl+C 退出）',
+  'c.copied': '已复制分支名：{branch}',
+  'c.clipboardFailed': '无法写入剪贴板。分支名为：{branch}',
+  'c.error': '操作被取消或发生错误：',
+
+  // ============= s =============
+  's.usage': `用法：s [脚本名] [-- 参数...]
+
+  不带参数时交互式选择要运行的 npm script；传入脚本名时直接运行。
+
+选项：
+  -h, --help   显示帮助`,
+  's.noPackageJson': '❌ 当前目录没有 package.json',
+  's.noScripts': '⚠️ 没有找到任何 npm scripts',
+  's.running': '🚀 正在运行：npm run {script}\n',
+  's.scriptNotFound': '❌ package.json 中没有脚本：{script}',
+  's.selectScript': '请选择要运行的 npm 命令:',
+
+  // ============= ck =============
+  'ck.usage': `用法：ck [新分支名] [选项]
+
+  无参数时交互选择要切换的分支：输入字符模糊搜索，包含远程分支（切换时创建跟踪它的本地分支），
+  当前分支和最近切换过的分支排在前面，↑/↓ 表示领先/落后 upstream 的提交数。
+  有未提交的更改时，可以带到目标分支或自动 stash，自动 stash 会在切回原分支时自动恢复。
+  带分支名时创建并切换到新分支：交互选择基准（默认项为刚 fetch 的远程默认分支，如 origin/main）或用 --base 指定；
+  无法交互时使用 ck.base，未设置时从当前 HEAD 创建。
+  配置了 ck.templates（如 feature/<ticket>-<slug>）或 ck.pattern（正则）时，分支名必须匹配其中之一。
+
+选项：
+  -b, --branch         创建并切换到新分支；不带名称时按模板逐项填写，描述会自动转换为 slug（如 "Fix login" -> fix-login）
+      --base <ref>     新分支的基准（分支、远程分支、标签或提交），不询问
+      --push           创建后立即推送并设置 upstream（--no-push 不推送也不询问）
+  -s, --switch <name>  直接切换到已有分支，不弹出选择；也可以是远程分支（如 origin/feature）
+      --stash          有未提交的更改时自动 stash 并关联到当前分支，切回时自动恢复（--no-stash 直接带到目标分支），不询问
+  -h, --help           显示帮助`,
+  'ck.selectBranch': '请选择要切换的分支（输入字符模糊搜索，上下键选择，回车确认）',
+  'ck.remoteTag': '[远程]',
+  'ck.gone': '[upstream 已删除]',
+  'ck.tracking': '🔁 创建本地分支 {branch} 并跟踪 {ref} ...',
+  'ck.alreadyOn': '✅ 已在分支：{branch}',
+  'ck.switching': '🔁 正在切换到分支：{branch} ...',
+  'ck.switched': '🎉 已切换到分支：{branch}',
+  'ck.switchFailed': '❌ 切换失败，请检查是否有未提交的更改。',
+  'ck.dirty': '⚠️ 工作区有未提交的更改',
+  'ck.dirtyAction': '如何处理未提交的更改？',
+  'ck.dirty.stash': '自动 stash - 暂存到 {branch}，切回 {branch} 时自动恢复',
+  'ck.dirty.carry': '带过去 - 把更改带到目标分支（与目标分支冲突时切换会失败）',
+  'ck.dirty.cancel': '取消切换',
+  'ck.detached': '当前不在分支上',
+  'ck.stashDetached': '❌ 当前不在分支上（detached HEAD），无法自动 stash',
+  'ck.stashFailed': '❌ 自动 stash 失败，未切换分支',
+  'ck.stashed': '📦 已自动 stash 未提交的更改，切回 {branch} 时会自动恢复',
+  'ck.stashHint': '💡 提示：使用 ck --stash 自动 stash 未提交的更改，切回当前分支时自动恢复',
+  'ck.restoring': '📤 正在恢复 {branch} 的自动 stash（{ref}）...',
+  'ck.restored': '✅ 已恢复之前未提交的更改',
+  'ck.restoreFailed': '❌ 恢复自动 stash 失败，更改仍保存在 {ref}，可稍后用 stash pop 恢复',
+  'ck.creatingFrom': '🚀 正在从分支「{base}」创建并切换到新分支：{branch} ...',
+  'ck.creating': '🚀 正在创建并切换到新分支：{branch} ...',
+  'ck.createdFrom': '🎉 已从分支「{base}」创建并切换到新分支：{branch}',
+  'ck.created': '🎉 新分支已创建并切换到：{branch}',
+  'ck.createFailed': '❌ 创建分支失败，可能分支已存在或有未提交更改。',
+  'ck.branchNotFound': '❌ 分支不存在：{branch}',
+  'ck.inputName': '请输入新分支名：',
+  'ck.selectTemplate': '请选择分支名模板：',
+  'ck.inputPlaceholder': '请输入 <{placeholder}>：',
+  'ck.inputSlug': '请输入简短描述（自动转换为 <slug>，如 "Fix login" -> fix-login）：',
+  'ck.invalidPlaceholder': '<{placeholder}> 的值「{value}」格式不对',
+  'ck.emptyName': '分支名不能为空',
+  'ck.invalidName': '不是合法的分支名：{name}',
+  'ck.nameMismatch': '分支名 {name} 不符合命名规范：{rules}',
+  'ck.invalidPattern': '配置项 ck.pattern 不是合法的正则：{pattern}（{error}）',
+  'ck.selectBase': '请选择新分支的基准（输入字符模糊搜索）',
+  'ck.fetching': '🔄 正在从 {remote} 获取最新提交 ...',
+  'ck.baseNotFound': '❌ 基准不存在：{base}',
+  'ck.confirmPush': '是否立即推送 {branch} 并设置 upstream？',
+  'ck.pushing': '⬆️ 正在推送 {branch} 到 {remote} 并设置 upstream ...',
+  'ck.pushFailed': '❌ 推送失败，分支已在本地创建，可稍后用 push 推送。',
+  'ck.noRemote': '❌ 没有远程仓库，无法推送。',
+
+  // ============= l =============
+  'l.usage': `用法：l [git log 参数...] [选项]
+
+  无参数时以图形显示最近的提交（数量由配置项 log.limit 决定，默认 20），其余参数照常传给 git log。
+  筛选选项可以单独使用（保留默认的图形格式），也可以与 git log 参数组合。
+
+筛选：
+  --mine           只显示自己的提交（按 git 的 user.email）
+  --author <名称>  按作者筛选（忽略大小写）
+  --since <时间>   只显示该时间之后的提交，如 2w、3d、1m、2024-01-01（h/d/w/m/y 为小时/天/周/月/年）
+  --grep <文本>    按提交说明筛选（忽略大小写）
+  --path <路径>    只显示修改了该路径的提交，如 src/
+  --vs <分支>      只显示当前分支上有、该分支上没有的提交，如 --vs main
+  --guided         引导填写筛选条件，并打印等价的命令
+
+选项：
+  --json           以 JSON 输出提交 hash、作者、日期、标题（不能与 --oneline、--pretty、--format 一起使用）
+  --interactive    交互浏览提交：分页显示，可按说明、作者、路径搜索；选中提交查看完整说明、文件变更统计和补丁，
+                   并可复制 hash、cherry-pick、revert 或回退到该提交（筛选条件和 git log 参数同样生效）
+  -h, --help       显示帮助`,
+  'l.page': '\n📜 第 {from}-{to} 个提交',
+  'l.noCommits': '\n📭 没有符合条件的提交',
+  'l.filters': '🔍 搜索条件：{filters}',
+  'l.selectCommit': '请选择提交查看详情',
+  'l.search': '🔍 搜索',
+  'l.quit': '👋 退出',
+  'l.searchBy': '按什么搜索？',
+  'l.field.mine': '我的提交',
+  'l.field.author': '作者',
+  'l.field.since': '起始时间',
+  'l.field.grep': '提交说明',
+  'l.field.path': '路径',
+  'l.field.vs': '不在该分支上',
+  'l.searchValue': '请输入{field}（留空清除该条件）：',
+  'l.commitAction': '对提交 {hash} 执行什么操作？',
+  'l.action.patch': '📄 查看补丁',
+  'l.action.copy': '📋 复制 hash',
+  'l.action.cherry-pick': '🍒 cherry-pick 到当前分支',
+  'l.action.revert': '↩️ revert（创建撤销该提交的新提交）',
+  'l.action.reset': '⏪ 回退到该提交（res）',
+  'l.action.back': '⬅️ 返回列表',
+  'l.noIdentity': '没有配置 git 的 user.email，无法使用 --mine',
+  'l.unknownRef': '分支或修订不存在：{ref}',
+  'l.formatConflict': '{option} 不能与 {format} 一起使用',
+  'l.guided.select': '选择要使用的筛选条件（空格选择，回车确认）',
+  'l.guided.mine': '只看我的提交',
+  'l.guided.author': '按作者',
+  'l.guided.since': '按时间（某个时间之后）',
+  'l.guided.grep': '按提交说明',
+  'l.guided.path': '按路径（修改了某个文件或目录）',
+  'l.guided.vs': '与其他分支比较（当前分支上有、该分支上没有的提交）',
+  'l.guided.input.author': '作者名或邮箱（部分即可）：',
+  'l.guided.input.since': '从什么时候开始？如 2w（两周）、3d（三天）、1m（一个月）、2024-01-01：',
+  'l.guided.input.grep': '提交说明包含：',
+  'l.guided.input.path': '文件或目录路径，如 src/：',
+  'l.guided.input.vs': '与哪个分支比较（输入字符模糊搜索）',
+  'l.guided.empty': '不能为空',
+  'l.guided.command': '💡 下次可以直接运行：{command}',
+  'l.copied': '📋 已复制：{hash}',
+  'l.copyFailed': '无法写入剪贴板。提交 hash 为：{hash}',
+  'l.cherry-pick.running': '🍒 正在 cherry-pick {hash} ...',
+  'l.cherry-pick.done': '✅ 已 cherry-pick {hash}',
+  'l.cherry-pick.failed': '❌ cherry-pick {hash} 失败',
+  'l.revert.running': '↩️ 正在 revert {hash} ...',
+  'l.revert.done': '✅ 已 revert {hash}',
+  'l.revert.failed': '❌ revert {hash} 失败',
+
+  // ============= bd =============
+  'bd.usage': `用法：bd [分支...] [选项]
+
+  不带分支参数时交互式选择要删除的本地分支；传入分支名时直接删除，不再弹出提示。
+  列表中会显示每个分支最后一次提交的时间、作者，以及 [已合并]、[upstream 已删除]、[长期未更新] 标记。
+
+选项：
+  -f, --force    安全删除失败（如未合并）时强制删除（git branch -D）
+  -r, --remote   同时删除其跟踪的远程分支（--no-remote 跳过）
+  --merged       预选已合并到默认分支的分支
+  --gone         预选 upstream 已被删除的分支
+  --stale        预选长期没有提交的分支
+  --days <天数>  --stale 的天数（默认为配置项 bd.staleDays，即 30）
+  -y, --yes      与 --merged / --gone / --stale 一起使用时，直接删除匹配的分支，不再弹出提示
+  -h, --help     显示帮助`,
+  'bd.deleteFailed': '删除失败',
+  'bd.forceDeleteFailed': '强制删除失败',
+  'bd.remoteDeleteFailed': '删除远程分支失败',
+  'bd.selectPreset': '按什么条件预选要清理的分支？',
+  'bd.preset.none': '不预选，手动选择',
+  'bd.preset.merged': '已合并到 {target}（{count} 个）',
+  'bd.preset.gone': 'upstream 已删除（{count} 个）',
+  'bd.preset.stale': '超过 {days} 天没有提交（{count} 个）',
+  'bd.tag.merged': '已合并',
+  'bd.tag.gone': 'upstream 已删除',
+  'bd.tag.stale': '长期未更新',
+  'bd.tag.protected': '受保护',
+  'bd.noDefaultBranch': '找不到默认分支',
+  'bd.invalidDays': '无效的天数：{days}',
+  'bd.nothingMatched': '没有符合条件的分支。',
+  'bd.selectAll': '🔘 全选（选择此项代表选择所有分支）',
+  'bd.selectBranches': '请选择要删除的本地分支（当前分支：{current}，不能删除当前分支）。按空格选择，回车确认，Ctrl+C 取消：',
+  'bd.noneSelected': '未选择任何分支，已取消。',
+  'bd.aboutToDelete': '即将删除以下本地分支：',
+  'bd.confirmDelete': '确认要删除上述本地分支吗？（这会尝试安全删除：git branch -d，Ctrl+C 可取消）',
+  'bd.deleteCancelled': '取消删除。',
+  'bd.invalidBranches': '❌ 以下分支不存在或是当前分支，无法删除：{branches}',
+  'bd.nothingToDelete': '没有可删除的本地分支（除了当前分支）。',
+  'bd.undoHint': `\n💡 提示：运行 'undo' 可以按原提交恢复删除的分支`,
+  'bd.deletedLocal': '\n已成功删除（本地）：',
+  'bd.safeDeleteFailed': '\n无法安全删除（可能未合并或有未保存更改）：',
+  'bd.confirmForce': '是否对上述失败的分支执行强制删除 (git branch -D)？（Ctrl+C 可取消）',
+  'bd.forceDeleted': '\n强制删除成功：',
+  'bd.forceFailed': '\n强制删除失败：',
+  'bd.forceHint': '\n💡 提示：加上 --force 可强制删除未合并的分支',
+  'bd.noLocalDeleted': '\n没有本地分支被删除，跳过远程删除。',
+  'bd.confirmRemote': '是否要继续删除与已删除本地分支对应的远程分支？ ({count} 个，Ctrl+C 可取消)',
+  'bd.localOnlyDone': '已完成本地删除，未进行远程删除。',
+  'bd.noRemoteCandidates': '已删除的本地分支没有可删除的远程分支（按 branch.<name>.remote / merge 配置查找）。',
+  'bd.remoteChoice': '{ref}  （远程 {remote}，本地分支 {local}）',
+  'bd.remoteSkipped': '\n跳过以下远程分支：',
+  'bd.remoteProtected': '受保护的分支',
+  'bd.remoteMissing': '远程跟踪分支已不存在',
+  'bd.selectAllRemote': '🔘 全选（选择此项代表选择所有远程分支）',
+  'bd.selectRemotes': '请选择要删除的远程分支（多选，空格选择，回车确认，Ctrl+C 取消）：',
+  'bd.noRemoteSelected': '未选择任何远程分支，操作结束。',
+  'bd.deletingRemote': '\n开始删除远程分支：',
+  'bd.remoteDeleted': '\n远程删除成功：',
+  'bd.remoteFailed': '\n远程删除失败：',
+  'bd.done': '\n操作完成。',
+
+  // ============= res =============
+  'res.usage': `用法：res [操作] [参数] [选项]
+
+  不带参数时进入交互菜单；指定操作和参数时直接执行，缺少的值在终端中会继续询问。
+
+操作：
+  commits <次数>     回退最近的若干次提交
+  unstage [文件...]  取消暂存指定文件（--all 取消全部）
+  remote             重置到远程分支（--json 只输出本地与远程的领先/落后情况，不执行重置）
+  commit <hash>      重置到指定提交（也可以是 reflog 中的状态，如 HEAD@{2}）
+  backups            列出 hard reset 前的自动备份（每次 hard reset 前自动保存 HEAD 和未提交的修改，包括未跟踪的文件）
+                     --delete <编号|all> 删除不再需要的备份（最多保留 20 个）
+  restore <编号>     恢复备份：重置到备份时的 HEAD 并恢复未提交的修改
+
+选项：
+  -m, --mode <模式>  回退模式：soft | mixed | hard
+  -y, --yes          跳过确认（hard 模式必须指定，或在终端中输入 yes 确认）
+  -a, --all          unstage 时取消暂存所有文件
+  --dry-run          只预览各模式对文件的影响（已暂存、未暂存、丢弃的文件及行数），不执行重置
+  --json             remote、backups 时输出 JSON 报告
+  -h, --help         显示帮助`,
+  'res.title': '\n🔄 Git Reset 工具\n',
+  'res.menu.resetCommits': '📜 回退提交 - 撤销最近的提交（保留或丢弃修改）',
+  'res.menu.unstageFiles': '📦 取消暂存文件 - 将已暂存的文件移出暂存区',
+  'res.menu.resetToRemote': '🔗 重置到远程分支 - 将本地分支重置到远程最新状态',
+  'res.menu.resetToCommit': '🎯 重置到指定提交 - 输入 commit hash 进行精确重置',
+  'res.menu.listBackups': '🛟 备份 - 查看并恢复 hard reset 前的自动备份',
+  'res.menu.cancel': '❌ 取消',
+  'res.cancelledMenu': '\n已取消\n',
+  'res.invalidMode': '无效的模式：{mode}（可选：{modes}）',
+  'res.confirmHard': '请输入 "yes" 确认执行 hard reset：',
+  'res.typeYes': '请输入 "yes" 确认',
+  'res.localChanges': '本地修改',
+  'res.changes': '修改',
+  'res.selectResetMode': '请选择重置模式：',
+  'res.modeMixed': 'mixed - 保留{subject}但取消暂存（推荐）',
+  'res.modeSoft': 'soft  - 保留{subject}在暂存区',
+  'res.modeHard': 'hard  - 完全丢弃{subject} ⚠️',
+  'res.fetching': '🔄 正在获取远程信息...\n',
+  'res.noRemoteInfo': '❌ 无法获取远程分支信息',
+  'res.running': '\n执行中...\n',
+  'res.resetFailed': '\n❌ 重置失败\n',
+  'res.undoHint': `💡 提示：运行 'undo' 可以撤销这次 reset（完整的操作历史见 'git reflog'）\n`,
+  'res.backup.created': '🛟 已自动备份当前的 HEAD 和未提交的修改：#{id}（res restore {id} 可恢复）',
+  'res.backup.failed': '❌ 自动备份失败，未执行重置：{error}',
+  'res.backup.none': '没有 hard reset 前的备份',
+  'res.backup.title': '\n🛟 hard reset 前的自动备份（最新的在前）：',
+  'res.backup.changesTag': '[有未提交的修改]',
+  'res.backup.restoreHint': '💡 提示：res restore <编号> 恢复备份',
+  'res.backup.select': '请选择要恢复的备份：',
+  'res.backup.notFound': '❌ 备份不存在：{id}（res backups 查看所有备份）',
+  'res.backup.otherBranch': '❌ 备份 #{id} 属于分支 {branch}，当前在 {current}，请先切换到 {branch}',
+  'res.backup.aboutToRestore': '\n⚠️  将恢复备份 #{id}：当前分支重置到 {head}，并恢复备份中未提交的修改（当前状态会先自动备份）',
+  'res.backup.untrackedCollision': '❌ 备份 #{id} 会覆盖以下内容不同的未跟踪文件：{files}\n   请先移走或删除它们',
+  'res.backup.applyFailed': '❌ 恢复未提交的修改失败：{error}\n   修改仍保存在 {sha}，可用 git stash apply {sha} 手动恢复',
+  'res.backup.aboutToDelete': '\n🗑️  将删除 {count} 个备份：',
+  'res.backup.confirmDelete': '确定删除这些备份吗？删除后无法再恢复',
+  'res.backup.deleted': '✅ 已删除 {count} 个备份',
+  'res.backup.deleteFailed': '❌ 删除失败：{ids}',
+  'res.backup.restored': '✅ 已恢复备份 #{id}',
+  'res.resetCommits.title': '\n📜 回退提交\n',
+  'res.resetCommits.selectCount': '请选择要回退多少次提交：',
+  'res.resetCommits.countChoice': '回退 {count} 次提交',
+  'res.resetCommits.customCount': '自定义次数',
+  'res.resetCommits.pickTarget': '从历史或 reflog 中选择目标提交',
+  'res.resetCommits.inputCount': '请输入要回退的提交次数：',
+  'res.resetCommits.countRange': '请输入 1-99 之间的数字',
+  'res.resetCommits.invalidCount': '无效的回退次数：{count}',
+  'res.resetCommits.preview': '\n📋 将要回退以下 {count} 次提交：\n',
+  'res.resetCommits.selectMode': '请选择回退模式：',
+  'res.resetCommits.modeSoft': '💚 soft   - 保留修改在暂存区（可以重新提交）\n          适用场景：想重新编写提交信息',
+  'res.resetCommits.modeMixed': '🟡 mixed  - 保留修改但取消暂存（默认模式）\n          适用场景：想重新整理要提交的内容',
+  'res.resetCommits.modeHard': '🔴 hard   - 完全丢弃所有修改 ⚠️  危险操作！\n          适用场景：确定要放弃这些提交和修改',
+  'res.resetCommits.hardWarning': '\n⚠️  警告：此操作将永久删除以下内容：\n   - 最近 {count} 次提交的所有修改\n   - 工作区中未提交的更改\n\n❌ 此操作不可恢复！\n',
+  'res.resetCommits.done': '\n✅ 已成功回退 {count} 次提交（模式：{mode}）\n',
+  'res.resetCommits.currentHead': '当前状态：\n  HEAD 现在位于: {head}\n',
+  'res.resetCommits.failed': '\n❌ 回退失败\n',
+  'res.unstage.title': '\n📦 取消暂存文件\n',
+  'res.unstage.nothingStaged': 'ℹ️  当前没有已暂存的文件\n',
+  'res.unstage.notStaged': '❌ 以下文件未暂存：{files}\n',
+  'res.unstage.noneSelected': '\n未选择任何文件\n',
+  'res.unstage.fileFailed': '  ❌ {file} (失败)',
+  'res.unstage.done': '\n✅ 已取消暂存 {count} 个文件\n',
+  'res.unstage.hint': '💡 文件修改仍在工作区中保留\n',
+  'res.unstage.stagedFiles': '当前已暂存的文件：\n',
+  'res.unstage.selectAll': '🔘 全选（取消暂存所有文件）',
+  'res.unstage.selectFiles': '请选择要取消暂存的文件（空格选择，回车确认）：',
+  'res.remote.title': '\n🔗 重置到远程分支\n',
+  'res.remote.noInfo': '❌ 无法获取远程分支信息\n',
+  'res.remote.branches': '当前分支：{local}\n远程分支：{remote}\n',
+  'res.remote.noDiff': '❌ 无法获取远程差异信息\n',
+  'res.remote.inSync': '✅ 本地分支已经与远程分支同步\n',
+  'res.remote.diffTitle': '📊 本地与远程的差异：\n',
+  'res.remote.ahead': '本地领先 {count} 个提交：',
+  'res.remote.behind': '远程领先 {count} 个提交：',
+  'res.remote.warning': '⚠️  此操作会将本地分支重置到远程分支的最新状态\n',
+  'res.remote.confirm': '确认要将本地分支重置到 {remote} 吗？',
+  'res.remote.done': '\n✅ 已成功重置到 {remote}\n',
+  'res.preview.title': '\n🔎 重置到 {target} 对文件的影响：',
+  'res.preview.mode.soft': '  soft：',
+  'res.preview.mode.mixed': '  mixed：',
+  'res.preview.mode.hard': '  hard：',
+  'res.preview.nothing': '    （没有文件变化）',
+  'res.preview.staged': '    已暂存 {count} 个文件：',
+  'res.preview.unstaged': '    未暂存 {count} 个文件：',
+  'res.preview.committed': '    丢弃提交中的修改 {count} 个文件（可通过 reflog 找回）：',
+  'res.preview.lost': '    ⚠️ 永久丢失未提交的修改 {count} 个文件：',
+  'res.preview.binary': '二进制文件',
+  'res.preview.dryRun': '🧪 --dry-run：只预览，未执行重置',
+  'res.commit.title': '\n🎯 重置到指定提交\n',
+  'res.commit.invalidTarget': '❌ 无效的 commit hash：{target}\n',
+  'res.commit.methodManual': '手动输入 commit hash',
+  'res.commit.selectCommit': '请选择要重置到的提交：',
+  'res.commit.inputHash': '请输入 commit hash (完整或前 7 位)：',
+  'res.commit.hashTooShort': '请输入至少 6 个字符',
+  'res.commit.invalidHash': '\n❌ 无效的 commit hash\n',
+  'res.commit.target': '\n目标提交信息：\n  Hash: {hash}\n  作者: {author}\n  时间: {time}\n  信息: {message}\n',
+  'res.commit.source.history': '\n📜 提交历史（第 {from}-{to} 个）',
+  'res.commit.source.reflog': '\n🕘 reflog - HEAD 的移动记录（第 {from}-{to} 条），可回到 rebase 或上一次 reset 之前的状态',
+  'res.commit.searching': '🔍 提交说明包含：{search}',
+  'res.commit.search': '🔍 按提交说明搜索',
+  'res.commit.showReflog': '🕘 查看 reflog（rebase、reset 之前的状态）',
+  'res.commit.showHistory': '📜 查看提交历史',
+  'res.commit.inputSearch': '提交说明包含（留空清除）：',
+  'res.commit.discarded': '🗑️ 将从当前分支丢弃 {count} 个提交：',
+  'res.commit.regained': '♻️ 将找回 {count} 个当前分支上没有的提交：',
+  'res.commit.kept': '✅ 保留：{hash} 及之前的提交（共 {count} 个）',
+  'res.commit.aboutToReset': '\n⚠️  将重置到提交: {hash}',
+  'res.commit.confirm': '确认执行吗？',
+  'res.commit.done': '\n✅ 已成功重置到指定提交\n',
+
+  // ============= stash =============
+  'stash.usage': `用法：stash [操作] [参数] [选项]
+
+  不带参数时进入交互菜单；指定操作时直接执行，不再弹出确认。
+
+操作：
+  push               暂存当前修改
+  pop [序号]         恢复并删除暂存（默认 0，即 stash@{0}）
+  apply [序号]       应用但保留暂存
+  show [序号]        查看暂存内容
+  drop [序号]        删除暂存
+  clear              清空所有暂存（需要 --yes）
+  list               查看暂存列表（--json 输出机器可读格式）
+
+选项：
+  -m, --message <说明>     push 时添加说明信息
+  -u, --include-untracked  push 时包含未跟踪的文件
+  -k, --keep-index         push 时保持已暂存状态
+  -a, --all                push 时包含所有文件（包括忽略的文件）
+  -y, --yes                clear 时跳过确认
+  --json                   list 时输出 JSON
+  -h, --help               显示帮助`,
+  'stash.title': '\n🗂️  Git Stash 管理器\n',
+  'stash.status.title': '📊 当前状态：',
+  'stash.status.branch': '  • 分支：{branch}',
+  'stash.status.modified': '  • 工作区：{count} 个文件已修改',
+  'stash.status.staged': '  • 暂存区：{count} 个文件已暂存',
+  'stash.status.untracked': '  • 未跟踪：{count} 个文件',
+  'stash.status.stashes': '  • Stash 数量：{count} 个',
+  'stash.menu.stash': '💾 暂存当前修改 - 保存工作区和暂存区的修改',
+  'stash.menu.manage': '📋 管理已有暂存 ({count}个) - 恢复、应用、查看或删除',
+  'stash.menu.list': '📜 查看暂存列表 - 显示所有 stash 的详细信息',
+  'stash.menu.exit': '❌ 退出',
+  'stash.nothingToDo': 'ℹ️  工作区干净，且没有已保存的暂存\n',
+  'stash.nothingToDoHint': '💡 提示：当你有未提交的修改时，可以使用此命令暂存它们\n',
+  'stash.exited': '\n已退出\n',
+  'stash.running': '\n执行中...\n',
+  'stash.empty': 'ℹ️  当前没有任何暂存\n',
+  'stash.back': '← 返回',
+  'stash.remaining': '📊 剩余 stash 数量：{count}\n',
+  'stash.irreversible': '⚠️  此操作不可恢复！\n',
+  'stash.dirtyWarning': '⚠️  警告：工作区有未提交的修改\n',
+  'stash.confirmConflict': '继续 {action} 可能会导致冲突，是否继续？',
+  'stash.invalidIndex': '无效的暂存序号：{index}',
+  'stash.notFound': '❌ 暂存不存在：{ref}',
+  'stash.push.title': '\n💾 暂存当前修改\n',
+  'stash.push.nothing': 'ℹ️  工作区没有需要暂存的修改\n',
+  'stash.push.status': '当前工作区状态：',
+  'stash.push.modified': '  📝 已修改：{count} 个文件',
+  'stash.push.staged': '  ✅ 已暂存：{count} 个文件',
+  'stash.push.untracked': '  ❓ 未跟踪：{count} 个文件',
+  'stash.push.selectOption': '请选择暂存选项：',
+  'stash.push.optionDefault': '💾 暂存所有修改（不包括未跟踪文件）\n          git stash push',
+  'stash.push.optionMessage': '📝 暂存并添加说明信息\n          git stash push -m "message"',
+  'stash.push.optionUntracked': '📦 包含未跟踪的文件\n          git stash push -u',
+  'stash.push.optionKeepIndex': '🎯 仅暂存未暂存的文件（保持已暂存状态）\n          git stash push --keep-index',
+  'stash.push.optionAll': '🗂️  包含所有文件（包括忽略的文件）\n          git stash push -a',
+  'stash.push.inputMessage': '请输入说明信息：',
+  'stash.push.emptyMessage': '说明信息不能为空',
+  'stash.push.done': '\n✅ 已成功暂存修改\n',
+  'stash.push.count': '📊 当前 stash 数量：{count}\n',
+  'stash.push.hint': '💡 提示：使用 stash 命令管理你的暂存\n',
+  'stash.push.failed': '\n❌ 暂存失败\n',
+  'stash.manage.title': '\n📋 管理已有暂存\n',
+  'stash.manage.count': '当前有 {count} 个暂存：\n',
+  'stash.manage.clear': '🧹 清空所有暂存',
+  'stash.manage.select': '请选择一个暂存：',
+  'stash.operate.selected': '\n选中的暂存：{stash}\n',
+  'stash.operate.selectAction': '对 {ref} 执行什么操作？',
+  'stash.operate.pop': '📤 恢复并删除 (pop)\n          应用暂存的修改到工作区，并从 stash 列表中删除',
+  'stash.operate.apply': '📌 应用但保留 (apply)\n          应用暂存的修改到工作区，但保留在 stash 列表中',
+  'stash.operate.show': '👀 查看内容 (show)\n          查看这个 stash 包含的修改',
+  'stash.operate.drop': '🗑️  删除 (drop)\n          从 stash 列表中删除这个暂存',
+  'stash.pop.running': '\n📤 正在恢复 {ref}...\n',
+  'stash.pop.done': '\n✅ 已成功恢复 {ref}\n',
+  'stash.pop.failed': '\n❌ 恢复失败\n',
+  'stash.pop.conflicts': '\n❌ 恢复时产生冲突',
+  'stash.pop.dropHint': '💡 提示：解决冲突后，可以手动删除 stash：git stash drop {ref}\n',
+  'stash.apply.running': '\n📌 正在应用 {ref}...\n',
+  'stash.apply.done': '\n✅ 已成功应用 {ref}\n',
+  'stash.apply.hint': '💡 提示：修改已应用到工作区，但 stash 仍保留在列表中\n',
+  'stash.apply.failed': '\n❌ 应用失败\n',
+  'stash.apply.conflicts': '\n❌ 应用时产生冲突',
+  'stash.show.title': '\n👀 查看 {ref} 的内容：\n',
+  'stash.show.continue': '是否要对此 stash 执行其他操作？',
+  'stash.drop.title': '\n🗑️  准备删除：{stash}\n',
+  'stash.drop.confirm': '确认删除 {ref} 吗？',
+  'stash.drop.done': '\n✅ 已成功删除 {ref}\n',
+  'stash.drop.failed': '\n❌ 删除失败\n',
+  'stash.clear.title': '\n🧹 准备清空所有暂存（共 {count} 个）\n',
+  'stash.clear.list': '以下暂存将被删除：',
+  'stash.clear.confirm': '请输入 "yes" 确认清空所有 {count} 个暂存：',
+  'stash.clear.done': '\n✅ 已成功清空所有暂存\n',
+  'stash.clear.failed': '\n❌ 清空失败\n',
+  'stash.undoHint': `💡 提示：运行 'undo' 可以恢复删除的 stash\n`,
+  'stash.list.title': '\n📋 Stash 列表\n',
+  'stash.list.count': '共有 {count} 个暂存：\n',
+
+  // ============= config =============
+  'config.usage': `用法：config [操作] [参数] [选项]
+
+操作：
+  list                 列出所有配置项的最终值及来源（默认）
+  get <键>             输出单个配置项的值
+  set <键> <值>        设置配置项（默认写入全局文件）
+  unset <键>           删除配置项
+  path                 显示配置文件位置
+
+选项：
+  --local              写入当前仓库的 .terminalscriptrc
+  --global             写入 ~/.terminalscriptrc（默认）
+  --json               list、get 时输出 JSON
+  -h, --help           显示帮助
+
+配置项：
+  locale               界面语言：zh-CN、en（默认根据 LANG 判断）
+  log.limit            l 默认显示的提交数（默认 20）
+  s.defaultScript      s 默认选中的脚本名关键字（默认 sit）
+  remote.default       默认远程仓库名（默认 origin）
+  res.counts           res 回退提交数的预设选项，逗号分隔（默认 1,2,3,5）
+  bd.staleDays         bd --stale 判断长期未更新的天数（默认 30）
+  protected.branches   受保护分支的 glob，逗号分隔，如 main,master,release/*（默认不保护任何分支），删除、hard reset、直接推送时需要确认
+  protected.action     操作受保护分支时：confirm 要求输入分支名确认（默认），block 直接拒绝
+  push.checks          push 推送前并行运行的 npm scripts，逗号分隔（默认不运行），适合写在仓库配置中
+  p.strategy           p 的默认拉取策略：merge、rebase、ff-only（默认沿用 git 的 pull.rebase 配置）
+  cf.mergeTool         cf 使用的合并工具（默认使用 git 的 merge.tool）
+  ck.base              ck 创建分支的默认基准（未设置时交互选择的默认项为默认远程的默认分支，如 origin/main；无法交互时为当前 HEAD）
+  ck.templates         ck 的分支名模板，逗号分隔，如 feature/<ticket>-<slug>,fix/<slug>（<ticket> 为工单号，<slug> 为短横线连接的描述）
+  ck.pattern           ck 的分支名需匹配的正则（与 ck.templates 任一匹配即可）
+  plugins.dir          用户插件目录（默认 ~/.terminalscript/commands）；只能在全局文件或 TS_PLUGINS_DIR 中设置，仓库文件中的设置会被忽略
+  alias.<别名>         命令别名，如 alias.co = ck，通过 ts co 使用
+
+优先级：环境变量 TS_*（如 TS_LOG_LIMIT）> 仓库文件 > 全局文件 > 默认值`,
+  'config.unset': '（未设置）',
+  'config.notInRepo': '❌ 当前目录不在 Git 仓库中，无法使用 --local',
+  'config.missingKey': '缺少配置项名称',
+  'config.missingValue': '缺少配置项名称或值',
+  'config.knownKeys': '可用的配置项：{keys}',
+  'config.list.title': '\n⚙️  当前配置：\n',
+  'config.list.envHint': '\n💡 提示：环境变量 TS_*（如 TS_LOG_LIMIT）优先于配置文件\n',
+  'config.source.default': '默认值',
+  'config.source.global': '全局文件',
+  'config.source.local': '仓库文件',
+  'config.source.env': '环境变量',
+  'config.set.done': '✅ 已设置 {key} = {value}（{file}）',
+  'config.set.envOverride': '⚠️  环境变量 {env} 已设置，会覆盖此配置',
+  'config.unset.done': '✅ 已删除 {key}（{file}）',
+  'config.unset.missing': 'ℹ️  {file} 中没有设置 {key}',
+  'config.path.global': '全局：{file}',
+  'config.path.local': '仓库：{file}',
+  'config.path.noRepo': '（不在 Git 仓库中）',
+  'config.errors.unknownKey': '未知配置项：{key}',
+  'config.errors.invalidNumber': '配置项 {key} 需要正整数，实际为：{value}',
+  'config.errors.invalidList': '配置项 {key} 需要逗号分隔的正整数，实际为：{value}',
+  'config.errors.invalidChoice': '配置项 {key} 只能是 {values}，当前值：{value}',
+  'config.errors.invalidFile': '配置文件格式错误：{file}（{reason}）',
+  'config.errors.globalOnly': '{key} 只能在全局文件 ~/.terminalscriptrc 或 {env} 中设置',
+  'config.localIgnored': '⚠️  已忽略 {file} 中的 {key}：它只能在全局文件 ~/.terminalscriptrc 或 {env} 中设置',
+
+  // ============= commands / ts =============
+  'commands.loadFailed': '⚠️  插件加载失败：{file}（{reason}）',
+  'commands.invalidPlugin': '⚠️  插件格式错误，需要默认导出包含 run 函数的对象：{file}',
+  'commands.duplicate': '⚠️  插件命令 {name} 与已有命令重名，已忽略：{file}',
+  'ts.usage': `用法：ts <命令> [参数]
+
+  通过一个入口运行所有命令，如 ts ck、ts stash pop、ts l --json。
+  不带命令时显示命令列表（同 ts h）。
+
+别名：
+  ts config set alias.<别名> "<命令> [参数]"   如 ts config set alias.co ck，之后 ts co 等同于 ts ck
+  别名不会覆盖内置命令
+
+短命令（可选）：
+  ./register.sh [命令名...]   把命令注册为独立的短命令（如 ck、stash），目标目录可用 TS_BIN_DIR 指定
+                              只能注册 b、bd、c、ck、h、l、p、push、res、s、stash，其余命令只能通过 ts <命令> 使用`,
+  'ts.unknownCommand': '❌ 未知命令：{name}',
+  'ts.listHint': '💡 运行 ts h 查看所有可用命令',
+
+  // ============= completion =============
+  'completion.usage': `用法：completion <bash|zsh|fish> [短命令...]
+
+  输出 shell 补全脚本，覆盖 ts 以及列出的短命令（register.sh 注册的命令名，如 ck stash）。
+
+安装：
+  bash   在 ~/.bashrc 中加入：eval "$(ts completion bash)"
+  zsh    在 ~/.zshrc 中加入：eval "$(ts completion zsh)"
+  fish   ts completion fish > ~/.config/fish/completions/ts.fish
+
+选项：
+  -h, --help    显示帮助`,
+  'completion.missingShell': '缺少 shell 类型',
+  'completion.unknownShell': '不支持的 shell：{shell}',
+
+  // ============= undo =============
+  'undo.usage': `用法：undo [list | last | <编号>] [选项]
+
+  撤销 res（reset）、bd（删除分支）、stash（drop、clear）执行过的破坏性操作。
+  不带参数时交互选择要撤销的操作。
+
+操作：
+  list             列出撤销日志（默认只显示未撤销的）
+  last             撤销最近一次操作
+  <编号>           撤销指定编号的操作，如 undo 3
+
+选项：
+  -a, --all        list 时包括已撤销的记录
+  --json           list 时输出 JSON
+  -y, --yes        交互选择后跳过确认
+  -f, --force      reset 之后 HEAD 已变化时仍然撤销
+  -h, --help       显示帮助`,
+  'undo.empty': 'ℹ️  没有可以撤销的操作\n',
+  'undo.list.title': '\n↩️  撤销日志（最新的在前）：\n',
+  'undo.select': '请选择要撤销的操作：',
+  'undo.confirm': '确认撤销 {entry}？',
+  'undo.running': '\n↩️  正在撤销 {entry}\n',
+  'undo.done': '\n✅ 撤销完成\n',
+  'undo.failed': '\n❌ 撤销未完成，请查看上面的错误信息\n',
+  'undo.nothingToUndo': '没有可以撤销的操作',
+  'undo.notFound': '找不到撤销记录：{id}',
+  'undo.alreadyUndone': '记录 #{id} 已经撤销过',
+  'undo.unknownType': '❌ 不支持撤销的记录类型：{type}',
+  'undo.undoneTag': '（已撤销）',
+  'undo.describe.reset': '在 {branch} 上 reset --{mode}（{before} → {after}）',
+  'undo.describe.branchDelete': '删除本地分支 {branches}',
+  'undo.describe.remoteBranchDelete': '删除远程分支 {branches}',
+  'undo.describe.stashDrop': '删除 {count} 个 stash',
+  'undo.reset.wrongBranch': '❌ 请先切换到 {branch} 再撤销这次 reset',
+  'undo.reset.headMoved': '❌ reset 之后 HEAD 已经变化（reset 后为 {after}），如确认要撤销请加 --force',
+  'undo.reset.done': '✅ HEAD 已恢复到 {before}',
+  'undo.branch.restored': '✅ 已恢复分支 {branch}（{sha}）',
+  'undo.branch.failed': '❌ 恢复分支 {branch} 失败：{error}',
+  'undo.stash.restored': '✅ 已恢复 stash：{message}',
+  'undo.stash.failed': '❌ 恢复 stash 失败（{message}）：{error}',
+
+  // ============= protected =============
+  'protected.op.delete': '删除分支',
+  'protected.op.deleteRemote': '删除远程分支',
+  'protected.op.hardReset': 'hard reset',
+  'protected.op.push': '直接推送',
+  'protected.blocked': '🛡️  {branch} 是受保护的分支，不允许{operation}（配置项 protected.branches / protected.action）',
+  'protected.needsConfirm': '🛡️  {branch} 是受保护的分支，{operation}需要在终端中输入分支名确认，已跳过',
+  'protected.confirm': '🛡️  {branch} 是受保护的分支，确定要{operation}请输入分支名：',
+  'protected.mismatch': '输入的名称不一致，未改动 {branch}',
+
+  // ============= conflicts =============
+  'conflicts.title': '\n⚠️  {operation} 产生了冲突，{count} 个文件需要解决：',
+  'conflicts.titleNoOperation': '\n⚠️  {count} 个文件有冲突需要解决：',
+  'conflicts.selectFile': '选择要处理的冲突文件，或下一步：',
+  'conflicts.fileAction': '如何处理 {file}？',
+  'conflicts.action.hunks': '查看冲突块',
+  'conflicts.action.ours': '采用 ours（{side}）',
+  'conflicts.action.theirs': '采用 theirs（{side}）',
+  'conflicts.action.editor': '在编辑器中打开（{editor}）',
+  'conflicts.action.mergetool': '用合并工具打开（git mergetool）',
+  'conflicts.action.resolved': '标记为已解决',
+  'conflicts.action.back': '返回文件列表',
+  'conflicts.action.continue': '已全部解决，继续 {operation}',
+  'conflicts.action.abort': '中止 {operation}，恢复到操作之前',
+  'conflicts.action.later': '稍后手动处理',
+  'conflicts.ours.default': '当前分支的版本',
+  'conflicts.theirs.default': '合并进来的版本',
+  'conflicts.ours.rebase': '要变基到的上游版本',
+  'conflicts.theirs.rebase': '正在重放的本地提交的版本',
+  'conflicts.hunksTitle': '\n{file}：{count} 处冲突',
+  'conflicts.noHunks': '\n{file} 中没有冲突标记（可能是删除/修改冲突，可以采用 ours 或 theirs）\n',
+  'conflicts.taken': '✅ {file} 已采用{side}',
+  'conflicts.takeFailed': '❌ 无法处理 {file}：{error}',
+  'conflicts.confirmMarkers': '{file} 中还有冲突标记，仍然标记为已解决吗？',
+  'conflicts.markedResolved': '✅ {file} 已标记为已解决',
+  'conflicts.stillConflicted': '\n❌ 这些文件仍有冲突：{files}\n   文件中还有冲突标记，或者是没有冲突标记的二进制冲突、修改/删除冲突。\n   请采用 ours / theirs、用编辑器或合并工具处理，或用 cf resolved <文件...> 标记为已解决',
+  'conflicts.continueFailed': '\n❌ 无法继续 {operation}，请根据上面的提示处理',
+  'conflicts.aborted': '\n↩️  已中止 {operation}',
+  'conflicts.manualHint': '\n💡 提示：运行 cf 逐个解决冲突后执行 cf continue，或执行 cf abort 放弃 {operation}',
+  'conflicts.manualHintNoOperation': '\n💡 提示：运行 cf 逐个解决冲突，或手动编辑后执行 git add <文件>',
+
+  // ============= cf =============
+  'cf.usage': `用法：cf [操作] [文件...] [选项]
+
+  交互式解决冲突：选择冲突文件，查看冲突块、采用 ours / theirs、在编辑器或合并工具中打开、标记已解决，
+  全部解决后继续或中止正在进行的 merge / rebase / cherry-pick / revert。
+
+操作：
+  list               列出冲突文件
+  show <文件...>     显示文件中的冲突块
+  ours <文件...>     采用 ours 的版本并标记为已解决（rebase 时为上游的版本）
+  theirs <文件...>   采用 theirs 的版本并标记为已解决（rebase 时为本地提交的版本）
+  resolved <文件...> 按文件当前内容标记为已解决（git add，文件已删除时 git rm）
+  continue           标记没有冲突标记的文本冲突文件为已解决，并继续当前操作
+                     （二进制冲突和修改/删除冲突需要明确处理）
+  abort              中止当前操作
+
+选项：
+  --json             list 输出 JSON
+  -h, --help         显示帮助
+
+文件路径相对于仓库根目录（与 cf list 的输出一致）。合并工具可通过配置项 cf.mergeTool 指定。`,
+  'cf.noConflicts': '✅ 没有冲突需要解决',
+  'cf.noOperation': '❌ 当前没有进行中的 merge / rebase / cherry-pick / revert',
+  'cf.missingFiles': '缺少文件参数',
+  'cf.notConflicted': '不是冲突文件：{files}',
+  'cf.taken': '✅ 已采用 {side}：{files}',
+  'cf.resolved': '✅ 已标记为已解决：{files}',
+  'cf.done': '\n✅ 冲突已全部解决'
+};
@@ -0,0 +1,27 @@
+// npm.js - 读取当前项目 package.json 中的 npm scripts（s 命令、push 的推送前检查和补全共用）
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+// 获取 npm scripts：{ 名称: 命令 }，没有 package.json 时返回 null
+export function getNpmScripts(cwd = process.cwd()) {
+  const pkgPath = path.join(cwd, 'package.json');
+  if (!fs.existsSync(pkgPath)) return null;
+  const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  return pkg.scripts || {};
+}
+
+// 在后台运行 npm script 并捕获输出（stdout 和 stderr 合并），不继承终端
+// 返回 Promise<{ script, status, output, duration }>，duration 为毫秒，无法启动时 status 为 null
+export function runNpmScript(script, { cwd = process.cwd() } = {}) {
+  const start = Date.now();
+  return new Promise(resolve => {
+    let output = '';
+    const child = spawn('npm', ['run', script], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', err => resolve({ script, status: null, output: err.message, duration: Date.now() - start }));
+    child.on('close', status => resolve({ script, status, output, duration: Date.now() - start }));
+  });
+}
@@ -0,0 +1,40 @@
+// output.js - 机器可读输出：--json 模式下统一的 JSON 结构
+
+// 以缩进格式输出 JSON 到标准输出
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+// 提交记录的 JSON 结构
+export function commitJson(commit) {
+  return {
+    hash: commit.fullHash,
+    shortHash: commit.shortHash,
+    author: commit.author,
+    date: commit.date,
+    subject: commit.message
+  };
+}
+
+// 分支的 JSON 结构
+export function branchJson(branch) {
+  return {
+    name: branch.name,
+    current: branch.isCurrent,
+    upstream: branch.upstream,
+    ahead: branch.ahead,
+    behind: branch.behind,
+    gone: branch.gone
+  };
+}
+
+// stash 的 JSON 结构
+export function stashJson(stash) {
+  return {
+    ref: stash.ref,
+    index: parseInt(stash.ref.replace(/\D/g, '')),
+    message: stash.message,
+    time: stash.time,
+    date: stash.date
+  };
+}
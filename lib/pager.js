@@ -0,0 +1,57 @@
+// pager.js - 分页选择列表：l 的交互浏览提交、res 选择重置目标共用
+// 每页 pageSize 项，自动加上下一页 / 上一页、搜索 / 清除搜索的选项；列表内容、搜索方式和其余操作由调用方提供
+
+import { ask } from './prompt.js';
+import { t } from './i18n.js';
+
+// onSelect 的返回值：停留在当前页、回到第一页（列表内容已变化，如历史被修改）；返回其他值时结束选择
+export const STAY = Symbol('stay');
+export const FIRST_PAGE = Symbol('firstPage');
+
+// 分页选择，返回 onSelect 结束选择时的返回值
+// options：
+//   pageSize             每页数量
+//   message              选择提示
+//   load(skip, count)    获取从 skip 开始最多 count 项：[{ name, message, value }]
+//   printPage(page, skip) 显示列表前打印标题（page 为当前页的列表项，可能为空）
+//   search               可选：{ message, active(), ask(), clear() }，ask 输入新的搜索条件，clear 清除，之后回到第一页
+//   actions()            可选：额外的操作选项 [{ name, message }]，显示在翻页和搜索选项之后
+//   onSelect(name, value) 选中列表项（value 为该项的 value）或额外操作（value 为 undefined）时调用
+export async function pickPaged({ pageSize, message, load, printPage, search, actions = () => [], onSelect }) {
+  let skip = 0;
+
+  while (true) {
+    // 多取一个，判断是否还有下一页
+    const items = load(skip, pageSize + 1);
+    const page = items.slice(0, pageSize);
+    printPage(page, skip);
+
+    const choices = page.map(item => ({ name: item.name, message: item.message }));
+    if (items.length > pageSize) choices.push({ name: '__next__', message: t('pager.next') });
+    if (skip > 0) choices.push({ name: '__prev__', message: t('pager.prev') });
+    if (search) {
+      choices.push({ name: '__search__', message: search.message });
+      if (search.active()) choices.push({ name: '__clear__', message: t('pager.clear') });
+    }
+    choices.push(...actions());
+
+    const picked = await ask('Select', { name: 'item', message, choices, limit: 15 });
+
+    if (picked === '__next__') {
+      skip += pageSize;
+    } else if (picked === '__prev__') {
+      skip = Math.max(skip - pageSize, 0);
+    } else if (picked === '__search__') {
+      await search.ask();
+      skip = 0;
+    } else if (picked === '__clear__') {
+      search.clear();
+      skip = 0;
+    } else {
+      const item = page.find(entry => entry.name === picked);
+      const result = await onSelect(picked, item && item.value);
+      if (result === FIRST_PAGE) skip = 0;
+      else if (result !== STAY) return result;
+    }
+  }
+}
@@ -0,0 +1,59 @@
+// prompt.js - 交互提示封装：只有在标准输入是终端（TTY）时才弹出 enquirer 提示
+// 设置环境变量 TS_PROMPT_ANSWERS（JSON 数组）时按顺序使用其中的答案，不弹出提示（供测试驱动交互流程）
+
+import Enquirer from 'enquirer';
+import { UsageError } from './args.js';
+import { t } from './i18n.js';
+
+// 注入的答案队列，未设置 TS_PROMPT_ANSWERS 时为 null
+let injectedAnswers = null;
+if (process.env.TS_PROMPT_ANSWERS) {
+  injectedAnswers = JSON.parse(process.env.TS_PROMPT_ANSWERS);
+}
+
+// 当前是否可以弹出交互提示
+export function canPrompt() {
+  return injectedAnswers !== null || Boolean(process.stdin.isTTY);
+}
+
+// 运行会弹出提示的子命令时使用的环境变量：注入答案时只传递尚未使用的答案
+// 子命令用掉的答案不会同步回本进程，因此启动子命令后本进程不应再提示
+export function promptEnv(env = process.env) {
+  if (injectedAnswers === null) return env;
+  return { ...env, TS_PROMPT_ANSWERS: JSON.stringify(injectedAnswers) };
+}
+
+// 取出下一个注入的答案并按提示类型检查：Select 必须是选项之一，MultiSelect 为选项数组，Input 需通过 validate
+// 与 enquirer 一样，disabled 的选项（如分隔线、当前不可用的操作）不能被选中
+// 答案为 null 时视为用户取消（与 enquirer 取消时一样以空字符串 reject）
+async function nextInjectedAnswer(type, options) {
+  if (!injectedAnswers.length) {
+    throw new Error(`TS_PROMPT_ANSWERS: no answer left for "${options.message}"`);
+  }
+  const answer = injectedAnswers.shift();
+  if (answer === null) throw '';
+
+  const names = (options.choices || [])
+    .filter(c => typeof c === 'string' || !c.disabled)
+    .map(c => (typeof c === 'string' ? c : c.name));
+  const picked = Array.isArray(answer) ? answer : [answer];
+  if ((type === 'Select' || type === 'MultiSelect' || type === 'AutoComplete') && picked.some(a => !names.includes(a))) {
+    throw new Error(`TS_PROMPT_ANSWERS: ${JSON.stringify(answer)} is not a choice of "${options.message}"`);
+  }
+  if (options.validate) {
+    const valid = await options.validate(answer);
+    if (valid !== true) throw new Error(`TS_PROMPT_ANSWERS: ${JSON.stringify(answer)} rejected by "${options.message}": ${valid}`);
+  }
+  return answer;
+}
+
+// 创建并运行一个 enquirer 提示，type 为 'Select'、'MultiSelect'、'Input'、'Confirm' 等
+// 无法交互时抛出 UsageError，由命令打印用法后退出
+export async function ask(type, options) {
+  if (injectedAnswers !== null) return nextInjectedAnswer(type, options);
+  if (!canPrompt()) {
+    throw new UsageError(t('prompt.unavailable'));
+  }
+  const Prompt = Enquirer[type];
+  return new Prompt(options).run();
+}
@@ -0,0 +1,57 @@
+// protect.js - 受保护分支：配置项 protected.branches 中的 glob（如 main、release/*）匹配的分支
+// 删除、hard reset、直接推送这些分支时，按 protected.action 拒绝（block）或要求输入分支名确认（confirm）
+// 默认不保护任何分支（protected.branches 为空），需要时在配置中开启，如 ts config set protected.branches main,release/*
+
+import { getConfig } from './config.js';
+import { ask, canPrompt } from './prompt.js';
+import { t } from './i18n.js';
+
+// 把 glob 转换为正则：* 匹配除 / 以外的任意字符，** 可跨越 /，? 匹配单个字符
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// 分支是否受保护，patterns 默认取配置项 protected.branches
+export function isProtectedBranch(branch, patterns = getConfig('protected.branches')) {
+  if (!branch) return false;
+  return patterns.some(pattern => globToRegExp(pattern).test(branch));
+}
+
+// 检查对分支的操作是否允许：不受保护时直接允许；block 模式下拒绝；confirm 模式下要求输入 label 确认
+// operation 对应消息目录中的 protected.op.<operation>，label 为显示和输入的名称（如远程分支 origin/main），默认为分支名
+// 输入确认不能被 --yes 跳过，无法交互时视为拒绝；返回是否允许
+export async function guardProtected(branch, operation, label = branch) {
+  if (!isProtectedBranch(branch)) return true;
+  const params = { branch: label, operation: t(`protected.op.${operation}`) };
+  if (getConfig('protected.action') === 'block') {
+    console.error(t('protected.blocked', params));
+    return false;
+  }
+  if (!canPrompt()) {
+    console.error(t('protected.needsConfirm', params));
+    return false;
+  }
+  const typed = await ask('Input', {
+    name: 'confirm',
+    message: t('protected.confirm', params)
+  });
+  if (typed.trim() !== label) {
+    console.error(t('protected.mismatch', params));
+    return false;
+  }
+  return true;
+}
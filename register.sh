@@ -1,9 +1,35 @@
 #!/bin/bash
-cd ./scripts || exit
+# 可选：把命令注册为独立的短命令（b、ck、stash...），默认只需要 npm i -g 安装后的 ts 入口
+# 用法：./register.sh [命令名...]，不传命令名时注册全部短命令；目标目录默认 /usr/local/bin，可用 TS_BIN_DIR 指定
+# 只有下面这些命令可以注册为短命令，其余命令（config、undo、completion、cf 等名称太通用）只能通过 ts <命令> 使用
+SHORT_COMMANDS=(b bd c ck h l p push res s stash)
 
-for file in *.js; do
+cd "$(dirname "$0")/scripts" || exit
+
+BIN_DIR="${TS_BIN_DIR:-/usr/local/bin}"
+
+# 目标目录不可写时才使用 sudo
+SUDO=""
+if [ ! -w "$BIN_DIR" ]; then
+  SUDO="sudo"
+fi
+
+if [ $# -gt 0 ]; then
+  files=()
+  for name in "$@"; do
+    if [[ ! " ${SHORT_COMMANDS[*]} " =~ " $name " ]]; then
+      echo "Cannot register $name as a short command (use ts $name); available: ${SHORT_COMMANDS[*]}"
+      exit 1
+    fi
+    files+=("$name.js")
+  done
+else
+  files=("${SHORT_COMMANDS[@]/%/.js}")
+fi
+
+for file in "${files[@]}"; do
   name="${file%.js}"
   chmod +x "$file"  # ✅ 给单个脚本执行权限
-  sudo ln -sf "$PWD/$file" "/usr/local/bin/$name"
-  echo "注册命令：$name"
+  $SUDO ln -sf "$PWD/$file" "$BIN_DIR/$name"
+  echo "Registered: $name"
 done
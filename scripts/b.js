@@ -1,24 +1,21 @@
 #!/usr/bin/env node
 // b.js - 执行 git branch
+// --json：输出分支名、是否当前分支、upstream、领先/落后提交数
 
 import { spawnSync } from 'child_process';
-
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
-  });
-  return result.status === 0;
-}
+import { ensureGitRepo, getBranches } from '../lib/git.js';
+import { printJson, branchJson } from '../lib/output.js';
+import { t } from '../lib/i18n.js';
 
 function main() {
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
+  ensureGitRepo();
+
+  if (process.argv.slice(2).includes('--json')) {
+    printJson(getBranches().map(branchJson));
+    return;
   }
 
-  console.log('📋 Git 分支列表:\n');
+  console.log(t('b.title'));
   const result = spawnSync('git', ['branch'], { stdio: 'inherit' });
   process.exit(result.status || 0);
 }
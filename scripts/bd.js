@@ -3,296 +3,415 @@
 // 使用：保存为 ~/scripts/del-branches.js，安装依赖：pnpm/npm install enquirer
 // 然后 chmod +x ~/scripts/del-branches.js 并 ln -s 到 /usr/local/bin/del-branches（或你喜欢的名字）
 
-import { execSync, spawnSync } from 'child_process';
-import Enquirer from 'enquirer';
-const { MultiSelect, Confirm } = Enquirer;
-
-// 执行命令并返回 stdout（字符串），若失败抛出
-function run(cmd) {
-  return execSync(cmd, { encoding: 'utf8' }).trim();
-}
-
-// 获取当前分支名
-function getCurrentBranch() {
-  try {
-    return run('git rev-parse --abbrev-ref HEAD');
-  } catch {
-    return null;
-  }
-}
-
-// 获取本地分支列表（不包含 HEAD 指向的当前分支）
-function getLocalBranches() {
-  try {
-    // 使用 for-each-ref 保证兼容性
-    const out = run("git for-each-ref --format='%(refname:short)' refs/heads");
-    return out.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-  } catch {
-    return [];
-  }
-}
-
-// 获取远程分支列表（形如 origin/branch）
-function getRemoteBranches() {
-  try {
-    const out = run("git for-each-ref --format='%(refname:short)' refs/remotes");
-    return out.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-  } catch {
-    return [];
-  }
-}
-
-// 本地删除（尝试 -d 安全删除），返回 {succ: [], fail: [{name, error}]}
-function deleteLocalBranches(branches) {
+// 非交互：bd feature/a feature/b --force --remote
+// 清理预设：bd --merged / --gone / --stale [--days N] 预选对应的分支，加 --yes 直接删除
+
+import { spawnSync } from 'child_process';
+import {
+  ensureGitRepo,
+  getCurrentBranch,
+  getBranches,
+  getUpstream,
+  getDefaultBranch,
+  getMergedBranches,
+  resolveRef
+} from '../lib/git.js';
+import { getConfig } from '../lib/config.js';
+import { recordEntry } from '../lib/journal.js';
+import { isProtectedBranch, guardProtected } from '../lib/protect.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask } from '../lib/prompt.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('bd.usage');
+
+// 删除本地分支，force 为 true 时使用 -D
+// 返回 {succ: [], fail: [{name, error}], deleted: [{name, sha}]}，deleted 记录删除前的分支提交，用于撤销日志
+function removeLocalBranches(branches, force) {
   const succ = [];
   const fail = [];
+  const deleted = [];
   for (const b of branches) {
     try {
-      // 使用 spawnSync 来继承 stdio，以便 git 的详细信息显示，但这里我们先尝试静默执行并捕获错误
-      const r = spawnSync('git', ['branch', '-d', b], { encoding: 'utf8' });
+      const sha = resolveRef(`refs/heads/${b}`);
+      // 静默执行并捕获错误，失败原因在汇总时显示
+      const r = spawnSync('git', ['branch', force ? '-D' : '-d', b], { encoding: 'utf8' });
       if (r.status === 0) {
         succ.push(b);
+        deleted.push({ name: b, sha });
       } else {
         // 捕获 stderr
-        fail.push({ name: b, error: (r.stderr || r.stdout || '删除失败') });
+        fail.push({ name: b, error: (r.stderr || r.stdout || t(force ? 'bd.forceDeleteFailed' : 'bd.deleteFailed')) });
       }
     } catch (e) {
       fail.push({ name: b, error: e.message || String(e) });
     }
   }
-  return { succ, fail };
+  return { succ, fail, deleted };
+}
+
+// 本地删除（尝试 -d 安全删除）
+function deleteLocalBranches(branches) {
+  return removeLocalBranches(branches, false);
 }
 
 // 强制删除
 function forceDeleteLocalBranches(branches) {
-  const succ = [];
-  const fail = [];
-  for (const b of branches) {
-    try {
-      const r = spawnSync('git', ['branch', '-D', b], { encoding: 'utf8' });
-      if (r.status === 0) succ.push(b);
-      else fail.push({ name: b, error: (r.stderr || r.stdout || '强制删除失败') });
-    } catch (e) {
-      fail.push({ name: b, error: e.message || String(e) });
-    }
-  }
-  return { succ, fail };
+  return removeLocalBranches(branches, true);
 }
 
-// 删除远程分支：传入形如 'origin/feature/a' 的 remoteRef，拆成 remote + branch
-function deleteRemoteBranches(remoteRefs) {
+// 删除远程分支：targets 为 [{remote, name, ref}]，ref 形如 'origin/feature/a'
+// deleted 为 [{remote, name, sha}]，sha 取自本地的远程跟踪分支
+function deleteRemoteBranches(targets) {
   const succ = [];
   const fail = [];
-  for (const ref of remoteRefs) {
-    const idx = ref.indexOf('/');
-    if (idx === -1) {
-      fail.push({ name: ref, error: '无法解析 remote/branch' });
-      continue;
-    }
-    const remote = ref.slice(0, idx);
-    const branch = ref.slice(idx + 1);
+  const deleted = [];
+  for (const { remote, name, ref } of targets) {
     try {
+      const sha = resolveRef(`refs/remotes/${ref}`);
       // git push <remote> --delete <branch>
-      const r = spawnSync('git', ['push', remote, '--delete', branch], { encoding: 'utf8' });
-      if (r.status === 0) succ.push(ref);
-      else fail.push({ name: ref, error: (r.stderr || r.stdout || '删除远程分支失败') });
+      const r = spawnSync('git', ['push', remote, '--delete', name], { encoding: 'utf8' });
+      if (r.status === 0) {
+        succ.push(ref);
+        deleted.push({ remote, name, sha });
+      } else {
+        fail.push({ name: ref, error: (r.stderr || r.stdout || t('bd.remoteDeleteFailed')) });
+      }
     } catch (e) {
       fail.push({ name: ref, error: e.message || String(e) });
     }
   }
-  return { succ, fail };
+  return { succ, fail, deleted };
 }
 
-async function main() {
-  // 检查是否在 git 仓库
-  try {
-    run('git rev-parse --is-inside-work-tree');
-  } catch {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
+// 根据删除前记录的 upstream（branch.<name>.remote / branch.<name>.merge）找出要删除的远程分支
+// 返回 { targets: [{local, remote, name, ref}], skipped: [{ref, reason}] }
+// 跳过没有 upstream 或跟踪本地分支（remote 为 .）的分支、已不存在的远程跟踪分支，以及受保护的 HEAD 和远程默认分支
+function getRemoteTargets(branches, upstreams) {
+  const targets = [];
+  const skipped = [];
+  const defaults = {};
+  for (const local of branches) {
+    const upstream = upstreams.get(local);
+    if (!upstream || upstream.remote === '.') continue;
+    const { remote, remoteBranch: name, ref } = upstream;
+    // 多个本地分支跟踪同一个远程分支时只删除一次
+    if (targets.some(x => x.ref === ref)) continue;
+    if (!(remote in defaults)) defaults[remote] = getDefaultBranch(remote);
+    if (name === 'HEAD' || name === defaults[remote]) {
+      skipped.push({ ref, reason: t('bd.remoteProtected') });
+    } else if (!resolveRef(`refs/remotes/${ref}`)) {
+      skipped.push({ ref, reason: t('bd.remoteMissing') });
+    } else {
+      targets.push({ local, remote, name, ref });
+    }
   }
+  return { targets, skipped };
+}
 
-  const current = getCurrentBranch();
-  const localBranches = getLocalBranches().filter(b => b !== current); // 不允许删除当前分支
-  if (!localBranches.length) {
-    console.log('没有可删除的本地分支（除了当前分支）。');
-    process.exit(0);
+// 清理预设：已合并到默认分支、upstream 已删除、超过 N 天没有提交
+const PRESETS = ['merged', 'gone', 'stale'];
+
+// 去掉不允许删除的受保护分支（按 protected.action 拒绝或要求输入名称确认）
+// items 为要删除的分支，nameOf 取分支名用于匹配保护规则，labelOf 取显示和输入确认的名称
+async function guardBranches(items, operation, nameOf = x => x, labelOf = nameOf) {
+  const allowed = [];
+  for (const item of items) {
+    if (await guardProtected(nameOf(item), operation, labelOf(item))) allowed.push(item);
   }
+  if (allowed.length < items.length) process.exitCode = 1;
+  return allowed;
+}
+
+// 获取可删除的本地分支（不含当前分支）及其状态，返回 { candidates, target }
+// candidates：[{ name, relativeDate, author, gone, merged, stale, protected, ... }]，target 为判断合并所用的分支
+function getCandidates(current, staleDays) {
+  const remote = getConfig('remote.default');
+  const defaultBranch = getDefaultBranch(remote);
+  // 默认分支在本地存在时用本地分支判断是否已合并，否则用对应的远程分支
+  let target = null;
+  if (defaultBranch && resolveRef(`refs/heads/${defaultBranch}`)) target = defaultBranch;
+  else if (defaultBranch && resolveRef(`refs/remotes/${remote}/${defaultBranch}`)) target = `${remote}/${defaultBranch}`;
+
+  const merged = new Set(target ? getMergedBranches(target) : []);
+  const staleBefore = Date.now() - staleDays * 24 * 60 * 60 * 1000;
+  const candidates = getBranches()
+    .filter(b => b.name !== current)
+    .map(b => ({
+      ...b,
+      merged: b.name !== defaultBranch && merged.has(b.name),
+      stale: new Date(b.date).getTime() < staleBefore,
+      protected: isProtectedBranch(b.name)
+    }));
+  return { candidates, target };
+}
+
+// 分支在列表中的描述：名称、最后提交时间和作者、状态标记
+function describeBranch(branch, width) {
+  const tags = [...PRESETS, 'protected'].filter(p => branch[p]).map(p => ` [${t(`bd.tag.${p}`)}]`).join('');
+  return `${branch.name.padEnd(width)}  ${branch.relativeDate} · ${branch.author}${tags}`;
+}
 
-  // 构建 choices，添加一个 "全选" 选项
+// 分支是否符合任一预设，受保护的分支不会被预设选中
+function matchesPresets(branch, presets) {
+  return !branch.protected && presets.some(p => branch[p]);
+}
+
+// 交互式选择要删除的本地分支，presets 为预选的清理预设（未指定时先询问）
+async function selectBranches(current, candidates, presets, info) {
+  if (!presets.length) {
+    const preset = await ask('Select', {
+      name: 'preset',
+      message: t('bd.selectPreset'),
+      choices: [
+        { name: 'none', message: t('bd.preset.none') },
+        ...PRESETS.map(p => ({
+          name: p,
+          message: t(`bd.preset.${p}`, { ...info, count: candidates.filter(b => b[p]).length }),
+          disabled: p === 'merged' && !info.target ? t('bd.noDefaultBranch') : false
+        }))
+      ]
+    });
+    if (preset !== 'none') presets = [preset];
+  }
+
+  // 构建 choices，添加一个 "全选" 选项，符合预设的分支默认选中
+  const width = Math.max(...candidates.map(b => b.name.length));
   const choices = [
-    { name: '__all__', message: '🔘 全选（选择此项代表选择所有分支）' },
-    ...localBranches.map(b => ({ name: b, message: b }))
+    { name: '__all__', message: t('bd.selectAll') },
+    ...candidates.map(b => ({ name: b.name, message: describeBranch(b, width), enabled: matchesPresets(b, presets) }))
   ];
 
-  const ms = new MultiSelect({
+  let selected = await ask('MultiSelect', {
     name: 'branches',
-    message: `请选择要删除的本地分支（当前分支：${current}，不能删除当前分支）。按空格选择，回车确认，Ctrl+C 取消：`,
+    message: t('bd.selectBranches', { current }),
     choices
-  });
-
-  let selected;
-  try {
-    selected = await ms.run(); // 返回选择的 name 数组
-  } catch (e) {
-    if (e === '') {
-      console.log('\n已取消。');
-      process.exit(1);
-    }
-    console.error('操作出错：', e && e.message ? e.message : e);
-    process.exit(1);
-  }
+  }); // 返回选择的 name 数组
 
   // 处理全选
   if (selected.includes('__all__')) {
-    selected = localBranches.slice(); // 全部选中
+    selected = candidates.map(b => b.name); // 全部选中
   } else {
     // 过滤掉可能误包含的 __all__
     selected = selected.filter(s => s !== '__all__');
   }
 
   if (!selected.length) {
-    console.log('未选择任何分支，已取消。');
+    console.log(t('bd.noneSelected'));
     process.exit(0);
   }
 
-  console.log('即将删除以下本地分支：');
+  console.log(t('bd.aboutToDelete'));
   selected.forEach(b => console.log(' -', b));
 
   // 二次确认
-  const c1 = await Confirm.prompt({
-    message: '确认要删除上述本地分支吗？（这会尝试安全删除：git branch -d，Ctrl+C 可取消）',
+  const c1 = await ask('Confirm', {
+    name: 'confirm',
+    message: t('bd.confirmDelete'),
     initial: true
   });
   if (!c1) {
-    console.log('取消删除。');
+    console.log(t('bd.deleteCancelled'));
     process.exit(0);
   }
 
+  return selected;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['force', 'remote', 'merged', 'gone', 'stale', 'yes', 'help'],
+      string: ['days'],
+      alias: { f: 'force', r: 'remote', y: 'yes', h: 'help' }
+    });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  // 检查是否在 git 仓库
+  ensureGitRepo();
+
+  const staleDays = args.flags.days === undefined ? getConfig('bd.staleDays') : parseInt(args.flags.days);
+  if (!(staleDays > 0)) {
+    exitWithUsage(USAGE, t('bd.invalidDays', { days: args.flags.days }));
+  }
+
+  const current = getCurrentBranch();
+  const { candidates, target } = getCandidates(current, staleDays); // 不允许删除当前分支
+  const localBranches = candidates.map(b => b.name);
+  const presets = PRESETS.filter(p => args.flags[p]);
+  // 通过参数传入分支，或用 --yes 直接删除预设匹配的分支时，进入非交互模式，由参数决定是否强制删除、是否删除远程
+  const explicit = args._.length > 0 || (presets.length > 0 && Boolean(args.flags.yes));
+
+  let selected;
+  if (args._.length) {
+    const invalid = args._.filter(b => !localBranches.includes(b));
+    if (invalid.length) {
+      console.error(t('bd.invalidBranches', { branches: invalid.join(', ') }));
+      process.exit(1);
+    }
+    selected = [...new Set(args._)];
+  } else if (explicit) {
+    selected = candidates.filter(b => matchesPresets(b, presets)).map(b => b.name);
+    if (!selected.length) {
+      console.log(t('bd.nothingMatched'));
+      process.exit(0);
+    }
+    console.log(t('bd.aboutToDelete'));
+    selected.forEach(b => console.log(' -', b));
+  } else {
+    if (!localBranches.length) {
+      console.log(t('bd.nothingToDelete'));
+      process.exit(0);
+    }
+    selected = await selectBranches(current, candidates, presets, { target, days: staleDays });
+  }
+
+  // 受保护的分支需要确认（或直接拒绝）
+  selected = await guardBranches(selected, 'delete');
+  if (!selected.length) {
+    console.log(t('bd.noLocalDeleted'));
+    process.exit(1);
+  }
+
+  // 删除分支时 git 会一并删除 branch.<name>.* 配置，需要在删除前记录每个分支的 upstream
+  const upstreams = new Map(selected.map(b => [b, getUpstream(b)]));
+
   // 执行本地删除（先用 -d）
-  const { succ, fail } = deleteLocalBranches(selected);
+  const { succ, fail, deleted } = deleteLocalBranches(selected);
 
   if (succ.length) {
-    console.log('\n已成功删除（本地）：');
+    console.log(t('bd.deletedLocal'));
     succ.forEach(b => console.log(' ✅', b));
   }
   if (fail.length) {
-    console.log('\n无法安全删除（可能未合并或有未保存更改）：');
+    console.log(t('bd.safeDeleteFailed'));
     fail.forEach(f => console.log(' ❌', f.name, ' — ', f.error.toString().trim()));
-    // 询问是否强制删除这些失败项
-    const force = await Confirm.prompt({
-      message: '是否对上述失败的分支执行强制删除 (git branch -D)？（Ctrl+C 可取消）',
-      initial: false
-    });
+    // 询问是否强制删除这些失败项（已通过 --force / --no-force 指定时不再询问）
+    let force = args.flags.force;
+    if (force === undefined) {
+      force = explicit ? false : await ask('Confirm', {
+        name: 'force',
+        message: t('bd.confirmForce'),
+        initial: false
+      });
+    }
     if (force) {
       const failedNames = fail.map(x => x.name);
-      const { succ: succ2, fail: fail2 } = forceDeleteLocalBranches(failedNames);
+      const { succ: succ2, fail: fail2, deleted: deleted2 } = forceDeleteLocalBranches(failedNames);
       if (succ2.length) {
-        console.log('\n强制删除成功：');
+        console.log(t('bd.forceDeleted'));
         succ2.forEach(b => console.log(' ✅', b));
       }
       if (fail2.length) {
-        console.log('\n强制删除失败：');
+        console.log(t('bd.forceFailed'));
         fail2.forEach(f => console.log(' ❌', f.name, ' — ', f.error.toString().trim()));
       }
       // 把强制删除成功的也算作已删除
       succ.push(...succ2);
-      // 仍然把未删除的名字保留到 failRemaining
-      const failRemaining = fail2.map(f => f.name).concat(fail.filter(f=>!failedNames.includes(f.name)).map(f=>f.name));
-      // prepare for remote step: only use actually deleted ones (succ)
+      deleted.push(...deleted2);
+      if (fail2.length) process.exitCode = 1;
+    } else {
+      if (explicit) console.log(t('bd.forceHint'));
+      process.exitCode = 1;
     }
   }
 
-  // 准备远程分支候选：找出远程 refs 包含已删除的本地分支名的那些
+  // 本地删除写入撤销日志（undo 可按原提交重建分支）
+  if (deleted.length) {
+    recordEntry('bd', 'branch-delete', { branches: deleted });
+    console.log(t('bd.undoHint'));
+  }
+
   const deletedLocal = succ.slice(); // 使用最终成功删除的本地分支名（不包含仍失败的）
   if (!deletedLocal.length) {
-    console.log('\n没有本地分支被删除，跳过远程删除。');
-    process.exit(0);
+    console.log(t('bd.noLocalDeleted'));
+    process.exit();
   }
 
-  // 询问是否继续删除远程分支
-  const askRemote = await Confirm.prompt({
-    message: `是否要继续删除与已删除本地分支对应的远程分支？ (${deletedLocal.length} 个，Ctrl+C 可取消)`,
-    initial: false
-  });
+  // 询问是否继续删除远程分支（已通过 --remote / --no-remote 指定时不再询问）
+  let askRemote = args.flags.remote;
+  if (askRemote === undefined) {
+    askRemote = explicit ? false : await ask('Confirm', {
+      name: 'remote',
+      message: t('bd.confirmRemote', { count: deletedLocal.length }),
+      initial: false
+    });
+  }
   if (!askRemote) {
-    console.log('已完成本地删除，未进行远程删除。');
-    process.exit(0);
+    console.log(t('bd.localOnlyDone'));
+    process.exit();
   }
 
-  // 获取远程 refs
-  const remoteRefs = getRemoteBranches(); // 例如 ['origin/HEAD', 'origin/main', 'origin/feature/x']
-  // 找到与 deletedLocal 对应的 remote refs（尾部等于分支名）
-  const candidates = [];
-  for (const r of remoteRefs) {
-    for (const b of deletedLocal) {
-      if (r.endsWith('/' + b)) {
-        candidates.push(r);
-        break;
-      }
-    }
+  // 按各分支实际跟踪的远程分支（删除前记录的 upstream）确定候选
+  const { targets, skipped } = getRemoteTargets(deletedLocal, upstreams);
+  if (skipped.length) {
+    console.log(t('bd.remoteSkipped'));
+    skipped.forEach(x => console.log(' ⏭️ ', x.ref, ' — ', x.reason));
   }
-  // 去重
-  const uniqCandidates = [...new Set(candidates)];
 
-  if (!uniqCandidates.length) {
-    console.log('没有发现对应的远程分支可删除（基于 refs 列表匹配）。');
-    process.exit(0);
+  if (!targets.length) {
+    console.log(t('bd.noRemoteCandidates'));
+    process.exit();
   }
 
-  // 为远程删除提供多选（也支持全选）
-  const remoteChoices = [
-    { name: '__all__', message: '🔘 全选（选择此项代表选择所有远程分支）' },
-    ...uniqCandidates.map(r => ({ name: r, message: r }))
-  ];
-
-  const ms2 = new MultiSelect({
-    name: 'remotes',
-    message: '请选择要删除的远程分支（多选，空格选择，回车确认，Ctrl+C 取消）：',
-    choices: remoteChoices
-  });
-
   let remoteSelected;
-  try {
-    remoteSelected = await ms2.run();
-  } catch (e) {
-    if (e === '') {
-      console.log('\n已取消远程删除。');
-      process.exit(1);
-    }
-    console.error('操作出错：', e && e.message ? e.message : e);
-    process.exit(1);
-  }
-
-  if (remoteSelected.includes('__all__')) {
-    remoteSelected = uniqCandidates.slice();
+  if (args.flags.remote) {
+    // 通过 --remote 指定时删除全部对应的远程分支
+    remoteSelected = targets.slice();
   } else {
-    remoteSelected = remoteSelected.filter(s => s !== '__all__');
+    // 为远程删除提供多选（也支持全选），显示每个远程分支所属的远程仓库和对应的本地分支
+    const remoteChoices = [
+      { name: '__all__', message: t('bd.selectAllRemote') },
+      ...targets.map(x => ({ name: x.ref, message: t('bd.remoteChoice', x) }))
+    ];
+
+    const names = await ask('MultiSelect', {
+      name: 'remotes',
+      message: t('bd.selectRemotes'),
+      choices: remoteChoices
+    });
+
+    remoteSelected = names.includes('__all__') ? targets.slice() : targets.filter(x => names.includes(x.ref));
   }
 
+  remoteSelected = await guardBranches(remoteSelected, 'deleteRemote', x => x.name, x => x.ref);
   if (!remoteSelected.length) {
-    console.log('未选择任何远程分支，操作结束。');
-    process.exit(0);
+    console.log(t('bd.noRemoteSelected'));
+    process.exit();
   }
 
   // 执行远程删除
-  console.log('\n开始删除远程分支：');
-  const { succ: remoteSucc, fail: remoteFail } = deleteRemoteBranches(remoteSelected);
+  console.log(t('bd.deletingRemote'));
+  const { succ: remoteSucc, fail: remoteFail, deleted: remoteDeleted } = deleteRemoteBranches(remoteSelected);
+  if (remoteDeleted.length) recordEntry('bd', 'remote-branch-delete', { branches: remoteDeleted });
 
   if (remoteSucc.length) {
-    console.log('\n远程删除成功：');
+    console.log(t('bd.remoteDeleted'));
     remoteSucc.forEach(r => console.log(' ✅', r));
   }
   if (remoteFail.length) {
-    console.log('\n远程删除失败：');
+    console.log(t('bd.remoteFailed'));
     remoteFail.forEach(f => console.log(' ❌', f.name, ' — ', f.error.toString().trim()));
   }
 
-  console.log('\n操作完成。');
-  process.exit(0);
+  console.log(t('bd.done'));
+  if (remoteFail.length) process.exitCode = 1;
+  process.exit();
 }
 
 main().catch(e => {
-  console.error('致命错误：', e && e.message ? e.message : e);
+  if (e instanceof UsageError) exitWithUsage(USAGE, e.message);
+  if (e === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.fatal'), e && e.message ? e.message : e);
   process.exit(1);
 });
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// cf.js - 冲突解决：列出冲突文件，逐个采用 ours / theirs、在编辑器或合并工具中打开、查看冲突块、标记已解决
+// 然后继续或中止正在进行的 merge / rebase / cherry-pick / revert
+// 非交互：cf list、cf show <文件>、cf ours <文件...>、cf theirs <文件...>、cf resolved <文件...>、cf continue、cf abort
+
+import { ensureGitRepo, getConflictedFiles, getOperationInProgress } from '../lib/git.js';
+import {
+  guideConflicts,
+  printConflicts,
+  printHunks,
+  takeSide,
+  markFileResolved,
+  markResolved,
+  continueOperation,
+  abortOperation
+} from '../lib/conflicts.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { printJson } from '../lib/output.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('cf.usage');
+
+// 检查文件参数都是冲突文件
+function checkFiles(files, conflicted) {
+  if (!files.length) throw new UsageError(t('cf.missingFiles'));
+  const invalid = files.filter(file => !conflicted.includes(file));
+  if (invalid.length) throw new UsageError(t('cf.notConflicted', { files: invalid.join(', ') }));
+}
+
+// 需要有正在进行的操作（continue / abort）
+function requireOperation(operation) {
+  if (!operation) {
+    console.error(t('cf.noOperation'));
+    process.exit(1);
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['json', 'help'],
+      alias: { h: 'help' }
+    });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  ensureGitRepo();
+
+  const [action, ...files] = args._;
+  const operation = getOperationInProgress();
+  const conflicted = getConflictedFiles();
+
+  if (action === 'list') {
+    if (args.flags.json) {
+      printJson({ operation, files: conflicted });
+    } else if (conflicted.length) {
+      printConflicts(operation, conflicted);
+    } else {
+      console.log(t('cf.noConflicts'));
+    }
+    return;
+  }
+
+  if (action === 'show') {
+    checkFiles(files, conflicted);
+    files.forEach(printHunks);
+    return;
+  }
+
+  if (action === 'ours' || action === 'theirs') {
+    checkFiles(files, conflicted);
+    const ok = files.map(file => takeSide(file, action)).every(Boolean);
+    if (ok) console.log(t('cf.taken', { files: files.join(', '), side: action }));
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (action === 'resolved') {
+    checkFiles(files, conflicted);
+    const ok = files.map(markFileResolved).every(Boolean);
+    if (ok) console.log(t('cf.resolved', { files: files.join(', ') }));
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (action === 'continue') {
+    requireOperation(operation);
+    const remaining = markResolved(conflicted);
+    if (remaining.length) {
+      console.error(t('conflicts.stillConflicted', { files: remaining.join(', ') }));
+      process.exit(1);
+    }
+    process.exit(continueOperation(operation) ? 0 : 1);
+  }
+
+  if (action === 'abort') {
+    requireOperation(operation);
+    if (!abortOperation(operation)) process.exit(1);
+    console.log(t('conflicts.aborted', { operation }));
+    return;
+  }
+
+  if (action) throw new UsageError(t('common.unknownAction', { action }));
+
+  // 交互模式
+  if (!conflicted.length && !operation) {
+    console.log(t('cf.noConflicts'));
+    return;
+  }
+  const finished = await guideConflicts();
+  if (finished) console.log(t('cf.done'));
+  process.exitCode = finished ? 0 : 1;
+}
+
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -2,41 +2,35 @@
 // ck.js
 // 功能：
 //  1️⃣ 无参数 → 交互选择分支并切换
-//  2️⃣ 带参数 → 从当前分支创建并切换到新分支（git checkout -b <name>）
-
-import { execSync, spawnSync } from 'child_process';
-import enquirer from 'enquirer';
-
-// 获取当前分支列表
-function getBranches() {
-  try {
-    const out = execSync('git branch --no-color', { encoding: 'utf8' });
-    const lines = out.split(/\r?\n/).filter(Boolean);
-    return lines.map(l => {
-      const isCurrent = l.trim().startsWith('*');
-      const name = l.replace(/^[\*\s]+/, '');
-      return { name, isCurrent };
-    });
-  } catch {
-    return null;
-  }
-}
+//  2️⃣ 带参数或 -b → 创建并切换到新分支：基准默认为刚 fetch 的 origin/main（--base 指定），分支名按 ck.templates / ck.pattern 校验
+//     -b 不带名称时按模板交互填写，描述自动转换为 slug；--push 创建后立即推送并设置 upstream
+//  3️⃣ -s <branch> → 直接切换到已有分支（非交互），也可以是远程分支（如 origin/feature），会创建跟踪它的本地分支
+//  切换时有未提交的更改：可以带到目标分支，或自动 stash 并关联到当前分支（--stash），切回该分支时自动恢复
 
-// 获取当前分支名称
-function getCurrentBranch() {
-  try {
-    const out = execSync('git branch --show-current', { encoding: 'utf8' });
-    return out.trim();
-  } catch {
-    return null;
-  }
-}
+import {
+  ensureGitRepo,
+  getBranches,
+  getLocalBranches,
+  getRemoteBranches,
+  getRemotes,
+  getRecentBranches,
+  getCurrentBranch,
+  getDefaultBranch,
+  getConflictedFiles,
+  hasChanges,
+  resolveRef,
+  git,
+  runGitCommand
+} from '../lib/git.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask, canPrompt } from '../lib/prompt.js';
+import { getConfig } from '../lib/config.js';
+import { fuzzySuggest } from '../lib/fuzzy.js';
+import { saveAutostash, findAutostash, forgetAutostash } from '../lib/autostash.js';
+import { guideConflicts } from '../lib/conflicts.js';
+import { t } from '../lib/i18n.js';
 
-// 执行 git 命令（带输出）
-function runGitCommand(args) {
-  const result = spawnSync('git', args, { stdio: 'inherit' });
-  return result.status === 0;
-}
+const USAGE = t('ck.usage');
 
 // 切换分支
 function switchBranch(branch) {
@@ -46,69 +40,384 @@ function switchBranch(branch) {
   return true;
 }
 
-async function interactiveSwitch() {
-  const branches = getBranches();
-  if (!branches) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
-  }
+// 从远程分支创建同名的本地分支并跟踪它：origin/feature/a -> feature/a
+async function checkoutRemote(ref, flags) {
+  const remote = getRemotes().find(r => ref.startsWith(`${r}/`));
+  const branch = ref.slice(remote.length + 1);
+  console.log(t('ck.tracking', { branch, ref }));
+  await switchWithAutostash(branch, () => runGitCommand(['switch', '--create', branch, '--track', ref]), flags);
+}
+
+// 没有对应本地分支的远程分支：本地分支已跟踪它、或已有同名本地分支时不再列出
+function getRemoteOnlyBranches(locals) {
+  const remotes = getRemotes();
+  const tracked = new Set(locals.map(b => b.upstream).filter(Boolean));
+  const names = new Set(locals.map(b => b.name));
+  return getRemoteBranches().filter(ref => {
+    const remote = remotes.find(r => ref.startsWith(`${r}/`));
+    return remote && !tracked.has(ref) && !names.has(ref.slice(remote.length + 1));
+  });
+}
+
+// 本地分支的领先/落后标记，如 "↑2 ↓1"、"[gone]"
+function trackMarkers(branch) {
+  if (branch.gone) return t('ck.gone');
+  const markers = [];
+  if (branch.ahead) markers.push(`↑${branch.ahead}`);
+  if (branch.behind) markers.push(`↓${branch.behind}`);
+  return markers.join(' ');
+}
 
-  const choices = branches.map(b => ({
-    name: b.name,
-    message: b.isCurrent ? `* ${b.name}（当前分支）` : b.name
-  }));
+// 交互切换：模糊搜索本地分支和远程分支，当前分支和最近切换过的分支在前，其余按最后提交时间排序
+async function interactiveSwitch(flags) {
+  ensureGitRepo();
+  const recent = getRecentBranches();
+  const rank = b => (b.isCurrent ? -1 : recent.includes(b.name) ? recent.indexOf(b.name) : Infinity);
+  const locals = getBranches().sort((a, b) => rank(a) - rank(b) || (b.date || '').localeCompare(a.date || ''));
+  const remotes = getRemoteOnlyBranches(locals);
 
-  const initial = branches.findIndex(b => b.isCurrent);
-  const select = new enquirer.Select({
+  const width = Math.max(0, ...[...locals.map(b => b.name), ...remotes].map(name => name.length));
+  const choices = [
+    ...locals.map(b => ({
+      name: b.name,
+      message: `${(b.isCurrent ? t('common.currentBranch', { branch: b.name }) : b.name).padEnd(width)}  ${trackMarkers(b)}`.trimEnd()
+    })),
+    ...remotes.map(ref => ({ name: ref, message: `${ref.padEnd(width)}  ${t('ck.remoteTag')}` }))
+  ];
+
+  // 默认选中上一次所在的分支（当前分支之后的第一个）
+  const branch = await ask('AutoComplete', {
     name: 'branch',
-    message: '请选择要切换的分支（上下键选择，回车确认）',
+    message: t('ck.selectBranch'),
     choices,
-    initial: initial === -1 ? 0 : initial
+    limit: 15,
+    initial: choices.length > 1 && locals[0] && locals[0].isCurrent ? 1 : 0,
+    suggest: fuzzySuggest
   });
 
-  const branch = await select.run();
-  const current = branches.find(b => b.isCurrent)?.name;
+  if (remotes.includes(branch)) {
+    await checkoutRemote(branch, flags);
+  } else {
+    await switchTo(branch, flags);
+  }
+}
+
+// 工作区有未提交的更改时决定如何处理：stash 自动 stash 并关联到当前分支、carry 带到目标分支、cancel 取消
+// --stash / --no-stash 指定时不询问；无法交互时沿用 git 的行为直接带过去
+async function dirtyAction(current, flags) {
+  if (flags.stash !== undefined) return flags.stash ? 'stash' : 'carry';
+  if (!canPrompt()) return 'carry';
+  console.log(t('ck.dirty'));
+  return ask('Select', {
+    name: 'action',
+    message: t('ck.dirtyAction'),
+    choices: [
+      { name: 'stash', message: t('ck.dirty.stash', { branch: current }), disabled: current ? false : t('ck.detached') },
+      { name: 'carry', message: t('ck.dirty.carry') },
+      { name: 'cancel', message: t('ck.dirty.cancel') }
+    ],
+    initial: current ? 0 : 1
+  });
+}
+
+// 恢复分支关联的自动 stash；有冲突时 stash 会保留，引导解决冲突后提示手动删除
+async function restoreAutostash(branch) {
+  const stash = findAutostash(branch);
+  if (!stash) return;
+  console.log(t('ck.restoring', { branch, ref: stash.ref }));
+  if (runGitCommand(['stash', 'pop', '--quiet', stash.ref])) {
+    forgetAutostash(branch);
+    console.log(t('ck.restored'));
+  } else if (getConflictedFiles().length) {
+    forgetAutostash(branch);
+    console.error(t('stash.pop.conflicts'));
+    if (!(await guideConflicts())) process.exitCode = 1;
+    console.log(t('stash.pop.dropHint', { ref: stash.ref }));
+  } else {
+    console.error(t('ck.restoreFailed', { ref: stash.ref }));
+    process.exitCode = 1;
+  }
+}
+
+// 切换分支并处理未提交的更改：选择 stash 时先自动 stash（关联到当前分支），切换后恢复目标分支关联的自动 stash
+// doSwitch 执行实际的切换并返回是否成功；切换失败时立即恢复刚才的 stash
+async function switchWithAutostash(branch, doSwitch, flags) {
+  const current = getCurrentBranch();
+  let stashed = false;
+  if (hasChanges()) {
+    const action = await dirtyAction(current, flags);
+    if (action === 'cancel') {
+      console.log(t('common.aborted'));
+      return;
+    }
+    if (action === 'stash') {
+      if (!current) {
+        console.error(t('ck.stashDetached'));
+        process.exit(1);
+      }
+      if (!saveAutostash(current)) {
+        console.error(t('ck.stashFailed'));
+        process.exit(1);
+      }
+      console.log(t('ck.stashed', { branch: current }));
+      stashed = true;
+    }
+  }
+
+  if (!doSwitch()) {
+    console.error(t('ck.switchFailed'));
+    process.exitCode = 1;
+    if (stashed) {
+      await restoreAutostash(current);
+    } else if (hasChanges()) {
+      console.log(t('ck.stashHint'));
+    }
+    return;
+  }
+  console.log(t('ck.switched', { branch }));
+  await restoreAutostash(branch);
+}
+
+// 切换到指定分支并输出结果
+async function switchTo(branch, flags) {
+  const current = getCurrentBranch();
 
   if (branch === current) {
-    console.log(`✅ 已在分支：${branch}`);
+    console.log(t('ck.alreadyOn', { branch }));
     return;
   }
 
-  console.log(`🔁 正在切换到分支：${branch} ...`);
-  if (switchBranch(branch)) {
-    console.log(`🎉 已切换到分支：${branch}`);
-  } else {
-    console.error('❌ 切换失败，请检查是否有未提交的更改。');
+  console.log(t('ck.switching', { branch }));
+  await switchWithAutostash(branch, () => switchBranch(branch), flags);
+}
+
+// 分支名模板（配置项 ck.templates，如 feature/<ticket>-<slug>）中占位符的匹配规则
+// <ticket> 为工单号（如 PROJ-123、123），<slug> 为短横线连接的单词，其余占位符为不含 / 和空白的任意文本
+const PLACEHOLDERS = {
+  ticket: '(?:[A-Za-z][A-Za-z0-9]*-)?\\d+',
+  slug: '[\\p{L}\\p{N}]+(?:-[\\p{L}\\p{N}]+)*'
+};
+const ANY_PLACEHOLDER = '[^/\\s]+';
+
+// 占位符的正则片段
+function placeholderSource(key) {
+  return PLACEHOLDERS[key] || ANY_PLACEHOLDER;
+}
+
+// 把自由文本转换为分支名片段："Fix Login  bug!" -> "fix-login-bug"，去掉重音符号，保留中文等非 ASCII 字母
+function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50)
+    .replace(/-+$/, '');
+}
+
+// 模板中的占位符名（去重）：'feature/<ticket>-<slug>' -> ['ticket', 'slug']
+function placeholdersOf(template) {
+  return [...new Set([...template.matchAll(/<(\w+)>/g)].map(m => m[1]))];
+}
+
+// 把模板转换为正则，占位符按 PLACEHOLDERS 匹配，其余字符按原样匹配
+function templateToRegExp(template) {
+  const source = template
+    .split(/(<\w+>)/)
+    .map(part => {
+      const match = /^<(\w+)>$/.exec(part);
+      return match ? placeholderSource(match[1]) : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'u');
+}
+
+// 检查新分支名：必须是合法的 git 分支名；配置了 ck.templates 或 ck.pattern（正则）时还需匹配其中之一
+// 合法时返回 true，否则返回错误信息（可直接作为 Input 的 validate 结果）
+function validateName(name) {
+  if (!name) return t('ck.emptyName');
+  if (git(['check-ref-format', '--branch', name]).status !== 0) return t('ck.invalidName', { name });
+  const templates = getConfig('ck.templates');
+  const pattern = getConfig('ck.pattern');
+  if (!templates.length && !pattern) return true;
+  if (templates.some(template => templateToRegExp(template).test(name))) return true;
+  if (pattern) {
+    try {
+      if (new RegExp(pattern).test(name)) return true;
+    } catch (e) {
+      return t('ck.invalidPattern', { pattern, error: e.message });
+    }
+  }
+  const rules = [...templates, ...(pattern ? [`/${pattern}/`] : [])];
+  return t('ck.nameMismatch', { name, rules: rules.join(', ') });
+}
+
+// 交互输入新分支名：配置了模板时选择模板并逐个填写占位符（<slug> 可以输入自由文本描述，自动转换），否则直接输入
+async function askName() {
+  const templates = getConfig('ck.templates');
+  if (!templates.length) {
+    const name = await ask('Input', {
+      name: 'branch',
+      message: t('ck.inputName'),
+      validate: input => validateName(input.trim())
+    });
+    return name.trim();
+  }
+
+  const template = templates.length === 1
+    ? templates[0]
+    : await ask('Select', { name: 'template', message: t('ck.selectTemplate'), choices: templates });
+  let name = template;
+  for (const key of placeholdersOf(template)) {
+    const normalize = input => (key === 'slug' ? slugify(input) : input.trim());
+    const regexp = new RegExp(`^(?:${placeholderSource(key)})$`, 'u');
+    const value = await ask('Input', {
+      name: key,
+      message: t(key === 'slug' ? 'ck.inputSlug' : 'ck.inputPlaceholder', { placeholder: key }),
+      validate: input => regexp.test(normalize(input)) || t('ck.invalidPlaceholder', { placeholder: key, value: normalize(input) })
+    });
+    name = name.split(`<${key}>`).join(normalize(value));
+  }
+  return name;
+}
+
+// 远程分支所在的远程名，不是远程分支时返回 null
+function remoteOf(ref) {
+  return getRemotes().find(r => ref.startsWith(`${r}/`)) || null;
+}
+
+// 默认的基准：配置项 ck.base，未设置时为默认远程的默认分支（如 origin/main）；没有远程时返回 null（即当前 HEAD）
+function defaultBase() {
+  const configured = getConfig('ck.base');
+  if (configured) return configured;
+  const remotes = getRemotes();
+  const remote = remotes.includes(getConfig('remote.default')) ? getConfig('remote.default') : remotes[0];
+  if (!remote) return null;
+  const branch = getDefaultBranch(remote);
+  return branch ? `${remote}/${branch}` : null;
+}
+
+// 选择新分支的基准：--base 指定 > 交互选择（模糊搜索，默认项为 defaultBase）
+// 无法交互时使用配置项 ck.base，未设置时为 null（当前 HEAD），不会悄悄改为从远程默认分支创建
+async function selectBase(flagBase) {
+  if (flagBase) return flagBase;
+  if (!canPrompt()) return getConfig('ck.base');
+  const fallback = defaultBase();
+  const current = getCurrentBranch();
+  const names = [...new Set([fallback, current || 'HEAD', ...getLocalBranches(), ...getRemoteBranches()].filter(Boolean))];
+  return ask('AutoComplete', {
+    name: 'base',
+    message: t('ck.selectBase'),
+    choices: names.map(name => ({ name, message: name === current ? t('common.currentBranch', { branch: name }) : name })),
+    limit: 15,
+    suggest: fuzzySuggest
+  });
+}
+
+// 推送新分支并设置 upstream：推送到基准所在的远程，基准不是远程分支时推送到 remote.default
+function pushNewBranch(branch, base) {
+  const remotes = getRemotes();
+  const remote = (base && remoteOf(base)) || (remotes.includes(getConfig('remote.default')) ? getConfig('remote.default') : remotes[0]);
+  if (!remote) {
+    console.error(t('ck.noRemote'));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(t('ck.pushing', { branch, remote }));
+  if (!runGitCommand(['push', '--set-upstream', remote, branch])) {
+    console.error(t('ck.pushFailed'));
+    process.exitCode = 1;
   }
 }
 
-async function createAndSwitch(newBranch) {
-  const currentBranch = getCurrentBranch();
-  if (currentBranch) {
-    console.log(`🚀 正在从分支「${currentBranch}」创建并切换到新分支：${newBranch} ...`);
+// 创建并切换到新分支：名称未给出时交互输入，交互选择基准时默认为刚 fetch 的远程默认分支（如 origin/main），无法交互时默认为当前 HEAD
+// 基准为远程分支时不跟踪它（新分支推送时再设置自己的 upstream），flags.push 为 true 时创建后立即推送
+async function createAndSwitch(newBranch, flags) {
+  ensureGitRepo();
+  const branch = newBranch || await askName();
+  const valid = validateName(branch);
+  if (valid !== true) {
+    console.error(`❌ ${valid}`);
+    process.exit(1);
+  }
+
+  const base = await selectBase(flags.base);
+  const remote = base && remoteOf(base);
+  if (remote) {
+    console.log(t('ck.fetching', { remote }));
+    runGitCommand(['fetch', '--quiet', remote]);
+  }
+  if (base && !resolveRef(base)) {
+    console.error(t('ck.baseNotFound', { base }));
+    process.exit(1);
+  }
+
+  const from = base || getCurrentBranch();
+  if (from) {
+    console.log(t('ck.creatingFrom', { base: from, branch }));
   } else {
-    console.log(`🚀 正在创建并切换到新分支：${newBranch} ...`);
+    console.log(t('ck.creating', { branch }));
   }
-  const ok = runGitCommand(['checkout', '-b', newBranch]);
-  if (ok) {
-    if (currentBranch) {
-      console.log(`🎉 已从分支「${currentBranch}」创建并切换到新分支：${newBranch}`);
-    } else {
-      console.log(`🎉 新分支已创建并切换到：${newBranch}`);
-    }
+  const ok = runGitCommand(['switch', '--create', branch, ...(base ? ['--no-track', base] : [])]);
+  if (!ok) {
+    console.error(t('ck.createFailed'));
+    process.exitCode = 1;
+    return;
+  }
+  if (from) {
+    console.log(t('ck.createdFrom', { base: from, branch }));
   } else {
-    console.error('❌ 创建分支失败，可能分支已存在或有未提交更改。');
+    console.log(t('ck.created', { branch }));
   }
+
+  // 未指定 --push / --no-push 时询问是否立即推送
+  const push = flags.push !== undefined
+    ? flags.push
+    : canPrompt() && await ask('Confirm', { name: 'push', message: t('ck.confirmPush', { branch }), initial: false });
+  if (push) pushNewBranch(branch, base);
 }
 
 // ---------------- 主逻辑 ----------------
-const args = process.argv.slice(2);
+async function main() {
+  const { _: positionals, flags } = parseArgs(process.argv.slice(2), {
+    boolean: ['branch', 'push', 'stash', 'help'],
+    string: ['switch', 'base'],
+    alias: { b: 'branch', s: 'switch', h: 'help' }
+  });
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
 
-if (args.length > 0) {
-  // 传入参数：创建并切换分支
-  const newBranch = args[0];
-  await createAndSwitch(newBranch);
-} else {
-  // 无参数：交互切换
-  await interactiveSwitch();
+  const newBranch = positionals[0];
+  if (flags.switch) {
+    // 传入 -s：直接切换到已有分支
+    ensureGitRepo();
+    const locals = getBranches();
+    if (locals.some(b => b.name === flags.switch)) {
+      await switchTo(flags.switch, flags);
+    } else if (getRemoteOnlyBranches(locals).includes(flags.switch)) {
+      await checkoutRemote(flags.switch, flags);
+    } else {
+      console.error(t('ck.branchNotFound', { branch: flags.switch }));
+      process.exit(1);
+    }
+  } else if (newBranch || flags.branch) {
+    // 传入参数或 -b：创建并切换分支
+    await createAndSwitch(newBranch, flags);
+  } else {
+    // 无参数：交互切换
+    await interactiveSwitch(flags);
+  }
 }
+
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
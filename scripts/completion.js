@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// completion.js - 输出 shell 补全脚本：completion bash|zsh|fish [短命令...]
+// 短命令为 register.sh 注册的命令名（如 ck stash），会一起注册补全
+
+import { parseArgs, exitWithUsage } from '../lib/args.js';
+import { completionScript } from '../lib/completion.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('completion.usage');
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), { boolean: ['help'], alias: { h: 'help' } });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [shell, ...commands] = args._;
+  if (!shell) exitWithUsage(USAGE, t('completion.missingShell'));
+
+  const script = completionScript(shell, commands);
+  if (!script) exitWithUsage(USAGE, t('completion.unknownShell', { shell }));
+  process.stdout.write(script);
+}
+
+main();
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// config.js - 查看和修改 terminalScript 配置
+// config list / get <键> / set <键> <值> / unset <键> / path，set、unset 默认写全局文件，--local 写仓库文件
+
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import {
+  SCHEMA, ConfigError, envName, parseValue, assertKnownKey, isGlobalOnly,
+  getConfigPaths, readConfigFile, writeConfigFile, loadConfig
+} from '../lib/config.js';
+import { printJson } from '../lib/output.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('config.usage');
+
+// 格式化配置值用于显示
+function formatValue(value) {
+  if (value === null) return t('config.unset');
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+// 获取要写入的配置文件（--local 时为仓库文件）；设置 key 时检查它能否写入仓库文件（globalOnly 的配置项不能）
+function targetFile(flags, key) {
+  const paths = getConfigPaths();
+  if (!flags.local) return paths.global;
+  if (key && isGlobalOnly(key)) throw new ConfigError('globalOnly', { key, env: envName(key) });
+  if (!paths.local) {
+    console.error(t('config.notInRepo'));
+    process.exit(1);
+  }
+  return paths.local;
+}
+
+// 列出所有配置项的最终值及来源
+function listConfig(flags) {
+  const config = loadConfig();
+  if (flags.json) {
+    printJson(Object.entries(config).map(([key, { value, source }]) => ({ key, value, source })));
+    return;
+  }
+  console.log(t('config.list.title'));
+  for (const [key, { value, source }] of Object.entries(config)) {
+    console.log(`  ${key.padEnd(18)} ${formatValue(value).padEnd(16)} ${t(`config.source.${source}`)}`);
+  }
+  console.log(t('config.list.envHint'));
+}
+
+// 输出单个配置项的值
+function getValue(key, flags) {
+  assertKnownKey(key);
+  const { value, source } = loadConfig()[key] || { value: null, source: 'default' };
+  if (flags.json) {
+    printJson({ key, value, source });
+    return;
+  }
+  if (value !== null) console.log(formatValue(value));
+}
+
+// 设置配置项
+function setValue(key, raw, flags) {
+  const value = parseValue(key, raw);
+  const file = targetFile(flags, key);
+  const data = readConfigFile(file);
+  data[key] = value;
+  writeConfigFile(file, data);
+  console.log(t('config.set.done', { key, value: formatValue(value), file }));
+  if (process.env[envName(key)]) {
+    console.log(t('config.set.envOverride', { env: envName(key) }));
+  }
+}
+
+// 删除配置项
+function unsetValue(key, flags) {
+  assertKnownKey(key);
+  const file = targetFile(flags);
+  const data = readConfigFile(file);
+  if (!(key in data)) {
+    console.log(t('config.unset.missing', { key, file }));
+    return;
+  }
+  delete data[key];
+  writeConfigFile(file, data);
+  console.log(t('config.unset.done', { key, file }));
+}
+
+// 显示配置文件位置
+function showPaths() {
+  const paths = getConfigPaths();
+  console.log(t('config.path.global', { file: paths.global }));
+  console.log(t('config.path.local', { file: paths.local || t('config.path.noRepo') }));
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['local', 'global', 'json', 'help'],
+      alias: { h: 'help' }
+    });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const [action = 'list', key, value] = args._;
+  try {
+    if (action === 'list') {
+      listConfig(args.flags);
+    } else if (action === 'get') {
+      if (!key) throw new UsageError(t('config.missingKey'));
+      getValue(key, args.flags);
+    } else if (action === 'set') {
+      if (!key || value === undefined) throw new UsageError(t('config.missingValue'));
+      setValue(key, value, args.flags);
+    } else if (action === 'unset') {
+      if (!key) throw new UsageError(t('config.missingKey'));
+      unsetValue(key, args.flags);
+    } else if (action === 'path') {
+      showPaths();
+    } else {
+      throw new UsageError(t('common.unknownAction', { action }));
+    }
+  } catch (err) {
+    if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+    if (err instanceof ConfigError) {
+      console.error(`❌ ${err.message}`);
+      if (err.code === 'unknownKey') console.error(t('config.knownKeys', { keys: [...Object.keys(SCHEMA), 'alias.<name>'].join(', ') }));
+      process.exit(1);
+    }
+    console.error(t('common.error'), err && err.message ? err.message : err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,21 +1,297 @@
 #!/usr/bin/env node
 // l.js - 查看 git 提交历史
+// --json：输出提交 hash、作者、日期、标题，其余参数照常传给 git log
+// 筛选：--mine、--author、--since 2w、--grep、--path、--vs main（当前分支上 main 没有的提交），可与默认的图形格式组合；--guided 引导填写
+// --interactive：交互浏览提交（分页，按说明、作者、路径搜索），选中提交查看详情和补丁，可复制 hash、cherry-pick、revert 或回退到该提交
 
+import path from 'path';
 import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  ensureGitRepo,
+  getLog,
+  getConflictedFiles,
+  getLocalBranches,
+  getRemoteBranches,
+  gitOutput,
+  resolveRef
+} from '../lib/git.js';
+import { printJson, commitJson } from '../lib/output.js';
+import { getConfig } from '../lib/config.js';
+import { exitWithUsage, UsageError } from '../lib/args.js';
+import { ask, promptEnv } from '../lib/prompt.js';
+import { guideConflicts } from '../lib/conflicts.js';
+import { copyToClipboardSync } from '../lib/clipboard.js';
+import { fuzzySuggest } from '../lib/fuzzy.js';
+import { pickPaged, STAY, FIRST_PAGE } from '../lib/pager.js';
+import { t } from '../lib/i18n.js';
 
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
+const USAGE = t('l.usage');
+
+// l 自己的布尔选项和带值的筛选选项（支持 --since 2w 和 --since=2w 两种写法），其余参数原样传给 git log
+const OWN_BOOLEANS = ['json', 'interactive', 'guided', 'mine', 'help'];
+const FILTER_STRINGS = ['author', 'since', 'grep', 'path', 'vs'];
+
+// 筛选条件的显示顺序
+const FILTER_KEYS = ['mine', 'author', 'since', 'grep', 'path', 'vs'];
+
+// 交互浏览时可以搜索的条件
+const SEARCH_KEYS = ['grep', 'author', 'path'];
+
+// 取出 l 自己的选项：{ flags, rest }，rest 为传给 git log 的其余参数（-- 之后的参数全部保留在 rest 中）
+function splitArgs(argv) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      rest.push(...argv.slice(i));
+      break;
+    }
+    const match = arg === '-h' ? ['-h', 'help'] : /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    const key = match && match[1];
+    if (OWN_BOOLEANS.includes(key) && match[2] === undefined) {
+      flags[key] = true;
+    } else if (FILTER_STRINGS.includes(key)) {
+      let value = match[2];
+      if (value === undefined) {
+        value = argv[++i];
+        if (value === undefined) throw new UsageError(t('args.missingValue', { option: `--${key}` }));
+      }
+      flags[key] = value;
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { flags, rest };
+}
+
+// --json 和 --interactive 按固定格式解析 git log 的输出，不能再传入改变格式的选项（-- 之后的路径不检查）
+function checkFormatArgs(rest, option) {
+  const dash = rest.indexOf('--');
+  const format = (dash === -1 ? rest : rest.slice(0, dash)).find(arg => /^--(oneline|pretty|format)(=|$)/.test(arg));
+  if (format) throw new UsageError(t('l.formatConflict', { option, format }));
+}
+
+// 时间简写转换为 git 能识别的日期：2w -> 2.weeks.ago（h、d、w、m、y 分别为小时、天、周、月、年），其余原样交给 git（如 2024-01-01、yesterday）
+function parseSince(value) {
+  const match = /^(\d+)\s*([hdwmy])$/i.exec(value.trim());
+  if (!match) return value;
+  const units = { h: 'hours', d: 'days', w: 'weeks', m: 'months', y: 'years' };
+  return `${match[1]}.${units[match[2].toLowerCase()]}.ago`;
+}
+
+// --mine 对应的作者：git 的作者身份（user.email 或 GIT_AUTHOR_EMAIL）中的邮箱
+function currentAuthor() {
+  const match = /<([^>]*)>/.exec(gitOutput(['var', 'GIT_AUTHOR_IDENT']));
+  if (!match || !match[1]) throw new UsageError(t('l.noIdentity'));
+  return match[1];
+}
+
+// 筛选条件对应的 git log 参数：[选项..., 修订..., -- 路径...]，rest 为用户的其余 git log 参数
+// --vs <ref> 只显示 ref 上没有的提交（未指定修订时为 HEAD 上的）
+function filterArgs(filters, rest = []) {
+  const dash = rest.indexOf('--');
+  const revs = dash === -1 ? [...rest] : rest.slice(0, dash);
+  const paths = dash === -1 ? [] : rest.slice(dash + 1);
+  const args = [];
+  if (filters.mine) args.push(`--author=${currentAuthor()}`);
+  if (filters.author) args.push(`--author=${filters.author}`);
+  if (filters.grep) args.push(`--grep=${filters.grep}`);
+  if (filters.mine || filters.author || filters.grep) args.push('--regexp-ignore-case');
+  if (filters.since) args.push(`--since=${parseSince(filters.since)}`);
+  if (filters.vs) {
+    if (!resolveRef(filters.vs)) throw new UsageError(t('l.unknownRef', { ref: filters.vs }));
+    if (!revs.some(rev => !rev.startsWith('-'))) revs.push('HEAD');
+    revs.push(`^${filters.vs}`);
+  }
+  if (filters.path) paths.push(filters.path);
+  return [...args, ...revs, ...(paths.length ? ['--', ...paths] : [])];
+}
+
+// 是否有筛选条件
+function hasFilters(filters) {
+  return FILTER_KEYS.some(key => filters[key]);
+}
+
+// 打印当前的筛选条件
+function printFilters(filters) {
+  const active = FILTER_KEYS.filter(key => filters[key]);
+  if (!active.length) return;
+  console.log(t('l.filters', {
+    filters: active.map(key => (key === 'mine' ? t('l.field.mine') : `${t(`l.field.${key}`)}: ${filters[key]}`)).join('  ')
+  }));
+}
+
+// 与筛选条件等价的 l 命令，供下次直接使用
+function commandFor(filters) {
+  const quote = value => (/^[\w./:@~^-]+$/.test(value) ? value : JSON.stringify(value));
+  return ['l', ...FILTER_KEYS.filter(key => filters[key]).map(key => (key === 'mine' ? '--mine' : `--${key} ${quote(filters[key])}`))].join(' ');
+}
+
+// 引导填写筛选条件：先选择要用的条件，再逐个输入，最后打印等价的命令
+async function askFilters() {
+  const keys = await ask('MultiSelect', {
+    name: 'filters',
+    message: t('l.guided.select'),
+    choices: FILTER_KEYS.map(name => ({ name, message: t(`l.guided.${name}`) }))
   });
-  return result.status === 0;
+  const filters = {};
+  for (const key of FILTER_KEYS.filter(k => keys.includes(k))) {
+    if (key === 'mine') {
+      filters.mine = true;
+    } else if (key === 'vs') {
+      filters.vs = await ask('AutoComplete', {
+        name: 'vs',
+        message: t('l.guided.input.vs'),
+        choices: [...getLocalBranches(), ...getRemoteBranches()],
+        limit: 15,
+        suggest: fuzzySuggest
+      });
+    } else {
+      const value = await ask('Input', {
+        name: key,
+        message: t(`l.guided.input.${key}`),
+        validate: input => (input.trim() ? true : t('l.guided.empty'))
+      });
+      filters[key] = value.trim();
+    }
+  }
+  console.log(t('l.guided.command', { command: commandFor(filters) }));
+  return filters;
 }
 
-function main() {
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
+// 输入搜索条件：选择按说明、作者还是路径搜索，输入为空时清除该条件
+async function askFilter(filters) {
+  const field = await ask('Select', {
+    name: 'field',
+    message: t('l.searchBy'),
+    choices: SEARCH_KEYS.map(name => ({ name, message: t(`l.field.${name}`) }))
+  });
+  const value = await ask('Input', {
+    name: 'value',
+    message: t('l.searchValue', { field: t(`l.field.${field}`) }),
+    initial: filters[field] || ''
+  });
+  return { ...filters, [field]: value.trim() || undefined };
+}
+
+// 提交的父提交数量（合并提交大于 1）
+function parentCount(hash) {
+  return gitOutput(['rev-list', '--parents', '-n', '1', hash]).split(/\s+/).length - 1;
+}
+
+// 在当前分支上 cherry-pick 或 revert 提交，合并提交以第一个父提交为主线；有冲突时引导解决
+async function applyCommit(operation, commit) {
+  const args = [operation, ...(parentCount(commit.fullHash) > 1 ? ['-m', '1'] : [])];
+  if (operation === 'revert') args.push('--no-edit');
+  console.log(t(`l.${operation}.running`, { hash: commit.shortHash }));
+  const result = spawnSync('git', [...args, commit.fullHash], { stdio: 'inherit' });
+  if (result.status === 0) {
+    console.log(t(`l.${operation}.done`, { hash: commit.shortHash }));
+  } else if (getConflictedFiles().length) {
+    if (await guideConflicts()) console.log(t(`l.${operation}.done`, { hash: commit.shortHash }));
+  } else {
+    console.error(t(`l.${operation}.failed`, { hash: commit.shortHash }));
+  }
+}
+
+// 用 res 回退到提交（由 res 选择模式并确认），结束后退出浏览
+function startReset(commit) {
+  const res = path.join(path.dirname(fileURLToPath(import.meta.url)), 'res.js');
+  const result = spawnSync(process.execPath, [res, 'commit', commit.fullHash], { stdio: 'inherit', env: promptEnv() });
+  process.exit(result.status || 0);
+}
+
+// 提交详情：完整说明和文件变更统计，然后选择操作；返回 true 表示历史已变化，需要刷新列表
+async function showCommit(commit) {
+  spawnSync('git', ['show', '--stat', '--format=fuller', commit.fullHash], { stdio: 'inherit' });
+  while (true) {
+    const action = await ask('Select', {
+      name: 'action',
+      message: t('l.commitAction', { hash: commit.shortHash }),
+      choices: ['patch', 'copy', 'cherry-pick', 'revert', 'reset', 'back'].map(name => ({
+        name,
+        message: t(`l.action.${name}`)
+      }))
+    });
+
+    if (action === 'patch') {
+      spawnSync('git', ['show', '--format=', commit.fullHash], { stdio: 'inherit' });
+    } else if (action === 'copy') {
+      const copied = copyToClipboardSync(commit.fullHash);
+      console.log(t(copied ? 'l.copied' : 'l.copyFailed', { hash: commit.fullHash }));
+    } else if (action === 'cherry-pick' || action === 'revert') {
+      await applyCommit(action, commit);
+      return true;
+    } else if (action === 'reset') {
+      startReset(commit);
+    } else {
+      return false;
+    }
+  }
+}
+
+// 交互浏览提交：每页 log.limit 个，可翻页、搜索，选中提交查看详情
+// initialFilters 为命令行上的筛选条件，rest 为额外的 git log 参数（如分支名）
+async function browse(initialFilters, rest) {
+  let filters = initialFilters;
+
+  await pickPaged({
+    pageSize: getConfig('log.limit'),
+    message: t('l.selectCommit'),
+    load: (skip, count) => getLog([`--max-count=${count}`, `--skip=${skip}`, ...filterArgs(filters, rest)]).map(commit => ({
+      name: commit.fullHash,
+      message: `${commit.shortHash} ${commit.message} (${commit.author}, ${commit.time})`,
+      value: commit
+    })),
+    printPage: (page, skip) => {
+      printFilters(filters);
+      if (page.length) {
+        console.log(t('l.page', { from: skip + 1, to: skip + page.length }));
+      } else {
+        console.log(t('l.noCommits'));
+      }
+    },
+    search: {
+      message: t('l.search'),
+      active: () => hasFilters(filters),
+      ask: async () => {
+        filters = await askFilter(filters);
+      },
+      clear: () => {
+        filters = {};
+      }
+    },
+    actions: () => [{ name: '__quit__', message: t('l.quit') }],
+    onSelect: async (name, commit) => {
+      if (name === '__quit__') return null;
+      return (await showCommit(commit)) ? FIRST_PAGE : STAY;
+    }
+  });
+}
+
+async function main() {
+  const { flags, rest } = splitArgs(process.argv.slice(2));
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (flags.json) checkFormatArgs(rest, '--json');
+  if (flags.interactive) checkFormatArgs(rest, '--interactive');
+
+  ensureGitRepo();
+
+  const filters = flags.guided ? { ...flags, ...(await askFilters()) } : flags;
+  const limit = `-${getConfig('log.limit')}`;
+  if (flags.json) {
+    printJson(getLog([...(rest.length ? [] : [limit]), ...filterArgs(filters, rest)]).map(commitJson));
+    return;
+  }
+  if (flags.interactive) {
+    await browse(filters, rest);
+    return;
   }
 
   // 使用美观的 git log 格式
@@ -25,18 +301,25 @@ function main() {
     '--decorate',
     '--graph',
     '--color',
-    '-20' // 默认显示最近 20 条
+    limit // 默认显示最近 20 条（配置项 log.limit）
   ];
 
-  // 如果有额外参数，使用用户提供的参数
-  if (process.argv.length > 2) {
-    const userArgs = process.argv.slice(2);
-    const result = spawnSync('git', ['log', ...userArgs], { stdio: 'inherit' });
+  // 如果有额外参数，使用用户提供的参数；筛选条件在两种情况下都生效
+  if (rest.length > 0) {
+    const result = spawnSync('git', ['log', ...filterArgs(filters, rest)], { stdio: 'inherit' });
     process.exit(result.status || 0);
   } else {
-    const result = spawnSync('git', args, { stdio: 'inherit' });
+    const result = spawnSync('git', [...args, ...filterArgs(filters)], { stdio: 'inherit' });
     process.exit(result.status || 0);
   }
 }
 
-main();
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
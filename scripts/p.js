@@ -1,26 +1,141 @@
 #!/usr/bin/env node
-// p.js - 执行 git pull
+// p.js - 执行 git pull：先预览将要拉取的提交，再按选择的策略（merge / rebase / ff-only）合并，有冲突时给出下一步
+// 非交互：p --rebase --yes、p --ff-only、p --merge --no-autostash
 
 import { spawnSync } from 'child_process';
+import {
+  ensureGitRepo,
+  getCurrentBranch,
+  getUpstream,
+  getCommitsInRange,
+  getConflictedFiles,
+  gitOutput,
+  hasChanges,
+  resolveRef
+} from '../lib/git.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask, canPrompt } from '../lib/prompt.js';
+import { guideConflicts } from '../lib/conflicts.js';
+import { getConfig } from '../lib/config.js';
+import { t } from '../lib/i18n.js';
 
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
+const USAGE = t('p.usage');
+
+// 拉取策略及对应的 git pull 参数
+const STRATEGIES = {
+  'merge': ['--no-rebase'],
+  'rebase': ['--rebase'],
+  'ff-only': ['--ff-only']
+};
+
+// 默认策略：配置项 p.strategy，未设置时沿用 git 的 pull.rebase / pull.ff 配置
+function defaultStrategy() {
+  const configured = getConfig('p.strategy');
+  if (configured) return configured;
+  const rebase = gitOutput(['config', '--get', 'pull.rebase']);
+  if (rebase && rebase !== 'false') return 'rebase';
+  if (gitOutput(['config', '--get', 'pull.ff']) === 'only') return 'ff-only';
+  return 'merge';
+}
+
+// 选择拉取策略：参数指定 > 交互选择（默认项为 defaultStrategy）> defaultStrategy
+// diverged 为 true 时本地和远程已分叉，ff-only 不可用
+async function selectStrategy(flags, diverged) {
+  const flagged = Object.keys(STRATEGIES).filter(s => flags[s]);
+  if (flagged.length > 1) throw new UsageError(t('p.conflictingStrategies'));
+  if (flagged.length) return flagged[0];
+
+  const fallback = defaultStrategy();
+  if (flags.yes || !canPrompt()) return fallback;
+  const choices = Object.keys(STRATEGIES).map(name => ({
+    name,
+    message: t(`p.strategy.${name}`),
+    disabled: name === 'ff-only' && diverged ? t('p.diverged') : false
+  }));
+  return ask('Select', {
+    name: 'strategy',
+    message: t('p.selectStrategy'),
+    choices,
+    initial: Math.max(choices.findIndex(c => c.name === fallback && !c.disabled), 0)
   });
-  return result.status === 0;
 }
 
-function main() {
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['merge', 'rebase', 'ff-only', 'autostash', 'yes', 'help'],
+      alias: { y: 'yes', h: 'help' }
+    });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  ensureGitRepo();
+
+  const branch = getCurrentBranch();
+  const upstream = getUpstream(branch);
+  if (!upstream) {
+    console.error(t('p.noUpstream', { branch: branch || 'HEAD' }));
+    process.exit(1);
+  }
+
+  // 先 fetch，预览将要拉取的提交
+  console.log(t('p.fetching', { remote: upstream.remote }));
+  if (upstream.remote !== '.') spawnSync('git', ['fetch', upstream.remote], { stdio: 'inherit' });
+  const remoteRef = upstream.remote === '.' ? upstream.remoteBranch : upstream.ref;
+  if (!resolveRef(remoteRef)) {
+    console.error(t('p.upstreamMissing', { ref: remoteRef }));
     process.exit(1);
   }
 
-  console.log('🔄 正在执行 git pull...\n');
-  const result = spawnSync('git', ['pull'], { stdio: 'inherit' });
-  process.exit(result.status || 0);
+  const incoming = getCommitsInRange(`HEAD..${remoteRef}`);
+  const outgoing = getCommitsInRange(`${remoteRef}..HEAD`);
+  if (!incoming.length) {
+    console.log(t('p.upToDate', { ref: remoteRef }));
+    process.exit(0);
+  }
+  console.log(t('p.incoming', { count: incoming.length, ref: remoteRef }));
+  incoming.forEach(commit => console.log(`  - ${commit.shortHash} ${commit.message} (${commit.author}, ${commit.time})`));
+  if (outgoing.length) console.log(t('p.localAhead', { count: outgoing.length }));
+
+  const strategy = await selectStrategy(args.flags, outgoing.length > 0);
+
+  // 有本地修改时默认使用 --autostash：拉取前暂存，完成后自动恢复（--no-autostash 关闭）
+  const pullArgs = ['pull', ...STRATEGIES[strategy]];
+  const autostash = args.flags.autostash !== false && hasChanges();
+  if (autostash) {
+    console.log(t('p.autostash'));
+    pullArgs.push('--autostash');
+  }
+
+  console.log(t('p.pulling', { command: `git ${pullArgs.join(' ')}` }));
+  const result = spawnSync('git', pullArgs, { stdio: 'inherit' });
+  if (result.status === 0) {
+    console.log(t('p.done'));
+    process.exit(0);
+  }
+
+  // 有冲突时列出冲突文件，引导继续或中止
+  if (getConflictedFiles().length) {
+    const finished = await guideConflicts();
+    if (finished) console.log(t('p.done'));
+    process.exit(finished ? 0 : 1);
+  }
+  if (strategy === 'ff-only' && outgoing.length) console.log(t('p.ffOnlyHint'));
+  process.exit(result.status || 1);
 }
 
-main();
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.fatal'), err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -1,72 +1,205 @@
 #!/usr/bin/env node
-// push.js - 执行 git push
+// push.js - 执行 git push：推送前显示将要推送的提交，没有 upstream 时自动设置
+// 非交互：push --remote upstream、push --force --yes（使用 --force-with-lease）、push --tags
+// 推送前检查：配置项 push.checks 中的 npm scripts 会在推送前并行运行，任一失败时不推送（--no-verify 跳过）
 
 import { spawnSync } from 'child_process';
+import {
+  ensureGitRepo,
+  getCurrentBranch,
+  getUpstream,
+  getRemotes,
+  getCommitsInRange,
+  getLog,
+  resolveRef
+} from '../lib/git.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask, canPrompt } from '../lib/prompt.js';
+import { t } from '../lib/i18n.js';
+import { getConfig, findRepoRoot } from '../lib/config.js';
+import { getNpmScripts, runNpmScript } from '../lib/npm.js';
+import { guardProtected } from '../lib/protect.js';
 
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
+const USAGE = t('push.usage');
+
+// 选择推送的远程仓库：--remote 指定 > upstream 所在的远程 > 唯一的远程 > 交互选择（默认 remote.default）
+async function selectRemote(flagRemote, upstream) {
+  const remotes = getRemotes();
+  if (!remotes.length) {
+    console.error(t('push.noRemotes'));
+    process.exit(1);
+  }
+  if (flagRemote) {
+    if (!remotes.includes(flagRemote)) throw new UsageError(t('push.unknownRemote', { remote: flagRemote, remotes: remotes.join(', ') }));
+    return flagRemote;
+  }
+  if (upstream && remotes.includes(upstream.remote)) return upstream.remote;
+  if (remotes.length === 1) return remotes[0];
+
+  const preferred = getConfig('remote.default');
+  if (!canPrompt()) return remotes.includes(preferred) ? preferred : remotes[0];
+  return ask('Select', {
+    name: 'remote',
+    message: t('push.selectRemote'),
+    choices: remotes,
+    initial: Math.max(remotes.indexOf(preferred), 0)
   });
-  return result.status === 0;
 }
 
-// 获取当前分支名
-function getCurrentBranch() {
-  const result = spawnSync('git', ['branch', '--show-current'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
-  });
-  return result.stdout.trim();
+// 打印提交列表
+function printCommits(commits) {
+  commits.forEach(commit => console.log(`  - ${commit.shortHash} ${commit.message} (${commit.author}, ${commit.time})`));
 }
 
-function main() {
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
+// 获取推送的差异：outgoing 为将要推送的提交，overwritten 为远程有而本地没有的提交（强制推送时会被覆盖）
+// 远程分支不存在时，outgoing 为该远程的所有分支上都没有的提交
+function getPushDiff(remote, target) {
+  const remoteRef = `${remote}/${target}`;
+  const remoteSha = resolveRef(`refs/remotes/${remoteRef}`);
+  if (!remoteSha) {
+    return { remoteRef, remoteSha, outgoing: getLog(['HEAD', '--not', `--remotes=${remote}`]), overwritten: [] };
   }
+  return {
+    remoteRef,
+    remoteSha,
+    outgoing: getCommitsInRange(`${remoteRef}..HEAD`),
+    overwritten: getCommitsInRange(`HEAD..${remoteRef}`)
+  };
+}
 
-  console.log('🚀 正在执行 git push...\n');
-  const result = spawnSync('git', ['push'], { 
-    stdio: 'inherit',
-    encoding: 'utf8'
-  });
+// 格式化耗时：1.2s
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// 并行运行推送前检查（仓库根目录 package.json 中的 scripts），打印结果表，返回是否全部通过
+// 失败的检查会在结果表之后打印捕获的输出
+async function runChecks(checks) {
+  const root = findRepoRoot() || process.cwd();
+  const scripts = getNpmScripts(root) || {};
+  console.log(t('push.checks.running', { checks: checks.join(', ') }));
 
-  // 如果 push 失败，尝试检查是否是因为没有 upstream
-  if (result.status !== 0) {
-    // 再次执行 git push 来捕获错误信息
-    const checkResult = spawnSync('git', ['push'], {
-      encoding: 'utf8',
-      stdio: 'pipe'
+  const results = await Promise.all(checks.map(script => {
+    if (!(script in scripts)) return { script, status: null, output: t('push.checks.missing', { script }), duration: 0 };
+    return runNpmScript(script, { cwd: root });
+  }));
+
+  const width = Math.max(...checks.map(c => c.length));
+  console.log(t('push.checks.title'));
+  for (const result of results) {
+    const status = result.status === 0
+      ? t('push.checks.passed')
+      : t('push.checks.failed', { code: result.status === null ? '-' : result.status });
+    console.log(`  ${result.script.padEnd(width)}  ${formatDuration(result.duration).padStart(7)}  ${status}`);
+  }
+
+  const failed = results.filter(r => r.status !== 0);
+  for (const result of failed) {
+    console.log(t('push.checks.output', { script: result.script }));
+    console.log(result.output.trim());
+  }
+  return !failed.length;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['force', 'tags', 'yes', 'verify', 'help'],
+      string: ['remote'],
+      alias: { f: 'force', r: 'remote', y: 'yes', h: 'help' }
     });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  ensureGitRepo();
 
-    const errorOutput = checkResult.stderr || '';
-    
-    // 检查是否是因为没有 upstream 分支
-    if (errorOutput.includes('has no upstream branch')) {
-      const currentBranch = getCurrentBranch();
-      
-      if (currentBranch) {
-        console.log(`\n📝 检测到新分支，正在设置 upstream 并推送...`);
-        console.log(`   分支: ${currentBranch}\n`);
-        
-        const upstreamResult = spawnSync('git', ['push', '--set-upstream', 'origin', currentBranch], {
-          stdio: 'inherit'
-        });
-        
-        process.exit(upstreamResult.status || 0);
-      } else {
-        console.error('❌ 无法获取当前分支名');
-        process.exit(1);
+  const branch = getCurrentBranch();
+  if (!branch) {
+    console.error(t('push.noCurrentBranch'));
+    process.exit(1);
+  }
+
+  const upstream = getUpstream(branch);
+  const remote = await selectRemote(args.flags.remote, upstream);
+  // 推送到 upstream 所在的远程时使用 upstream 的分支名，否则与当前分支同名；没有 upstream 时顺便设置
+  const target = upstream && upstream.remote === remote ? upstream.remoteBranch : branch;
+  const setUpstream = !upstream || upstream.remote === '.';
+
+  // 直接推送到受保护的分支需要确认（或直接拒绝）
+  if (!(await guardProtected(target, 'push'))) process.exit(1);
+
+  // 先 fetch，保证差异和 --force-with-lease 使用的远程提交是最新的
+  spawnSync('git', ['fetch', remote], { stdio: 'pipe' });
+  const diff = getPushDiff(remote, target);
+
+  console.log(t('push.summary', { branch, remote, target }));
+  if (!diff.remoteSha) console.log(t('push.newBranch', { ref: diff.remoteRef }));
+  if (diff.outgoing.length) {
+    console.log(t('push.outgoing', { count: diff.outgoing.length }));
+    printCommits(diff.outgoing);
+  } else {
+    console.log(t('push.nothingOutgoing'));
+  }
+
+  const pushArgs = ['push'];
+  if (setUpstream) pushArgs.push('--set-upstream');
+  if (args.flags.tags) pushArgs.push('--tags');
+
+  if (diff.overwritten.length) {
+    if (!args.flags.force) {
+      // 远程有本地没有的提交，普通推送会被拒绝
+      console.log(t('push.diverged', { count: diff.overwritten.length, ref: diff.remoteRef }));
+      printCommits(diff.overwritten);
+      console.log(t('push.divergedHint'));
+      process.exit(1);
+    }
+    console.log(t('push.willOverwrite', { count: diff.overwritten.length, ref: diff.remoteRef }));
+    printCommits(diff.overwritten);
+    if (!args.flags.yes) {
+      const confirmed = await ask('Confirm', {
+        name: 'confirm',
+        message: t('push.confirmForce', { ref: diff.remoteRef }),
+        initial: false
+      });
+      if (!confirmed) {
+        console.log(t('common.aborted'));
+        process.exit(0);
       }
-    } else {
-      // 其他错误，直接退出
-      process.exit(result.status);
     }
-  } else {
-    process.exit(0);
   }
+
+  // 推送前检查（配置项 push.checks），--no-verify 时跳过
+  const checks = getConfig('push.checks');
+  if (checks.length && args.flags.verify !== false) {
+    if (!(await runChecks(checks))) {
+      console.error(t('push.checks.abort'));
+      process.exit(1);
+    }
+  }
+
+  // 强制推送使用 --force-with-lease，并指定期望的远程提交：远程在此之后又有新提交时 git 会拒绝
+  if (args.flags.force) {
+    pushArgs.push(diff.remoteSha ? `--force-with-lease=${target}:${diff.remoteSha}` : '--force-with-lease');
+  }
+  pushArgs.push(remote, `${branch}:${target}`);
+
+  console.log(t('push.pushing', { command: `git ${pushArgs.join(' ')}` }));
+  const result = spawnSync('git', pushArgs, { stdio: 'inherit' });
+  process.exit(result.status || 0);
 }
 
-main();
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.fatal'), err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -1,284 +1,307 @@
 #!/usr/bin/env node
 // res.js - Git Reset 工具：交互式管理提交回退、暂存区等操作
+// 非交互：res commits 2 --mode soft、res unstage a.js、res remote --mode mixed、res commit <hash> --mode hard --yes
+// hard reset 前自动备份 HEAD 和未提交的修改：res backups 列出，res restore <编号> 恢复，res backups --delete <编号> 删除
 
-import { execSync, spawnSync } from 'child_process';
-import Enquirer from 'enquirer';
-const { Select, MultiSelect, Input, Confirm } = Enquirer;
+import { spawnSync } from 'child_process';
+import {
+  ensureGitRepo,
+  getCurrentBranch,
+  getUpstream,
+  getAheadBehind,
+  getStagedFiles,
+  getCommits,
+  getCommit,
+  getCommitsInRange,
+  getLog,
+  getReflog,
+  getNumstat,
+  gitOutput,
+  resolveRef
+} from '../lib/git.js';
+import { recordEntry } from '../lib/journal.js';
+import { createBackup, getBackups, deleteBackup, getUntrackedCollisions, applyBackup } from '../lib/backup.js';
+import { guardProtected } from '../lib/protect.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask } from '../lib/prompt.js';
+import { pickPaged, FIRST_PAGE } from '../lib/pager.js';
+import { printJson, commitJson } from '../lib/output.js';
+import { t } from '../lib/i18n.js';
+import { getConfig } from '../lib/config.js';
 
-// 执行命令并返回输出
-function run(cmd, options = {}) {
-  try {
-    return execSync(cmd, { encoding: 'utf8', ...options }).trim();
-  } catch (e) {
-    if (options.ignoreError) return '';
-    throw e;
-  }
+const USAGE = t('res.usage');
+
+const MODES = ['soft', 'mixed', 'hard'];
+
+// hard 模式的输入确认，已传入 --yes 时跳过
+// 当前分支受保护时先按 protected.action 拒绝或要求输入分支名（--yes 不能跳过），不允许时退出
+async function confirmHard(yes) {
+  if (!(await guardProtected(getCurrentBranch(), 'hardReset'))) process.exit(1);
+  if (yes) return;
+  await ask('Input', {
+    name: 'confirm',
+    message: t('res.confirmHard'),
+    validate: (value) => value === 'yes' ? true : t('res.typeYes')
+  });
 }
 
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
+// 选择重置模式（已通过 --mode 指定时直接返回）
+async function selectMode(mode, ownChanges) {
+  if (mode) return mode;
+  const subject = ownChanges ? t('res.localChanges') : t('res.changes');
+  return ask('Select', {
+    name: 'mode',
+    message: t('res.selectResetMode'),
+    choices: [
+      { name: 'mixed', message: t('res.modeMixed', { subject }) },
+      { name: 'soft', message: t('res.modeSoft', { subject }) },
+      { name: 'hard', message: t('res.modeHard', { subject }) }
+    ]
   });
-  return result.status === 0;
 }
 
-// 获取当前分支
-function getCurrentBranch() {
-  try {
-    return run('git branch --show-current');
-  } catch {
-    return null;
-  }
+// 各模式对文件的影响，均为 git diff --numstat 的结果：
+//   soft  目标与暂存区的差异成为已暂存的修改，未暂存的修改保持不变
+//   mixed 目标与工作区的差异全部成为未暂存的修改
+//   hard  目标之后的提交中的修改被丢弃，当前未提交的修改永久丢失（未跟踪的文件不受影响）
+const RESET_EFFECTS = {
+  soft: target => [['staged', getNumstat(['--cached', target])], ['unstaged', getNumstat()]],
+  mixed: target => [['unstaged', getNumstat([target])]],
+  hard: target => [['committed', getNumstat([target, 'HEAD'])], ['lost', getNumstat(['HEAD'])]]
+};
+
+// 行数变化：+3 -1，二进制文件显示为 binary
+function formatLineCounts(file) {
+  return file.added === null ? t('res.preview.binary') : `+${file.added} -${file.deleted}`;
 }
 
-// 获取已暂存的文件
-function getStagedFiles() {
-  try {
-    const output = run('git diff --cached --name-status');
-    if (!output) return [];
-    
-    return output.split('\n').map(line => {
-      const [status, file] = line.split('\t');
-      let statusText = '';
-      switch (status) {
-        case 'M': statusText = 'modified'; break;
-        case 'A': statusText = 'new file'; break;
-        case 'D': statusText = 'deleted'; break;
-        case 'R': statusText = 'renamed'; break;
-        default: statusText = 'changed';
-      }
-      return { file, status, statusText };
-    });
-  } catch {
-    return [];
+// 打印重置到 target 时各模式对文件的影响，mode 指定时只显示该模式
+function printResetPreview(target, mode) {
+  const effects = (mode ? [mode] : MODES).map(name => [name, RESET_EFFECTS[name](target)]);
+  const width = Math.max(0, ...effects.flatMap(([, groups]) => groups.flatMap(([, files]) => files.map(f => f.file.length))));
+  console.log(t('res.preview.title', { target }));
+  for (const [name, groups] of effects) {
+    console.log(t(`res.preview.mode.${name}`));
+    const nonEmpty = groups.filter(([, files]) => files.length);
+    if (!nonEmpty.length) console.log(t('res.preview.nothing'));
+    for (const [kind, files] of nonEmpty) {
+      console.log(t(`res.preview.${kind}`, { count: files.length }));
+      files.forEach(file => console.log(`      ${file.file.padEnd(width)}  ${formatLineCounts(file)}`));
+    }
   }
+  console.log('');
 }
 
-// 获取提交列表
-function getCommits(count = 10) {
-  try {
-    const output = run(`git log -${count} --pretty=format:"%H|%h|%s|%ar|%an"`);
-    if (!output) return [];
-    
-    return output.split('\n').map(line => {
-      const [fullHash, shortHash, message, time, author] = line.split('|');
-      return { fullHash, shortHash, message, time, author };
-    });
-  } catch {
-    return [];
+// 预览重置对文件的影响；--dry-run 时到此为止，不执行重置
+function previewReset(target, options) {
+  printResetPreview(target, options.mode);
+  if (options.dryRun) {
+    console.log(t('res.preview.dryRun'));
+    process.exit(0);
   }
 }
 
-// 检查工作区是否干净
-function isWorkingTreeClean() {
-  try {
-    const status = run('git status --porcelain');
-    return status === '';
-  } catch {
-    return false;
+// 执行 git reset --<mode> <target>，成功后写入撤销日志，返回是否成功
+// hard 模式先自动备份当前的 HEAD 和未提交的修改（res backups 查看、res restore 恢复），备份失败时不执行重置
+function resetHead(mode, target) {
+  if (mode === 'hard') {
+    let backup;
+    try {
+      backup = createBackup(`reset --hard ${target}`);
+    } catch (e) {
+      console.error(t('res.backup.failed', { error: e.message }));
+      return false;
+    }
+    if (backup) console.log(t('res.backup.created', { id: backup.id }));
   }
+  const before = resolveRef('HEAD');
+  const result = spawnSync('git', ['reset', `--${mode}`, target], {
+    stdio: 'inherit'
+  });
+  if (result.status !== 0) return false;
+  recordEntry('res', 'reset', { branch: getCurrentBranch(), before, after: resolveRef('HEAD'), mode });
+  return true;
 }
 
-// 获取远程分支信息
+// 获取远程分支信息（未配置 upstream 时默认 <remote.default>/<当前分支>，remote.default 默认 origin）
 function getRemoteBranch() {
-  try {
-    const branch = getCurrentBranch();
-    if (!branch) return null;
-    
-    const remote = run(`git config branch.${branch}.remote`, { ignoreError: true }) || 'origin';
-    const remoteBranch = run(`git config branch.${branch}.merge`, { ignoreError: true }).replace('refs/heads/', '') || branch;
-    
-    return {
-      local: branch,
-      remote: remote,
-      remoteBranch: remoteBranch,
-      fullRemote: `${remote}/${remoteBranch}`
-    };
-  } catch {
-    return null;
-  }
+  const branch = getCurrentBranch();
+  if (!branch) return null;
+
+  const upstream = getUpstream(branch);
+  const remote = upstream ? upstream.remote : getConfig('remote.default');
+  const remoteBranch = upstream ? upstream.remoteBranch : branch;
+
+  return {
+    local: branch,
+    remote: remote,
+    remoteBranch: remoteBranch,
+    fullRemote: `${remote}/${remoteBranch}`
+  };
 }
 
-// 获取本地和远程的差异
-function getRemoteDiff() {
-  try {
-    const info = getRemoteBranch();
-    if (!info) return null;
-    
-    // 先 fetch
-    console.log('🔄 正在获取远程信息...\n');
-    spawnSync('git', ['fetch', info.remote], { stdio: 'pipe' });
-    
-    const ahead = run(`git rev-list --count ${info.fullRemote}..HEAD`, { ignoreError: true });
-    const behind = run(`git rev-list --count HEAD..${info.fullRemote}`, { ignoreError: true });
-    
-    const aheadCommits = ahead ? getCommitsInRange(`${info.fullRemote}..HEAD`) : [];
-    const behindCommits = behind ? getCommitsInRange(`HEAD..${info.fullRemote}`) : [];
-    
-    return {
-      ahead: parseInt(ahead) || 0,
-      behind: parseInt(behind) || 0,
-      aheadCommits,
-      behindCommits
-    };
-  } catch {
-    return null;
-  }
+// 获取本地和远程的差异，quiet 为 true 时不输出进度信息
+function getRemoteDiff(quiet = false) {
+  const info = getRemoteBranch();
+  if (!info) return null;
+
+  // 先 fetch
+  if (!quiet) console.log(t('res.fetching'));
+  spawnSync('git', ['fetch', info.remote], { stdio: 'pipe' });
+
+  const { ahead, behind } = getAheadBehind('HEAD', info.fullRemote);
+
+  return {
+    ahead,
+    behind,
+    aheadCommits: ahead ? getCommitsInRange(`${info.fullRemote}..HEAD`) : [],
+    behindCommits: behind ? getCommitsInRange(`HEAD..${info.fullRemote}`) : []
+  };
 }
 
-// 获取范围内的提交
-function getCommitsInRange(range) {
-  try {
-    const output = run(`git log ${range} --pretty=format:"%h %s"`);
-    if (!output) return [];
-    return output.split('\n');
-  } catch {
-    return [];
+// 以 JSON 输出本地与远程的差异报告
+function printRemoteDiffJson() {
+  const info = getRemoteBranch();
+  const diff = getRemoteDiff(true);
+  if (!info || !diff) {
+    console.error(t('res.noRemoteInfo'));
+    process.exit(1);
   }
+  printJson({
+    branch: info.local,
+    remote: info.remote,
+    upstream: info.fullRemote,
+    ahead: diff.ahead,
+    behind: diff.behind,
+    aheadCommits: diff.aheadCommits.map(commitJson),
+    behindCommits: diff.behindCommits.map(commitJson)
+  });
 }
 
 // ============= 主要功能函数 =============
 
 // 功能1：回退提交
-async function resetCommits() {
-  console.log('\n📜 回退提交\n');
-  
-  // 选择回退次数
-  const countPrompt = new Select({
-    name: 'count',
-    message: '请选择要回退多少次提交：',
-    choices: [
-      { name: '1', message: '回退 1 次提交' },
-      { name: '2', message: '回退 2 次提交' },
-      { name: '3', message: '回退 3 次提交' },
-      { name: '5', message: '回退 5 次提交' },
-      { name: 'custom', message: '自定义次数' }
-    ]
-  });
-  
-  let count = await countPrompt.run();
+async function resetCommits(options = {}) {
+  console.log(t('res.resetCommits.title'));
+  
+  let count = options.count;
+  if (!count) {
+    // 选择回退次数（预设选项来自配置项 res.counts）
+    count = await ask('Select', {
+      name: 'count',
+      message: t('res.resetCommits.selectCount'),
+      choices: [
+        ...getConfig('res.counts').map(n => ({ name: String(n), message: t('res.resetCommits.countChoice', { count: n }) })),
+        { name: 'custom', message: t('res.resetCommits.customCount') },
+        { name: 'pick', message: t('res.resetCommits.pickTarget') }
+      ]
+    });
+  }
+
+  // 从历史或 reflog 中选择目标提交
+  if (count === 'pick') {
+    await resetToCommit(options);
+    return;
+  }
   
   if (count === 'custom') {
-    const inputPrompt = new Input({
+    count = await ask('Input', {
       name: 'number',
-      message: '请输入要回退的提交次数：',
+      message: t('res.resetCommits.inputCount'),
       validate: (value) => {
         const num = parseInt(value);
-        return num > 0 && num < 100 ? true : '请输入 1-99 之间的数字';
+        return num > 0 && num < 100 ? true : t('res.resetCommits.countRange');
       }
     });
-    count = await inputPrompt.run();
   }
   
   const numCount = parseInt(count);
+  if (!(numCount > 0)) {
+    throw new UsageError(t('res.resetCommits.invalidCount', { count }));
+  }
   
   // 显示将要回退的提交
-  console.log(`\n📋 将要回退以下 ${numCount} 次提交：\n`);
+  console.log(t('res.resetCommits.preview', { count: numCount }));
   const commits = getCommits(numCount);
   commits.forEach((commit, index) => {
     console.log(`  ${index + 1}. ${commit.shortHash} - ${commit.message} (${commit.time})`);
   });
   
+  previewReset(`HEAD~${numCount}`, options);
+
   // 选择回退模式
-  console.log('\n');
-  const modePrompt = new Select({
-    name: 'mode',
-    message: '请选择回退模式：',
-    choices: [
-      { 
-        name: 'soft', 
-        message: '💚 soft   - 保留修改在暂存区（可以重新提交）\n          适用场景：想重新编写提交信息' 
-      },
-      { 
-        name: 'mixed', 
-        message: '🟡 mixed  - 保留修改但取消暂存（默认模式）\n          适用场景：想重新整理要提交的内容' 
-      },
-      { 
-        name: 'hard', 
-        message: '🔴 hard   - 完全丢弃所有修改 ⚠️  危险操作！\n          适用场景：确定要放弃这些提交和修改' 
-      }
-    ],
-    initial: 1
-  });
-  
-  const mode = await modePrompt.run();
+  let mode = options.mode;
+  if (!mode) {
+    console.log('\n');
+    mode = await ask('Select', {
+      name: 'mode',
+      message: t('res.resetCommits.selectMode'),
+      choices: [
+        { 
+          name: 'soft', 
+          message: t('res.resetCommits.modeSoft')
+        },
+        { 
+          name: 'mixed', 
+          message: t('res.resetCommits.modeMixed')
+        },
+        { 
+          name: 'hard', 
+          message: t('res.resetCommits.modeHard')
+        }
+      ],
+      initial: 1
+    });
+  }
   
   // 如果是 hard 模式，二次确认
   if (mode === 'hard') {
-    console.log('\n⚠️  警告：此操作将永久删除以下内容：');
-    console.log(`   - 最近 ${numCount} 次提交的所有修改`);
-    console.log('   - 工作区中未提交的更改\n');
-    console.log('❌ 此操作不可恢复！\n');
+    console.log(t('res.resetCommits.hardWarning', { count: numCount }));
     
-    const confirmPrompt = new Input({
-      name: 'confirm',
-      message: '请输入 "yes" 确认执行 hard reset：',
-      validate: (value) => value === 'yes' ? true : '请输入 "yes" 确认'
-    });
-    
-    await confirmPrompt.run();
+    await confirmHard(options.yes);
   }
   
   // 执行 reset
   const targetCommit = `HEAD~${numCount}`;
-  const result = spawnSync('git', ['reset', `--${mode}`, targetCommit], {
-    stdio: 'inherit'
-  });
-  
-  if (result.status === 0) {
-    console.log(`\n✅ 已成功回退 ${numCount} 次提交（模式：${mode}）\n`);
+  if (resetHead(mode, targetCommit)) {
+    console.log(t('res.resetCommits.done', { count: numCount, mode }));
     
     // 显示当前 HEAD
-    const currentHead = run('git log -1 --pretty=format:"%h - %s"');
-    console.log(`当前状态：`);
-    console.log(`  HEAD 现在位于: ${currentHead}\n`);
-    console.log(`💡 提示：运行 'git reflog' 可以查看完整的操作历史\n`);
+    const head = getCommit('HEAD');
+    console.log(t('res.resetCommits.currentHead', { head: `${head.shortHash} - ${head.message}` }));
+    console.log(t('res.undoHint'));
   } else {
-    console.error('\n❌ 回退失败\n');
+    console.error(t('res.resetCommits.failed'));
     process.exit(1);
   }
 }
 
 // 功能2：取消暂存文件
-async function unstageFiles() {
-  console.log('\n📦 取消暂存文件\n');
+async function unstageFiles(options = {}) {
+  console.log(t('res.unstage.title'));
   
   const staged = getStagedFiles();
   
   if (staged.length === 0) {
-    console.log('ℹ️  当前没有已暂存的文件\n');
+    console.log(t('res.unstage.nothingStaged'));
     return;
   }
   
-  console.log('当前已暂存的文件：\n');
-  
-  const choices = [
-    { name: '__all__', message: '🔘 全选（取消暂存所有文件）' },
-    ...staged.map(item => ({
-      name: item.file,
-      message: `${item.file} (${item.statusText})`
-    }))
-  ];
-  
-  const selectPrompt = new MultiSelect({
-    name: 'files',
-    message: '请选择要取消暂存的文件（空格选择，回车确认）：',
-    choices
-  });
-  
-  let selected = await selectPrompt.run();
-  
-  // 处理全选
-  if (selected.includes('__all__')) {
+  let selected = options.files || [];
+  if (options.all) {
     selected = staged.map(item => item.file);
+  } else if (selected.length) {
+    const invalid = selected.filter(file => !staged.some(item => item.file === file));
+    if (invalid.length) {
+      console.error(t('res.unstage.notStaged', { files: invalid.join(', ') }));
+      process.exit(1);
+    }
   } else {
-    selected = selected.filter(s => s !== '__all__');
+    selected = await selectStagedFiles(staged);
   }
   
   if (selected.length === 0) {
-    console.log('\n未选择任何文件\n');
+    console.log(t('res.unstage.noneSelected'));
     return;
   }
   
@@ -289,274 +312,525 @@ async function unstageFiles() {
     if (result.status === 0) {
       console.log(`  ✅ ${file}`);
     } else {
-      console.log(`  ❌ ${file} (失败)`);
+      console.log(t('res.unstage.fileFailed', { file }));
     }
   }
   
-  console.log(`\n✅ 已取消暂存 ${selected.length} 个文件\n`);
-  console.log('💡 文件修改仍在工作区中保留\n');
+  console.log(t('res.unstage.done', { count: selected.length }));
+  console.log(t('res.unstage.hint'));
+}
+
+// 交互式选择要取消暂存的文件
+async function selectStagedFiles(staged) {
+  console.log(t('res.unstage.stagedFiles'));
+  
+  const choices = [
+    { name: '__all__', message: t('res.unstage.selectAll') },
+    ...staged.map(item => ({
+      name: item.file,
+      message: `${item.file} (${item.statusText})`
+    }))
+  ];
+  
+  const selected = await ask('MultiSelect', {
+    name: 'files',
+    message: t('res.unstage.selectFiles'),
+    choices
+  });
+  
+  // 处理全选
+  if (selected.includes('__all__')) {
+    return staged.map(item => item.file);
+  }
+  return selected.filter(s => s !== '__all__');
 }
 
 // 功能3：重置到远程分支
-async function resetToRemote() {
-  console.log('\n🔗 重置到远程分支\n');
+async function resetToRemote(options = {}) {
+  console.log(t('res.remote.title'));
   
   const info = getRemoteBranch();
   if (!info) {
-    console.error('❌ 无法获取远程分支信息\n');
+    console.error(t('res.remote.noInfo'));
     return;
   }
   
-  console.log(`当前分支：${info.local}`);
-  console.log(`远程分支：${info.fullRemote}\n`);
+  console.log(t('res.remote.branches', { local: info.local, remote: info.fullRemote }));
   
   const diff = getRemoteDiff();
   
   if (!diff) {
-    console.error('❌ 无法获取远程差异信息\n');
+    console.error(t('res.remote.noDiff'));
     return;
   }
   
   if (diff.ahead === 0 && diff.behind === 0) {
-    console.log('✅ 本地分支已经与远程分支同步\n');
+    console.log(t('res.remote.inSync'));
     return;
   }
   
   // 显示差异
-  console.log('📊 本地与远程的差异：\n');
+  console.log(t('res.remote.diffTitle'));
   
   if (diff.ahead > 0) {
-    console.log(`本地领先 ${diff.ahead} 个提交：`);
-    diff.aheadCommits.forEach(commit => console.log(`  - ${commit}`));
+    console.log(t('res.remote.ahead', { count: diff.ahead }));
+    diff.aheadCommits.forEach(commit => console.log(`  - ${commit.shortHash} ${commit.message}`));
     console.log('');
   }
   
   if (diff.behind > 0) {
-    console.log(`远程领先 ${diff.behind} 个提交：`);
-    diff.behindCommits.forEach(commit => console.log(`  - ${commit}`));
+    console.log(t('res.remote.behind', { count: diff.behind }));
+    diff.behindCommits.forEach(commit => console.log(`  - ${commit.shortHash} ${commit.message}`));
     console.log('');
   }
   
-  console.log('⚠️  此操作会将本地分支重置到远程分支的最新状态\n');
+  console.log(t('res.remote.warning'));
+  previewReset(info.fullRemote, options);
   
   // 选择重置模式
-  const modePrompt = new Select({
-    name: 'mode',
-    message: '请选择重置模式：',
-    choices: [
-      { name: 'mixed', message: 'mixed - 保留本地修改但取消暂存（推荐）' },
-      { name: 'soft', message: 'soft  - 保留本地修改在暂存区' },
-      { name: 'hard', message: 'hard  - 完全丢弃本地修改 ⚠️' }
-    ]
-  });
-  
-  const mode = await modePrompt.run();
+  const mode = await selectMode(options.mode, true);
   
-  // 确认
-  const confirmPrompt = new Confirm({
-    name: 'confirm',
-    message: `确认要将本地分支重置到 ${info.fullRemote} 吗？`,
-    initial: false
-  });
-  
-  const confirmed = await confirmPrompt.run();
-  
-  if (!confirmed) {
-    console.log('\n已取消操作\n');
-    return;
+  // 确认（通过参数执行时跳过，hard 模式仍需 --yes）
+  if (mode === 'hard') {
+    await confirmHard(options.yes);
+  } else if (!options.explicit) {
+    const confirmed = await ask('Confirm', {
+      name: 'confirm',
+      message: t('res.remote.confirm', { remote: info.fullRemote }),
+      initial: false
+    });
+    
+    if (!confirmed) {
+      console.log(t('common.aborted'));
+      return;
+    }
   }
   
   // 执行重置
-  console.log('\n执行中...\n');
-  const result = spawnSync('git', ['reset', `--${mode}`, info.fullRemote], {
-    stdio: 'inherit'
-  });
-  
-  if (result.status === 0) {
-    console.log(`\n✅ 已成功重置到 ${info.fullRemote}\n`);
+  console.log(t('res.running'));
+  if (resetHead(mode, info.fullRemote)) {
+    console.log(t('res.remote.done', { remote: info.fullRemote }));
+    console.log(t('res.undoHint'));
   } else {
-    console.error('\n❌ 重置失败\n');
+    console.error(t('res.resetFailed'));
     process.exit(1);
   }
 }
 
 // 功能4：重置到指定提交
-async function resetToCommit() {
-  console.log('\n🎯 重置到指定提交\n');
-  
-  console.log('最近的 10 次提交：\n');
-  const commits = getCommits(10);
-  commits.forEach((commit, index) => {
-    console.log(`  ${(index + 1).toString().padStart(2, ' ')}. ${commit.shortHash} - ${commit.message} (${commit.time})`);
-  });
-  
-  console.log('');
+async function resetToCommit(options = {}) {
+  console.log(t('res.commit.title'));
+  
+  if (options.target) {
+    const commitInfo = getCommit(options.target);
+    if (!commitInfo) {
+      console.error(t('res.commit.invalidTarget', { target: options.target }));
+      process.exit(1);
+    }
+    await confirmAndResetToCommit(commitInfo, options);
+    return;
+  }
   
-  // 选择输入方式
-  const methodPrompt = new Select({
-    name: 'method',
-    message: '请选择：',
-    choices: [
-      { name: 'list', message: '从列表中选择提交' },
-      { name: 'manual', message: '手动输入 commit hash' }
-    ]
+  const commitInfo = await pickTarget();
+  if (!commitInfo) {
+    console.error(t('res.commit.invalidHash'));
+    return;
+  }
+  await confirmAndResetToCommit(commitInfo, options);
+}
+
+// 选择重置目标：分页浏览提交历史或 HEAD 的 reflog（可回到 rebase 或上一次 reset 之前的状态），可按提交说明搜索，也可以手动输入 hash
+// 返回目标提交的信息，手动输入无效时返回 null
+async function pickTarget() {
+  let source = 'history';
+  let search = '';
+
+  return pickPaged({
+    pageSize: getConfig('log.limit'),
+    message: t('res.commit.selectCommit'),
+    load: (skip, count) => {
+      const logArgs = [`--max-count=${count}`, `--skip=${skip}`, ...(search ? ['--regexp-ignore-case', `--grep=${search}`] : [])];
+      if (source === 'reflog') {
+        return getReflog(logArgs).map(entry => ({
+          name: entry.selector,
+          message: `${entry.selector.padEnd(9)} ${entry.shortHash} ${entry.action} (${entry.time})`
+        }));
+      }
+      return getLog(logArgs).map(commit => ({
+        name: commit.fullHash,
+        message: `${commit.shortHash} - ${commit.message} (${commit.author}, ${commit.time})`
+      }));
+    },
+    printPage: (page, skip) => {
+      console.log(t(`res.commit.source.${source}`, { from: skip + 1, to: skip + page.length }));
+      if (search) console.log(t('res.commit.searching', { search }));
+    },
+    search: {
+      message: t('res.commit.search'),
+      active: () => Boolean(search),
+      ask: async () => {
+        search = (await ask('Input', { name: 'search', message: t('res.commit.inputSearch'), initial: search })).trim();
+      },
+      clear: () => {
+        search = '';
+      }
+    },
+    actions: () => [
+      { name: '__source__', message: t(source === 'reflog' ? 'res.commit.showHistory' : 'res.commit.showReflog') },
+      { name: '__manual__', message: t('res.commit.methodManual') }
+    ],
+    onSelect: async (name) => {
+      if (name === '__source__') {
+        source = source === 'reflog' ? 'history' : 'reflog';
+        return FIRST_PAGE;
+      }
+      if (name === '__manual__') {
+        const hash = await ask('Input', {
+          name: 'hash',
+          message: t('res.commit.inputHash'),
+          validate: (value) => value.length >= 6 ? true : t('res.commit.hashTooShort')
+        });
+        return getCommit(hash);
+      }
+      // reflog 的 HEAD@{n} 在重置后会变化，这里解析为固定的提交
+      return getCommit(name);
+    }
   });
+}
+
+// 打印重置到目标提交的影响：丢弃的提交（当前分支上有、目标上没有）、找回的提交（目标上有、当前没有，如回到 rebase 之前）和保留的提交
+function printResetImpact(commitInfo) {
+  const discarded = getCommitsInRange(`${commitInfo.fullHash}..HEAD`);
+  const regained = getCommitsInRange(`HEAD..${commitInfo.fullHash}`);
+  const print = commits => commits.forEach(commit => console.log(`  - ${commit.shortHash} ${commit.message} (${commit.author}, ${commit.time})`));
+
+  if (discarded.length) {
+    console.log(t('res.commit.discarded', { count: discarded.length }));
+    print(discarded);
+  }
+  if (regained.length) {
+    console.log(t('res.commit.regained', { count: regained.length }));
+    print(regained);
+  }
+  const kept = gitOutput(['rev-list', '--count', commitInfo.fullHash]);
+  console.log(t('res.commit.kept', { hash: commitInfo.shortHash, count: kept }));
+}
+
+// 显示目标提交、选择模式并确认后执行重置
+async function confirmAndResetToCommit(commitInfo, options) {
+  // 显示目标提交信息
+  console.log(t('res.commit.target', {
+    hash: commitInfo.shortHash,
+    author: commitInfo.author,
+    time: commitInfo.time,
+    message: commitInfo.message
+  }));
+  printResetImpact(commitInfo);
+  previewReset(commitInfo.shortHash, options);
   
-  const method = await methodPrompt.run();
-  
-  let targetCommit = null;
-  let commitInfo = null;
+  // 选择重置模式
+  const mode = await selectMode(options.mode, false);
   
-  if (method === 'list') {
-    const choices = commits.map(commit => ({
-      name: commit.shortHash,
-      message: `${commit.shortHash} - ${commit.message} (${commit.time})`
-    }));
-    
-    const selectPrompt = new Select({
-      name: 'commit',
-      message: '请选择要重置到的提交：',
-      choices
+  // 确认（通过参数执行时跳过，hard 模式仍需 --yes）
+  console.log(t('res.commit.aboutToReset', { hash: commitInfo.shortHash }));
+  if (mode === 'hard') {
+    await confirmHard(options.yes);
+  } else if (!options.explicit) {
+    const confirmed = await ask('Confirm', {
+      name: 'confirm',
+      message: t('res.commit.confirm'),
+      initial: false
     });
     
-    targetCommit = await selectPrompt.run();
-    commitInfo = commits.find(c => c.shortHash === targetCommit);
+    if (!confirmed) {
+      console.log(t('common.aborted'));
+      return;
+    }
+  }
+  
+  // 执行重置
+  console.log(t('res.running'));
+  if (resetHead(mode, commitInfo.shortHash)) {
+    console.log(t('res.commit.done'));
+    console.log(t('res.undoHint'));
   } else {
-    const inputPrompt = new Input({
-      name: 'hash',
-      message: '请输入 commit hash (完整或前 7 位)：',
-      validate: (value) => value.length >= 6 ? true : '请输入至少 6 个字符'
+    console.error(t('res.resetFailed'));
+    process.exit(1);
+  }
+}
+
+// 备份的一行描述：#3 main abc1234 reset --hard HEAD~1 (2 minutes ago) [有未提交的修改]
+function describeBackup(backup) {
+  const changes = backup.hasChanges ? ` ${t('res.backup.changesTag')}` : '';
+  return `#${backup.id}  ${backup.branch || 'HEAD'}  ${backup.head.slice(0, 7)}  ${backup.reason} (${backup.time})${changes}`;
+}
+
+// 按编号（可带 #）查找备份
+function findBackupById(backups, id) {
+  return backups.find(b => String(b.id) === String(id).replace(/^#/, ''));
+}
+
+// 删除备份：--delete <编号> 删除一个，--delete all 删除全部；需要确认（--yes 跳过）
+async function deleteBackups(options) {
+  const backups = getBackups();
+  let targets = backups;
+  if (options.delete !== 'all') {
+    const backup = findBackupById(backups, options.delete);
+    if (!backup) {
+      console.error(t('res.backup.notFound', { id: options.delete }));
+      process.exit(1);
+    }
+    targets = [backup];
+  }
+  if (!targets.length) {
+    console.log(t('res.backup.none'));
+    return;
+  }
+
+  console.log(t('res.backup.aboutToDelete', { count: targets.length }));
+  targets.forEach(backup => console.log(`  ${describeBackup(backup)}`));
+  if (!options.yes) {
+    const confirmed = await ask('Confirm', {
+      name: 'confirm',
+      message: t('res.backup.confirmDelete'),
+      initial: false
     });
-    
-    targetCommit = await inputPrompt.run();
-    
-    // 验证并获取提交信息
-    try {
-      const info = run(`git log -1 ${targetCommit} --pretty=format:"%H|%h|%s|%ar|%an"`);
-      const [fullHash, shortHash, message, time, author] = info.split('|');
-      commitInfo = { fullHash, shortHash, message, time, author };
-    } catch {
-      console.error('\n❌ 无效的 commit hash\n');
+    if (!confirmed) {
+      console.log(t('common.aborted'));
       return;
     }
   }
-  
-  // 显示目标提交信息
-  console.log('\n目标提交信息：');
-  console.log(`  Hash: ${commitInfo.shortHash}`);
-  console.log(`  作者: ${commitInfo.author}`);
-  console.log(`  时间: ${commitInfo.time}`);
-  console.log(`  信息: ${commitInfo.message}\n`);
-  
-  // 选择重置模式
-  const modePrompt = new Select({
-    name: 'mode',
-    message: '请选择重置模式：',
-    choices: [
-      { name: 'mixed', message: 'mixed - 保留修改但取消暂存（推荐）' },
-      { name: 'soft', message: 'soft  - 保留修改在暂存区' },
-      { name: 'hard', message: 'hard  - 完全丢弃所有修改 ⚠️' }
-    ]
-  });
-  
-  const mode = await modePrompt.run();
-  
-  // 确认
-  console.log(`\n⚠️  将重置到提交: ${commitInfo.shortHash}`);
-  const confirmPrompt = new Confirm({
-    name: 'confirm',
-    message: '确认执行吗？',
-    initial: false
-  });
-  
-  const confirmed = await confirmPrompt.run();
-  
-  if (!confirmed) {
-    console.log('\n已取消操作\n');
+
+  const failed = targets.filter(backup => !deleteBackup(backup));
+  console.log(t('res.backup.deleted', { count: targets.length - failed.length }));
+  if (failed.length) {
+    console.error(t('res.backup.deleteFailed', { ids: failed.map(b => `#${b.id}`).join(', ') }));
+    process.exit(1);
+  }
+}
+
+// 功能5：列出 hard reset 前的自动备份（交互模式下可选择一个恢复）；--delete 时删除备份
+async function listBackups(options = {}) {
+  if (options.delete) {
+    await deleteBackups(options);
     return;
   }
-  
-  // 执行重置
-  console.log('\n执行中...\n');
-  const result = spawnSync('git', ['reset', `--${mode}`, commitInfo.shortHash], {
-    stdio: 'inherit'
-  });
-  
-  if (result.status === 0) {
-    console.log(`\n✅ 已成功重置到指定提交\n`);
+  const backups = getBackups();
+  if (options.json) {
+    printJson(backups.map(b => ({ id: b.id, branch: b.branch, head: b.head, reason: b.reason, date: b.date, hasChanges: b.hasChanges })));
+    return;
+  }
+  if (!backups.length) {
+    console.log(t('res.backup.none'));
+    return;
+  }
+  console.log(t('res.backup.title'));
+  backups.forEach(backup => console.log(`  ${describeBackup(backup)}`));
+  console.log('');
+  if (options.explicit) {
+    console.log(t('res.backup.restoreHint'));
+    return;
+  }
+  await restoreBackup(options);
+}
+
+// 功能6：恢复备份：把当前分支 hard reset 到备份时的 HEAD（会先备份当前状态），再恢复备份中未提交的修改（包括暂存区）
+async function restoreBackup(options = {}) {
+  const backups = getBackups();
+  let backup;
+  if (options.target) {
+    backup = findBackupById(backups, options.target);
+    if (!backup) {
+      console.error(t('res.backup.notFound', { id: options.target }));
+      process.exit(1);
+    }
   } else {
-    console.error('\n❌ 重置失败\n');
+    if (!backups.length) {
+      console.log(t('res.backup.none'));
+      return;
+    }
+    const picked = await ask('Select', {
+      name: 'backup',
+      message: t('res.backup.select'),
+      choices: [
+        ...backups.map(b => ({ name: String(b.id), message: describeBackup(b) })),
+        { name: 'cancel', message: t('res.menu.cancel') }
+      ]
+    });
+    if (picked === 'cancel') {
+      console.log(t('common.aborted'));
+      return;
+    }
+    backup = backups.find(b => String(b.id) === picked);
+  }
+
+  // 备份属于其他分支时不恢复，避免把当前分支移到其他分支的提交上
+  const branch = getCurrentBranch() || 'HEAD';
+  if (backup.branch && backup.branch !== branch) {
+    console.error(t('res.backup.otherBranch', { id: backup.id, branch: backup.branch, current: branch }));
+    process.exit(1);
+  }
+
+  // 工作区中内容不同的同名未跟踪文件会被备份覆盖，需要用户先处理
+  const { different } = getUntrackedCollisions(backup);
+  if (different.length) {
+    console.error(t('res.backup.untrackedCollision', { id: backup.id, files: different.join(', ') }));
+    process.exit(1);
+  }
+
+  console.log(t('res.backup.aboutToRestore', { id: backup.id, head: backup.head.slice(0, 7) }));
+  printResetImpact(getCommit(backup.head));
+  await confirmHard(options.yes);
+
+  console.log(t('res.running'));
+  if (!resetHead('hard', backup.head)) {
+    console.error(t('res.resetFailed'));
     process.exit(1);
   }
+  if (backup.hasChanges) {
+    const applied = applyBackup(backup);
+    if (applied.status !== 0) {
+      console.error(t('res.backup.applyFailed', { error: applied.stderr, sha: backup.sha }));
+      process.exit(1);
+    }
+  }
+  console.log(t('res.backup.restored', { id: backup.id }));
 }
 
 // ============= 主函数 =============
 
+// 操作名（命令行）到功能函数的映射
+const ACTIONS = {
+  commits: 'resetCommits',
+  unstage: 'unstageFiles',
+  remote: 'resetToRemote',
+  commit: 'resetToCommit',
+  backups: 'listBackups',
+  restore: 'restoreBackup'
+};
+
+// 解析命令行参数，返回 { action, options }；未指定操作时 action 为 null
+function parseCommandLine(argv) {
+  const { _: positionals, flags } = parseArgs(argv, {
+    boolean: ['yes', 'all', 'json', 'dry-run', 'help'],
+    string: ['mode', 'delete'],
+    alias: { m: 'mode', y: 'yes', a: 'all', h: 'help' }
+  });
+
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (flags.mode && !MODES.includes(flags.mode)) {
+    throw new UsageError(t('res.invalidMode', { mode: flags.mode, modes: MODES.join(' | ') }));
+  }
+
+  const [name, ...rest] = positionals;
+  if (!name) return { action: null, options: { dryRun: flags['dry-run'] } };
+  if (!ACTIONS[name]) throw new UsageError(t('common.unknownAction', { action: name }));
+
+  const options = { mode: flags.mode, yes: flags.yes, json: flags.json, dryRun: flags['dry-run'], explicit: true };
+  switch (name) {
+    case 'commits':
+      options.count = rest[0];
+      break;
+    case 'unstage':
+      options.files = rest;
+      options.all = flags.all;
+      break;
+    case 'commit':
+    case 'restore':
+      options.target = rest[0];
+      break;
+    case 'backups':
+      options.delete = flags.delete;
+      break;
+  }
+  return { action: ACTIONS[name], options };
+}
+
 async function main() {
+  let { action, options } = parseCommandLine(process.argv.slice(2));
+
   // 检查 git 仓库
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
-  }
+  ensureGitRepo();
   
-  console.log('\n🔄 Git Reset 工具\n');
+  if (action === 'resetToRemote' && options.json) {
+    printRemoteDiffJson();
+    return;
+  }
+  if (action === 'listBackups' && options.json && !options.delete) {
+    await listBackups(options);
+    return;
+  }
   
-  // 主菜单
-  const mainPrompt = new Select({
-    name: 'action',
-    message: '请选择要执行的操作：',
-    choices: [
-      { 
-        name: 'resetCommits', 
-        message: '📜 回退提交 - 撤销最近的提交（保留或丢弃修改）' 
-      },
-      { 
-        name: 'unstageFiles', 
-        message: '📦 取消暂存文件 - 将已暂存的文件移出暂存区' 
-      },
-      { 
-        name: 'resetToRemote', 
-        message: '🔗 重置到远程分支 - 将本地分支重置到远程最新状态' 
-      },
-      { 
-        name: 'resetToCommit', 
-        message: '🎯 重置到指定提交 - 输入 commit hash 进行精确重置' 
-      },
-      { 
-        name: 'cancel', 
-        message: '❌ 取消' 
-      }
-    ]
-  });
+  console.log(t('res.title'));
+  
+  if (!action) {
+    // 主菜单
+    action = await ask('Select', {
+      name: 'action',
+      message: t('common.selectAction'),
+      choices: [
+        { 
+          name: 'resetCommits', 
+          message: t('res.menu.resetCommits')
+        },
+        { 
+          name: 'unstageFiles', 
+          message: t('res.menu.unstageFiles')
+        },
+        { 
+          name: 'resetToRemote', 
+          message: t('res.menu.resetToRemote')
+        },
+        { 
+          name: 'resetToCommit', 
+          message: t('res.menu.resetToCommit')
+        },
+        { 
+          name: 'listBackups', 
+          message: t('res.menu.listBackups')
+        },
+        { 
+          name: 'cancel', 
+          message: t('res.menu.cancel')
+        }
+      ]
+    });
+  }
   
-  try {
-    const action = await mainPrompt.run();
-    
-    switch (action) {
-      case 'resetCommits':
-        await resetCommits();
-        break;
-      case 'unstageFiles':
-        await unstageFiles();
-        break;
-      case 'resetToRemote':
-        await resetToRemote();
-        break;
-      case 'resetToCommit':
-        await resetToCommit();
-        break;
-      case 'cancel':
-        console.log('\n已取消\n');
-        break;
-    }
-  } catch (err) {
-    if (err === '') {
-      console.log('\n\n已取消操作\n');
-      process.exit(0);
-    }
-    console.error('\n操作出错：', err && err.message ? err.message : err);
-    process.exit(1);
+  switch (action) {
+    case 'resetCommits':
+      await resetCommits(options);
+      break;
+    case 'unstageFiles':
+      await unstageFiles(options);
+      break;
+    case 'resetToRemote':
+      await resetToRemote(options);
+      break;
+    case 'resetToCommit':
+      await resetToCommit(options);
+      break;
+    case 'listBackups':
+      await listBackups(options);
+      break;
+    case 'restoreBackup':
+      await restoreBackup(options);
+      break;
+    case 'cancel':
+      console.log(t('res.cancelledMenu'));
+      break;
   }
 }
 
-main();
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.operationCancelled'));
+    process.exit(0);
+  }
+  console.error(`\n${t('common.error')}`, err && err.message ? err.message : err);
+  process.exit(1);
+});
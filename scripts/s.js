@@ -1,53 +1,84 @@
 #!/usr/bin/env node
-import fs from 'fs';
-import path from 'path';
-import { execSync, spawnSync } from 'child_process';
-import Enquirer from 'enquirer';
-const { Select } = Enquirer;
+// s.js - 交互式选择并运行 npm scripts
+// 非交互：s build，-- 之后的参数会传给脚本，如 s test -- --watch
 
-const cwd = process.cwd();
-const pkgPath = path.join(cwd, 'package.json');
+import { spawnSync } from 'child_process';
+import { getCurrentBranch } from '../lib/git.js';
+import { getNpmScripts } from '../lib/npm.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask } from '../lib/prompt.js';
+import { t } from '../lib/i18n.js';
+import { getConfig } from '../lib/config.js';
 
-if (!fs.existsSync(pkgPath)) {
-  console.error('❌ 当前目录没有 package.json');
-  process.exit(1);
+const USAGE = t('s.usage');
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2), { boolean: ['help'], alias: { h: 'help' } });
+} catch (e) {
+  exitWithUsage(USAGE, e.message);
+}
+if (args.flags.help) {
+  console.log(USAGE);
+  process.exit(0);
 }
 
-const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-const scripts = pkg.scripts || {};
+const scripts = getNpmScripts();
+
+if (!scripts) {
+  console.error(t('s.noPackageJson'));
+  process.exit(1);
+}
 
 if (Object.keys(scripts).length === 0) {
-  console.log('⚠️ 没有找到任何 npm scripts');
+  console.log(t('s.noScripts'));
   process.exit(0);
 }
 
-// 获取当前 git 分支名
-let currentBranch = '';
-try {
-  currentBranch = execSync('git branch --show-current', { encoding: 'utf8' }).trim();
-} catch {
-  currentBranch = '';
+// 运行指定的 npm script
+function runScript(script) {
+  const scriptArgs = args.rest.length ? ['--', ...args.rest] : [];
+  console.log(t('s.running', { script }));
+  const child = spawnSync('npm', ['run', script, ...scriptArgs], { stdio: 'inherit' });
+  process.exit(child.status);
+}
+
+if (args._.length) {
+  const script = args._[0];
+  if (!scripts[script]) {
+    console.error(t('s.scriptNotFound', { script }));
+    process.exit(1);
+  }
+  runScript(script);
 }
 
-// 找出默认选中项
-let defaultScript = Object.keys(scripts).find(s => s.includes("sit"));
+// 获取当前 git 分支名
+const currentBranch = getCurrentBranch() || '';
+
+// 找出默认选中项（优先匹配配置项 s.defaultScript，默认 "sit"）
+const preferred = getConfig('s.defaultScript');
+let defaultScript = Object.keys(scripts).find(s => s.includes(preferred));
 if (!defaultScript) {
   defaultScript = Object.keys(scripts).find(s => s.includes(currentBranch)) || Object.keys(scripts)[0];
 }
 
-// 选择要运行的命令
-const prompt = new Select({
-  name: 'script',
-  message: '请选择要运行的 npm 命令:',
-  choices: Object.keys(scripts),
-  initial: Object.keys(scripts).indexOf(defaultScript)
-});
-
 const run = async () => {
-  const script = await prompt.run();
-  console.log(`🚀 正在运行：npm run ${script}\n`);
-  const child = spawnSync('npm', ['run', script], { stdio: 'inherit' });
-  process.exit(child.status);
+  // 选择要运行的命令
+  const script = await ask('Select', {
+    name: 'script',
+    message: t('s.selectScript'),
+    choices: Object.keys(scripts),
+    initial: Object.keys(scripts).indexOf(defaultScript)
+  });
+  runScript(script);
 };
 
-run();
+run().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
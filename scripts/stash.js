@@ -1,142 +1,90 @@
 #!/usr/bin/env node
 // stash.js - Git Stash 管理器：交互式管理工作区暂存
+// 非交互：stash push -m "msg" -u、stash pop 1、stash drop 0、stash clear --yes
 
-import { execSync, spawnSync } from 'child_process';
-import Enquirer from 'enquirer';
-const { Select, Input, Confirm } = Enquirer;
+import { spawnSync } from 'child_process';
+import { ensureGitRepo, getCurrentBranch, getWorkingStatus, getStashList, hasChanges, getConflictedFiles } from '../lib/git.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask } from '../lib/prompt.js';
+import { printJson, stashJson } from '../lib/output.js';
+import { recordEntry } from '../lib/journal.js';
+import { guideConflicts } from '../lib/conflicts.js';
+import { t } from '../lib/i18n.js';
 
-// 执行命令并返回输出
-function run(cmd, options = {}) {
-  try {
-    return execSync(cmd, { encoding: 'utf8', ...options }).trim();
-  } catch (e) {
-    if (options.ignoreError) return '';
-    throw e;
-  }
-}
-
-// 检查是否在 git 仓库
-function isGitRepo() {
-  const result = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], {
-    encoding: 'utf8',
-    stdio: 'pipe'
-  });
-  return result.status === 0;
-}
+const USAGE = t('stash.usage');
 
-// 获取当前分支
-function getCurrentBranch() {
-  try {
-    return run('git branch --show-current');
-  } catch {
-    return null;
-  }
-}
-
-// 获取工作区状态
-function getWorkingStatus() {
-  try {
-    const modifiedFiles = run('git diff --name-only', { ignoreError: true });
-    const stagedFiles = run('git diff --cached --name-only', { ignoreError: true });
-    const untrackedFiles = run('git ls-files --others --exclude-standard', { ignoreError: true });
-    
-    return {
-      modified: modifiedFiles ? modifiedFiles.split('\n').filter(Boolean).length : 0,
-      staged: stagedFiles ? stagedFiles.split('\n').filter(Boolean).length : 0,
-      untracked: untrackedFiles ? untrackedFiles.split('\n').filter(Boolean).length : 0
-    };
-  } catch {
-    return { modified: 0, staged: 0, untracked: 0 };
-  }
-}
-
-// 获取 stash 列表
-function getStashList() {
-  try {
-    const output = run('git stash list --pretty=format:"%gd|%s|%cr"', { ignoreError: true });
-    if (!output) return [];
-    
-    return output.split('\n').map(line => {
-      const [ref, message, time] = line.split('|');
-      return { ref, message, time };
-    });
-  } catch {
-    return [];
-  }
-}
-
-// 检查是否有工作区修改
-function hasChanges() {
-  const status = getWorkingStatus();
-  return status.modified > 0 || status.staged > 0;
+// 获取 stash 的描述行（如 "stash@{0}: On main: message"）
+function describeStash(stashRef) {
+  const stash = getStashList().find(s => s.ref === stashRef);
+  return stash ? `${stash.ref}: ${stash.message}` : stashRef;
 }
 
 // ============= 主要功能函数 =============
 
 // 功能1：暂存当前修改
-async function stashChanges() {
-  console.log('\n💾 暂存当前修改\n');
+async function stashChanges(options = {}) {
+  console.log(t('stash.push.title'));
   
   const status = getWorkingStatus();
   
   if (status.modified === 0 && status.staged === 0) {
-    console.log('ℹ️  工作区没有需要暂存的修改\n');
+    console.log(t('stash.push.nothing'));
     return;
   }
   
-  console.log('当前工作区状态：');
+  console.log(t('stash.push.status'));
   if (status.modified > 0) {
-    console.log(`  📝 已修改：${status.modified} 个文件`);
+    console.log(t('stash.push.modified', { count: status.modified }));
   }
   if (status.staged > 0) {
-    console.log(`  ✅ 已暂存：${status.staged} 个文件`);
+    console.log(t('stash.push.staged', { count: status.staged }));
   }
   if (status.untracked > 0) {
-    console.log(`  ❓ 未跟踪：${status.untracked} 个文件`);
+    console.log(t('stash.push.untracked', { count: status.untracked }));
   }
   console.log('');
   
-  // 选择暂存选项
-  const optionPrompt = new Select({
+  // 选择暂存选项（通过参数执行时由参数决定）
+  const option = options.option || await ask('Select', {
     name: 'option',
-    message: '请选择暂存选项：',
+    message: t('stash.push.selectOption'),
     choices: [
       { 
         name: 'default', 
-        message: '💾 暂存所有修改（不包括未跟踪文件）\n          git stash push' 
+        message: t('stash.push.optionDefault')
       },
       { 
         name: 'message', 
-        message: '📝 暂存并添加说明信息\n          git stash push -m "message"' 
+        message: t('stash.push.optionMessage')
       },
       { 
         name: 'include-untracked', 
-        message: '📦 包含未跟踪的文件\n          git stash push -u' 
+        message: t('stash.push.optionUntracked')
       },
       { 
         name: 'keep-index', 
-        message: '🎯 仅暂存未暂存的文件（保持已暂存状态）\n          git stash push --keep-index' 
+        message: t('stash.push.optionKeepIndex')
       },
       { 
         name: 'all', 
-        message: '🗂️  包含所有文件（包括忽略的文件）\n          git stash push -a' 
+        message: t('stash.push.optionAll')
       }
     ]
   });
   
-  const option = await optionPrompt.run();
-  
-  let message = '';
+  let message = options.message || '';
   let args = ['stash', 'push'];
+  if (message) {
+    args.push('-m', message);
+  }
   
   switch (option) {
     case 'message':
-      const inputPrompt = new Input({
+      message = await ask('Input', {
         name: 'message',
-        message: '请输入说明信息：',
-        validate: (value) => value.trim() ? true : '说明信息不能为空'
+        message: t('stash.push.inputMessage'),
+        validate: (value) => value.trim() ? true : t('stash.push.emptyMessage')
       });
-      message = await inputPrompt.run();
       args.push('-m', message);
       break;
     
@@ -154,34 +102,34 @@ async function stashChanges() {
   }
   
   // 执行 stash
-  console.log('\n执行中...\n');
+  console.log(t('stash.running'));
   const result = spawnSync('git', args, { stdio: 'inherit' });
   
   if (result.status === 0) {
-    console.log('\n✅ 已成功暂存修改\n');
+    console.log(t('stash.push.done'));
     
     // 显示当前 stash 数量
     const stashes = getStashList();
-    console.log(`📊 当前 stash 数量：${stashes.length}\n`);
-    console.log('💡 提示：使用 stash 命令管理你的暂存\n');
+    console.log(t('stash.push.count', { count: stashes.length }));
+    console.log(t('stash.push.hint'));
   } else {
-    console.error('\n❌ 暂存失败\n');
+    console.error(t('stash.push.failed'));
     process.exit(1);
   }
 }
 
 // 功能2：管理已有暂存
 async function manageStashes() {
-  console.log('\n📋 管理已有暂存\n');
+  console.log(t('stash.manage.title'));
   
   const stashes = getStashList();
   
   if (stashes.length === 0) {
-    console.log('ℹ️  当前没有任何暂存\n');
+    console.log(t('stash.empty'));
     return;
   }
   
-  console.log(`当前有 ${stashes.length} 个暂存：\n`);
+  console.log(t('stash.manage.count', { count: stashes.length }));
   
   // 显示 stash 列表并选择
   const choices = [
@@ -190,18 +138,16 @@ async function manageStashes() {
       message: `[${index}] ${stash.message} (${stash.time})`
     })),
     { name: '__separator__', message: '─'.repeat(60), disabled: true },
-    { name: '__clear__', message: '🧹 清空所有暂存' },
-    { name: '__cancel__', message: '← 返回' }
+    { name: '__clear__', message: t('stash.manage.clear') },
+    { name: '__cancel__', message: t('stash.back') }
   ];
   
-  const selectPrompt = new Select({
+  const selected = await ask('Select', {
     name: 'stash',
-    message: '请选择一个暂存：',
+    message: t('stash.manage.select'),
     choices
   });
   
-  const selected = await selectPrompt.run();
-  
   if (selected === '__cancel__') {
     return;
   }
@@ -217,39 +163,37 @@ async function manageStashes() {
 
 // 对指定暂存执行操作
 async function operateOnStash(stashRef) {
-  const stashInfo = run(`git stash list | grep "${stashRef}"`);
+  const stashInfo = describeStash(stashRef);
   
-  console.log(`\n选中的暂存：${stashInfo}\n`);
+  console.log(t('stash.operate.selected', { stash: stashInfo }));
   
-  const actionPrompt = new Select({
+  const action = await ask('Select', {
     name: 'action',
-    message: `对 ${stashRef} 执行什么操作？`,
+    message: t('stash.operate.selectAction', { ref: stashRef }),
     choices: [
       { 
         name: 'pop', 
-        message: '📤 恢复并删除 (pop)\n          应用暂存的修改到工作区，并从 stash 列表中删除' 
+        message: t('stash.operate.pop')
       },
       { 
         name: 'apply', 
-        message: '📌 应用但保留 (apply)\n          应用暂存的修改到工作区，但保留在 stash 列表中' 
+        message: t('stash.operate.apply')
       },
       { 
         name: 'show', 
-        message: '👀 查看内容 (show)\n          查看这个 stash 包含的修改' 
+        message: t('stash.operate.show')
       },
       { 
         name: 'drop', 
-        message: '🗑️  删除 (drop)\n          从 stash 列表中删除这个暂存' 
+        message: t('stash.operate.drop')
       },
       { 
         name: 'cancel', 
-        message: '← 返回' 
+        message: t('stash.back')
       }
     ]
   });
   
-  const action = await actionPrompt.run();
-  
   if (action === 'cancel') {
     return;
   }
@@ -274,21 +218,20 @@ async function operateOnStash(stashRef) {
 }
 
 // pop stash
-async function popStash(stashRef) {
-  console.log(`\n📤 正在恢复 ${stashRef}...\n`);
+async function popStash(stashRef, explicit = false) {
+  console.log(t('stash.pop.running', { ref: stashRef }));
   
   // 检查工作区是否干净
   if (hasChanges()) {
-    console.log('⚠️  警告：工作区有未提交的修改\n');
-    const confirmPrompt = new Confirm({
+    console.log(t('stash.dirtyWarning'));
+    const confirmed = explicit || await ask('Confirm', {
       name: 'confirm',
-      message: '继续 pop 可能会导致冲突，是否继续？',
+      message: t('stash.confirmConflict', { action: 'pop' }),
       initial: false
     });
     
-    const confirmed = await confirmPrompt.run();
     if (!confirmed) {
-      console.log('\n已取消操作\n');
+      console.log(t('common.aborted'));
       return;
     }
   }
@@ -296,30 +239,35 @@ async function popStash(stashRef) {
   const result = spawnSync('git', ['stash', 'pop', stashRef], { stdio: 'inherit' });
   
   if (result.status === 0) {
-    console.log(`\n✅ 已成功恢复 ${stashRef}\n`);
+    console.log(t('stash.pop.done', { ref: stashRef }));
     const remaining = getStashList().length;
-    console.log(`📊 剩余 stash 数量：${remaining}\n`);
+    console.log(t('stash.remaining', { count: remaining }));
+  } else if (getConflictedFiles().length) {
+    // 有冲突时 stash 不会被删除，引导解决冲突后再提示手动删除
+    console.error(t('stash.pop.conflicts'));
+    if (!(await guideConflicts())) process.exitCode = 1;
+    console.log(t('stash.pop.dropHint', { ref: stashRef }));
   } else {
-    console.error('\n❌ 恢复失败，可能存在冲突\n');
-    console.log('💡 提示：解决冲突后，可以手动删除 stash：git stash drop ' + stashRef + '\n');
+    console.error(t('stash.pop.failed'));
+    process.exitCode = 1;
+    console.log(t('stash.pop.dropHint', { ref: stashRef }));
   }
 }
 
 // apply stash
-async function applyStash(stashRef) {
-  console.log(`\n📌 正在应用 ${stashRef}...\n`);
+async function applyStash(stashRef, explicit = false) {
+  console.log(t('stash.apply.running', { ref: stashRef }));
   
   if (hasChanges()) {
-    console.log('⚠️  警告：工作区有未提交的修改\n');
-    const confirmPrompt = new Confirm({
+    console.log(t('stash.dirtyWarning'));
+    const confirmed = explicit || await ask('Confirm', {
       name: 'confirm',
-      message: '继续 apply 可能会导致冲突，是否继续？',
+      message: t('stash.confirmConflict', { action: 'apply' }),
       initial: false
     });
     
-    const confirmed = await confirmPrompt.run();
     if (!confirmed) {
-      console.log('\n已取消操作\n');
+      console.log(t('common.aborted'));
       return;
     }
   }
@@ -327,110 +275,123 @@ async function applyStash(stashRef) {
   const result = spawnSync('git', ['stash', 'apply', stashRef], { stdio: 'inherit' });
   
   if (result.status === 0) {
-    console.log(`\n✅ 已成功应用 ${stashRef}\n`);
-    console.log('💡 提示：修改已应用到工作区，但 stash 仍保留在列表中\n');
+    console.log(t('stash.apply.done', { ref: stashRef }));
+    console.log(t('stash.apply.hint'));
+  } else if (getConflictedFiles().length) {
+    console.error(t('stash.apply.conflicts'));
+    if (!(await guideConflicts())) process.exitCode = 1;
   } else {
-    console.error('\n❌ 应用失败，可能存在冲突\n');
+    console.error(t('stash.apply.failed'));
+    process.exitCode = 1;
   }
 }
 
 // show stash
-async function showStash(stashRef) {
-  console.log(`\n👀 查看 ${stashRef} 的内容：\n`);
+async function showStash(stashRef, explicit = false) {
+  console.log(t('stash.show.title', { ref: stashRef }));
   console.log('='.repeat(60));
   
   const result = spawnSync('git', ['stash', 'show', '-p', stashRef], { stdio: 'inherit' });
   
   console.log('='.repeat(60));
   console.log('');
+  if (explicit) return;
   
   // 询问是否要对这个 stash 执行其他操作
-  const nextPrompt = new Confirm({
+  const shouldContinue = await ask('Confirm', {
     name: 'continue',
-    message: '是否要对此 stash 执行其他操作？',
+    message: t('stash.show.continue'),
     initial: false
   });
-  
-  const shouldContinue = await nextPrompt.run();
   if (shouldContinue) {
     await operateOnStash(stashRef);
   }
 }
 
 // drop stash
-async function dropStash(stashRef) {
-  const stashInfo = run(`git stash list | grep "${stashRef}"`);
+async function dropStash(stashRef, explicit = false) {
+  const stashInfo = describeStash(stashRef);
   
-  console.log(`\n🗑️  准备删除：${stashInfo}\n`);
-  console.log('⚠️  此操作不可恢复！\n');
+  console.log(t('stash.drop.title', { stash: stashInfo }));
+  console.log(t('stash.irreversible'));
   
-  const confirmPrompt = new Confirm({
+  const confirmed = explicit || await ask('Confirm', {
     name: 'confirm',
-    message: `确认删除 ${stashRef} 吗？`,
+    message: t('stash.drop.confirm', { ref: stashRef }),
     initial: false
   });
   
-  const confirmed = await confirmPrompt.run();
-  
   if (!confirmed) {
-    console.log('\n已取消操作\n');
+    console.log(t('common.aborted'));
     return;
   }
   
+  const stash = getStashList().find(s => s.ref === stashRef);
   const result = spawnSync('git', ['stash', 'drop', stashRef], { stdio: 'inherit' });
   
   if (result.status === 0) {
-    console.log(`\n✅ 已成功删除 ${stashRef}\n`);
+    if (stash) recordEntry('stash', 'stash-drop', { stashes: [{ sha: stash.sha, message: stash.message }] });
+    console.log(t('stash.drop.done', { ref: stashRef }));
+    console.log(t('stash.undoHint'));
     const remaining = getStashList().length;
-    console.log(`📊 剩余 stash 数量：${remaining}\n`);
+    console.log(t('stash.remaining', { count: remaining }));
   } else {
-    console.error('\n❌ 删除失败\n');
+    console.error(t('stash.drop.failed'));
+    process.exitCode = 1;
   }
 }
 
 // 清空所有 stashes
-async function clearAllStashes() {
+async function clearAllStashes(yes = false) {
   const stashes = getStashList();
   
-  console.log(`\n🧹 准备清空所有暂存（共 ${stashes.length} 个）\n`);
-  console.log('⚠️  此操作不可恢复！\n');
+  console.log(t('stash.clear.title', { count: stashes.length }));
+  console.log(t('stash.irreversible'));
   
   // 显示所有将被删除的 stash
-  console.log('以下暂存将被删除：');
+  console.log(t('stash.clear.list'));
   stashes.forEach((stash, index) => {
     console.log(`  ${index + 1}. ${stash.message} (${stash.time})`);
   });
   console.log('');
   
-  const confirmPrompt = new Input({
-    name: 'confirm',
-    message: `请输入 "yes" 确认清空所有 ${stashes.length} 个暂存：`,
-    validate: (value) => value === 'yes' ? true : '请输入 "yes" 确认'
-  });
-  
-  await confirmPrompt.run();
+  if (!yes) {
+    await ask('Input', {
+      name: 'confirm',
+      message: t('stash.clear.confirm', { count: stashes.length }),
+      validate: (value) => value === 'yes' ? true : t('res.typeYes')
+    });
+  }
   
   const result = spawnSync('git', ['stash', 'clear'], { stdio: 'inherit' });
   
   if (result.status === 0) {
-    console.log('\n✅ 已成功清空所有暂存\n');
+    recordEntry('stash', 'stash-drop', { stashes: stashes.map(({ sha, message }) => ({ sha, message })) });
+    console.log(t('stash.clear.done'));
+    console.log(t('stash.undoHint'));
   } else {
-    console.error('\n❌ 清空失败\n');
+    console.error(t('stash.clear.failed'));
+    process.exitCode = 1;
   }
 }
 
 // 查看所有 stash 列表
-async function viewStashList() {
-  console.log('\n📋 Stash 列表\n');
+async function viewStashList(json = false) {
+  if (json) {
+    printJson(getStashList().map(stashJson));
+    return;
+  }
+
+  console.log(t('stash.list.title'));
   
   const stashes = getStashList();
   
   if (stashes.length === 0) {
-    console.log('ℹ️  当前没有任何暂存\n');
+    console.log(t('stash.empty'));
     return;
   }
   
-  console.log(`共有 ${stashes.length} 个暂存：\n`);
+  console.log(t('stash.list.count', { count: stashes.length }));
   console.log('─'.repeat(80));
   
   stashes.forEach((stash, index) => {
@@ -444,34 +405,98 @@ async function viewStashList() {
 
 // ============= 主函数 =============
 
+// 把命令行中的序号（如 1 或 stash@{1}）转换为 stash 引用，默认 stash@{0}
+function resolveStashRef(arg = '0') {
+  const ref = /^\d+$/.test(arg) ? `stash@{${arg}}` : arg;
+  if (!/^stash@\{\d+\}$/.test(ref)) {
+    throw new UsageError(t('stash.invalidIndex', { index: arg }));
+  }
+  if (!getStashList().some(stash => stash.ref === ref)) {
+    console.error(t('stash.notFound', { ref }));
+    process.exit(1);
+  }
+  return ref;
+}
+
+// 非交互模式：按命令行指定的操作直接执行
+async function runAction(action, positionals, flags) {
+  switch (action) {
+    case 'push': {
+      let option = 'default';
+      if (flags['include-untracked']) option = 'include-untracked';
+      if (flags['keep-index']) option = 'keep-index';
+      if (flags.all) option = 'all';
+      await stashChanges({ option, message: flags.message });
+      break;
+    }
+    case 'pop':
+      await popStash(resolveStashRef(positionals[0]), true);
+      break;
+    case 'apply':
+      await applyStash(resolveStashRef(positionals[0]), true);
+      break;
+    case 'show':
+      await showStash(resolveStashRef(positionals[0]), true);
+      break;
+    case 'drop':
+      await dropStash(resolveStashRef(positionals[0]), true);
+      break;
+    case 'clear':
+      if (getStashList().length === 0) {
+        console.log(t('stash.empty'));
+        break;
+      }
+      await clearAllStashes(flags.yes);
+      break;
+    case 'list':
+      await viewStashList(flags.json);
+      break;
+    default:
+      throw new UsageError(t('common.unknownAction', { action }));
+  }
+}
+
 async function main() {
+  const { _: positionals, flags } = parseArgs(process.argv.slice(2), {
+    boolean: ['include-untracked', 'keep-index', 'all', 'yes', 'json', 'help'],
+    string: ['message'],
+    alias: { m: 'message', u: 'include-untracked', k: 'keep-index', a: 'all', y: 'yes', h: 'help' }
+  });
+  if (flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
   // 检查 git 仓库
-  if (!isGitRepo()) {
-    console.error('❌ 当前目录不是 Git 仓库，请先进入一个仓库目录。');
-    process.exit(1);
+  ensureGitRepo();
+  
+  if (positionals.length > 0) {
+    const [action, ...rest] = positionals;
+    await runAction(action, rest, flags);
+    return;
   }
   
-  console.log('\n🗂️  Git Stash 管理器\n');
+  console.log(t('stash.title'));
   
   // 显示当前状态
   const branch = getCurrentBranch();
   const status = getWorkingStatus();
   const stashes = getStashList();
   
-  console.log('📊 当前状态：');
+  console.log(t('stash.status.title'));
   if (branch) {
-    console.log(`  • 分支：${branch}`);
+    console.log(t('stash.status.branch', { branch }));
   }
   if (status.modified > 0) {
-    console.log(`  • 工作区：${status.modified} 个文件已修改`);
+    console.log(t('stash.status.modified', { count: status.modified }));
   }
   if (status.staged > 0) {
-    console.log(`  • 暂存区：${status.staged} 个文件已暂存`);
+    console.log(t('stash.status.staged', { count: status.staged }));
   }
   if (status.untracked > 0) {
-    console.log(`  • 未跟踪：${status.untracked} 个文件`);
+    console.log(t('stash.status.untracked', { count: status.untracked }));
   }
-  console.log(`  • Stash 数量：${stashes.length} 个`);
+  console.log(t('stash.status.stashes', { count: stashes.length }));
   console.log('');
   
   // 主菜单
@@ -481,64 +506,61 @@ async function main() {
   if (hasChanges()) {
     choices.push({
       name: 'stash',
-      message: '💾 暂存当前修改 - 保存工作区和暂存区的修改'
+      message: t('stash.menu.stash')
     });
   }
   
   if (stashes.length > 0) {
     choices.push({
       name: 'manage',
-      message: `📋 管理已有暂存 (${stashes.length}个) - 恢复、应用、查看或删除`
+      message: t('stash.menu.manage', { count: stashes.length })
     });
     
     choices.push({
       name: 'list',
-      message: '📜 查看暂存列表 - 显示所有 stash 的详细信息'
+      message: t('stash.menu.list')
     });
   }
   
   if (choices.length === 0) {
-    console.log('ℹ️  工作区干净，且没有已保存的暂存\n');
-    console.log('💡 提示：当你有未提交的修改时，可以使用此命令暂存它们\n');
+    console.log(t('stash.nothingToDo'));
+    console.log(t('stash.nothingToDoHint'));
     return;
   }
   
   choices.push({
     name: 'cancel',
-    message: '❌ 退出'
+    message: t('stash.menu.exit')
   });
   
-  const mainPrompt = new Select({
+  const action = await ask('Select', {
     name: 'action',
-    message: '请选择要执行的操作：',
+    message: t('common.selectAction'),
     choices
   });
   
-  try {
-    const action = await mainPrompt.run();
-    
-    switch (action) {
-      case 'stash':
-        await stashChanges();
-        break;
-      case 'manage':
-        await manageStashes();
-        break;
-      case 'list':
-        await viewStashList();
-        break;
-      case 'cancel':
-        console.log('\n已退出\n');
-        break;
-    }
-  } catch (err) {
-    if (err === '') {
-      console.log('\n\n已取消操作\n');
-      process.exit(0);
-    }
-    console.error('\n操作出错：', err && err.message ? err.message : err);
-    process.exit(1);
+  switch (action) {
+    case 'stash':
+      await stashChanges();
+      break;
+    case 'manage':
+      await manageStashes();
+      break;
+    case 'list':
+      await viewStashList();
+      break;
+    case 'cancel':
+      console.log(t('stash.exited'));
+      break;
   }
 }
 
-main();
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.operationCancelled'));
+    process.exit(0);
+  }
+  console.error(`\n${t('common.error')}`, err && err.message ? err.message : err);
+  process.exit(1);
+});
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// undo.js - 撤销 res / bd / stash 的破坏性操作：按撤销日志恢复 reset 前的 HEAD、重建删除的分支、恢复删除的 stash
+// 非交互：undo list、undo last、undo <编号>
+
+import { spawnSync } from 'child_process';
+import { ensureGitRepo, getCurrentBranch, resolveRef, git } from '../lib/git.js';
+import { readJournal, markUndone } from '../lib/journal.js';
+import { parseArgs, exitWithUsage, UsageError } from '../lib/args.js';
+import { ask } from '../lib/prompt.js';
+import { printJson } from '../lib/output.js';
+import { t } from '../lib/i18n.js';
+
+const USAGE = t('undo.usage');
+
+// reset 各模式对应的撤销方式：hard 使用 --keep，保留 reset 之后的本地修改（有冲突时 git 会拒绝）
+const UNDO_RESET_MODES = { soft: 'soft', mixed: 'mixed', hard: 'keep' };
+
+const short = sha => (sha ? sha.slice(0, 7) : '?');
+
+// 条目的一行描述
+function describeEntry(entry) {
+  const time = new Date(entry.time).toLocaleString();
+  let summary;
+  switch (entry.type) {
+    case 'reset':
+      summary = t('undo.describe.reset', { mode: entry.mode, branch: entry.branch || 'HEAD', before: short(entry.before), after: short(entry.after) });
+      break;
+    case 'branch-delete':
+      summary = t('undo.describe.branchDelete', { branches: entry.branches.map(b => b.name).join(', ') });
+      break;
+    case 'remote-branch-delete':
+      summary = t('undo.describe.remoteBranchDelete', { branches: entry.branches.map(b => `${b.remote}/${b.name}`).join(', ') });
+      break;
+    case 'stash-drop':
+      summary = t('undo.describe.stashDrop', { count: entry.stashes.length });
+      break;
+    default:
+      summary = entry.type;
+  }
+  const undone = entry.undone ? ` ${t('undo.undoneTag')}` : '';
+  return `#${entry.id} [${entry.command}] ${summary} (${time})${undone}`;
+}
+
+// 撤销 reset：回到 reset 前的提交
+function undoReset(entry, force) {
+  const branch = getCurrentBranch();
+  if (branch !== entry.branch) {
+    console.error(t('undo.reset.wrongBranch', { branch: entry.branch || 'HEAD' }));
+    return false;
+  }
+  if (resolveRef('HEAD') !== entry.after && !force) {
+    console.error(t('undo.reset.headMoved', { after: short(entry.after) }));
+    return false;
+  }
+  const mode = UNDO_RESET_MODES[entry.mode] || 'keep';
+  const result = spawnSync('git', ['reset', `--${mode}`, entry.before], { stdio: 'inherit' });
+  if (result.status !== 0) return false;
+  console.log(t('undo.reset.done', { before: short(entry.before) }));
+  return true;
+}
+
+// 撤销删除本地分支：在原提交上重建分支
+function undoBranchDelete(entry) {
+  let ok = true;
+  for (const { name, sha } of entry.branches) {
+    // 已经在原提交上的分支（例如上次撤销只完成了一部分）视为已恢复
+    if (resolveRef(`refs/heads/${name}`) === sha) continue;
+    const result = git(['branch', name, sha]);
+    if (result.status === 0) {
+      console.log(t('undo.branch.restored', { branch: name, sha: short(sha) }));
+    } else {
+      console.error(t('undo.branch.failed', { branch: name, error: result.stderr }));
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// 撤销删除远程分支：把原提交重新推送到远程
+function undoRemoteBranchDelete(entry) {
+  let ok = true;
+  for (const { remote, name, sha } of entry.branches) {
+    const result = git(['push', remote, `${sha}:refs/heads/${name}`]);
+    if (result.status === 0) {
+      console.log(t('undo.branch.restored', { branch: `${remote}/${name}`, sha: short(sha) }));
+    } else {
+      console.error(t('undo.branch.failed', { branch: `${remote}/${name}`, error: result.stderr }));
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// 撤销删除 stash：用 git stash store 重新存入，从最旧的开始，保持原来的顺序
+function undoStashDrop(entry) {
+  let ok = true;
+  for (const { sha, message } of [...entry.stashes].reverse()) {
+    const result = git(['stash', 'store', '-m', message, sha]);
+    if (result.status === 0) {
+      console.log(t('undo.stash.restored', { message }));
+    } else {
+      console.error(t('undo.stash.failed', { message, error: result.stderr }));
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+// 撤销一条记录
+function undoEntry(entry, force) {
+  const handlers = {
+    'reset': undoReset,
+    'branch-delete': undoBranchDelete,
+    'remote-branch-delete': undoRemoteBranchDelete,
+    'stash-drop': undoStashDrop
+  };
+  const handler = handlers[entry.type];
+  if (!handler) {
+    console.error(t('undo.unknownType', { type: entry.type }));
+    return false;
+  }
+  const ok = handler(entry, force);
+  if (ok) markUndone(entry.id);
+  return ok;
+}
+
+// 列出日志（默认只显示未撤销的）
+function listEntries(flags) {
+  const entries = readJournal().filter(e => flags.all || !e.undone).reverse();
+  if (flags.json) {
+    printJson(entries);
+    return;
+  }
+  if (!entries.length) {
+    console.log(t('undo.empty'));
+    return;
+  }
+  console.log(t('undo.list.title'));
+  entries.forEach(entry => console.log(`  ${describeEntry(entry)}`));
+  console.log('');
+}
+
+// 交互选择要撤销的条目
+async function selectEntry() {
+  const entries = readJournal().filter(e => !e.undone).reverse();
+  if (!entries.length) {
+    console.log(t('undo.empty'));
+    process.exit(0);
+  }
+  const id = await ask('Select', {
+    name: 'entry',
+    message: t('undo.select'),
+    choices: entries.map(entry => ({ name: String(entry.id), message: describeEntry(entry) }))
+  });
+  return entries.find(e => String(e.id) === id);
+}
+
+// 按命令行参数（last 或编号）查找条目
+function findEntry(arg) {
+  const entries = readJournal();
+  if (arg === 'last') {
+    const pending = entries.filter(e => !e.undone);
+    if (!pending.length) throw new UsageError(t('undo.nothingToUndo'));
+    return pending[pending.length - 1];
+  }
+  const entry = entries.find(e => String(e.id) === arg.replace(/^#/, ''));
+  if (!entry) throw new UsageError(t('undo.notFound', { id: arg }));
+  if (entry.undone) throw new UsageError(t('undo.alreadyUndone', { id: entry.id }));
+  return entry;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2), {
+      boolean: ['all', 'json', 'yes', 'force', 'help'],
+      alias: { a: 'all', y: 'yes', f: 'force', h: 'help' }
+    });
+  } catch (e) {
+    exitWithUsage(USAGE, e.message);
+  }
+  if (args.flags.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  ensureGitRepo();
+
+  const [target] = args._;
+  if (target === 'list') {
+    listEntries(args.flags);
+    return;
+  }
+
+  // 指定了条目时直接执行；交互选择时需要确认
+  const entry = target ? findEntry(target) : await selectEntry();
+  if (!target && !args.flags.yes) {
+    const confirmed = await ask('Confirm', {
+      name: 'confirm',
+      message: t('undo.confirm', { entry: describeEntry(entry) }),
+      initial: true
+    });
+    if (!confirmed) {
+      console.log(t('common.aborted'));
+      return;
+    }
+  }
+
+  console.log(t('undo.running', { entry: describeEntry(entry) }));
+  if (undoEntry(entry, args.flags.force)) {
+    console.log(t('undo.done'));
+  } else {
+    console.error(t('undo.failed'));
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  if (err instanceof UsageError) exitWithUsage(USAGE, err.message);
+  if (err === '') {
+    console.log(t('common.cancelled'));
+    process.exit(1);
+  }
+  console.error(t('common.error'), err && err.message ? err.message : err);
+  process.exit(1);
+});
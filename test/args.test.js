@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, UsageError } from '../lib/args.js';
+
+test('parseArgs 解析布尔选项、带值选项、短选项和位置参数', () => {
+  const args = parseArgs(['commits', '2', '--mode', 'soft', '-y', '--no-json'], {
+    boolean: ['yes', 'json'],
+    string: ['mode'],
+    alias: { y: 'yes' }
+  });
+  assert.deepEqual(args._, ['commits', '2']);
+  assert.deepEqual(args.flags, { mode: 'soft', yes: true, json: false });
+});
+
+test('parseArgs 支持 --key=value，-- 之后的参数原样保留', () => {
+  const args = parseArgs(['--mode=hard', 'build', '--', '--watch', '-x'], { string: ['mode'] });
+  assert.equal(args.flags.mode, 'hard');
+  assert.deepEqual(args._, ['build']);
+  assert.deepEqual(args.rest, ['--watch', '-x']);
+});
+
+test('parseArgs 遇到未知选项或缺少取值时抛出 UsageError', () => {
+  assert.throws(() => parseArgs(['--nope'], {}), UsageError);
+  assert.throws(() => parseArgs(['--mode'], { string: ['mode'] }), UsageError);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRepo, runCommand } from './helpers.js';
+
+test('b --json 输出分支、upstream 和领先 / 落后的提交数', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.commit('a.txt', 'a\n');
+  repo.git(['branch', 'feature/a']);
+
+  const result = repo.run('b', ['--json']);
+  assert.equal(result.status, 0);
+  assert.deepEqual(JSON.parse(result.stdout), [
+    { name: 'feature/a', current: false, upstream: null, ahead: 0, behind: 0, gone: false },
+    { name: 'main', current: true, upstream: 'origin/main', ahead: 1, behind: 0, gone: false }
+  ]);
+
+  const list = repo.run('b');
+  assert.equal(list.status, 0);
+  assert.match(list.stdout, /Git branches/);
+  assert.match(list.stdout, /\* main/);
+});
+
+test('b 不在 git 仓库中时返回 1', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminalscript-nogit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const result = runCommand('b', [], { cwd: dir });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /not a git repository/i);
+});
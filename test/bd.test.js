@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+test('bd 删除已合并的分支，未合并的分支不加 --force 时删除失败', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/merged']);
+  repo.git(['checkout', '-q', '-b', 'feature/wip']);
+  repo.commit('wip.txt', 'wip\n');
+  repo.git(['checkout', '-q', 'main']);
+
+  const result = repo.run('bd', ['feature/merged', 'feature/wip']);
+  assert.equal(result.status, 1);
+  const branches = repo.git(['branch', '--format=%(refname:short)']).split('\n');
+  assert.deepEqual(branches, ['feature/wip', 'main']);
+});
+
+test('bd --force 强制删除未合并的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/wip']);
+  repo.commit('wip.txt', 'wip\n');
+  repo.git(['checkout', '-q', 'main']);
+
+  const result = repo.run('bd', ['feature/wip', '--force']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['branch', '--list', 'feature/wip']), '');
+});
+
+test('bd 交互模式：选择分支、拒绝强制删除、不删除远程分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/merged']);
+  repo.git(['checkout', '-q', '-b', 'feature/wip']);
+  repo.commit('wip.txt', 'wip\n');
+  repo.git(['checkout', '-q', 'main']);
+
+  // 不预选 → 多选分支 → 确认删除 → 不强制删除失败项 → 不删除远程分支
+  const result = repo.run('bd', [], { answers: ['none', ['feature/merged', 'feature/wip'], true, false, false] });
+  assert.equal(result.status, 1);
+  assert.equal(repo.git(['branch', '--list', 'feature/merged']), '');
+  assert.notEqual(repo.git(['branch', '--list', 'feature/wip']), '');
+});
+
+test('bd --remote 同时删除对应的远程分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.git(['push', '-q', '-u', 'origin', 'feature/a']);
+  repo.git(['checkout', '-q', 'main']);
+
+  const result = repo.run('bd', ['feature/a', '--remote']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['ls-remote', '--heads', 'origin', 'feature/a']), '');
+});
+
+test('bd --remote 按 upstream 配置删除实际跟踪的远程分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  // feature/x 跟踪 origin/other-name；origin/old/feature/x 只是名称后缀相同，不应被删除
+  repo.git(['push', '-q', 'origin', 'main:other-name', 'main:old/feature/x']);
+  repo.git(['branch', 'feature/x']);
+  repo.git(['branch', '--set-upstream-to', 'origin/other-name', 'feature/x']);
+
+  const result = repo.run('bd', ['feature/x', '--remote']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['ls-remote', '--heads', 'origin', 'other-name']), '');
+  assert.notEqual(repo.git(['ls-remote', '--heads', 'origin', 'old/feature/x']), '');
+});
+
+test('bd --remote 跳过远程默认分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'dev']);
+  repo.git(['branch', 'local-main', '--track', 'origin/main']);
+
+  const result = repo.run('bd', ['local-main', '--remote']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /origin\/main.*protected/);
+  assert.notEqual(repo.git(['ls-remote', '--heads', 'origin', 'main']), '');
+});
+
+test('bd --merged --yes 只删除已合并到默认分支的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/merged']);
+  repo.git(['checkout', '-q', '-b', 'feature/wip']);
+  repo.commit('wip.txt', 'wip\n');
+  repo.git(['checkout', '-q', 'main']);
+
+  const result = repo.run('bd', ['--merged', '--yes']);
+  assert.equal(result.status, 0);
+  const branches = repo.git(['branch', '--format=%(refname:short)']).split('\n');
+  assert.deepEqual(branches, ['feature/wip', 'main']);
+});
+
+test('bd --gone --yes 删除 upstream 已被删除的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.git(['push', '-q', '-u', 'origin', 'feature/a']);
+  repo.git(['checkout', '-q', 'main']);
+  repo.git(['branch', 'feature/local']);
+  repo.git(['push', '-q', 'origin', '--delete', 'feature/a']);
+  repo.git(['fetch', '-q', '--prune']);
+
+  const result = repo.run('bd', ['--gone', '--yes']);
+  assert.equal(result.status, 0);
+  const branches = repo.git(['branch', '--format=%(refname:short)']).split('\n');
+  assert.deepEqual(branches, ['feature/local', 'main']);
+});
+
+test('bd --stale --yes 按 --days 删除长期没有提交的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  // 手工写入一个提交时间为 2000 年的提交作为旧分支
+  const tree = repo.git(['rev-parse', 'HEAD^{tree}']);
+  const parent = repo.git(['rev-parse', 'HEAD']);
+  repo.write('.git/old-commit', `tree ${tree}\nparent ${parent}\nauthor Test <test@example.com> 946684800 +0000\ncommitter Test <test@example.com> 946684800 +0000\n\nold\n`);
+  const old = repo.git(['hash-object', '-t', 'commit', '-w', '.git/old-commit']);
+  repo.git(['branch', 'feature/old', old]);
+  repo.git(['branch', 'feature/new']);
+
+  assert.equal(repo.run('bd', ['--stale', '--days', 'x']).status, 2);
+  const result = repo.run('bd', ['--stale', '--days', '365', '--yes', '--force']);
+  assert.equal(result.status, 0);
+  const branches = repo.git(['branch', '--format=%(refname:short)']).split('\n');
+  assert.deepEqual(branches, ['feature/new', 'main']);
+});
+
+test('bd 不删除受保护的分支，输入分支名确认后才删除', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'release/1.0']);
+  repo.git(['branch', 'feature/merged']);
+  const env = { TS_PROTECTED_BRANCHES: 'main,release/*' };
+
+  // --yes 不会选中受保护的分支
+  const preset = repo.run('bd', ['--merged', '--yes'], { env });
+  assert.equal(preset.status, 0);
+  assert.notEqual(repo.git(['branch', '--list', 'release/1.0']), '');
+
+  const refused = repo.run('bd', ['release/1.0'], { env });
+  assert.equal(refused.status, 1);
+  assert.notEqual(repo.git(['branch', '--list', 'release/1.0']), '');
+
+  const result = repo.run('bd', ['release/1.0'], { answers: ['release/1.0'], env });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['branch', '--list', 'release/1.0']), '');
+});
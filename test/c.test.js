@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRepo } from './helpers.js';
+
+// 用假的剪贴板命令（xclip、pbcopy）把内容写入文件，避免修改真正的剪贴板
+function fakeClipboard(repo) {
+  const bin = path.join(repo.home, 'bin');
+  const file = path.join(repo.home, 'clipboard.txt');
+  fs.mkdirSync(bin, { recursive: true });
+  for (const name of ['xclip', 'pbcopy']) {
+    fs.writeFileSync(path.join(bin, name), `#!/bin/sh\ncat > "${file}"\n`, { mode: 0o755 });
+  }
+  return {
+    env: { PATH: `${bin}${path.delimiter}${process.env.PATH}` },
+    read: () => fs.readFileSync(file, 'utf8')
+  };
+}
+
+test('c 复制当前分支、指定分支或交互选择的分支名', { skip: process.platform === 'win32' }, (t) => {
+  const repo = createRepo({ remote: false });
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/a']);
+  const clipboard = fakeClipboard(repo);
+
+  const current = repo.run('c', ['--current'], { env: clipboard.env });
+  assert.equal(current.status, 0);
+  assert.match(current.stdout, /Copied branch name: main/);
+  assert.equal(clipboard.read(), 'main');
+
+  assert.equal(repo.run('c', ['feature/a'], { env: clipboard.env }).status, 0);
+  assert.equal(clipboard.read(), 'feature/a');
+
+  const picked = repo.run('c', [], { answers: ['feature/a'], env: clipboard.env });
+  assert.equal(picked.status, 0);
+  assert.match(picked.stdout, /feature\/a/);
+
+  const missing = repo.run('c', ['nope'], { env: clipboard.env });
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /does not exist: nope/);
+});
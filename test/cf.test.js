@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRepo } from './helpers.js';
+
+// 在 feature 分支和 main 上修改同一行，然后合并产生冲突
+function conflict(repo) {
+  repo.git(['checkout', '-q', '-b', 'feature']);
+  repo.commit('README.md', 'feature\n');
+  repo.commit('other.txt', 'feature\n');
+  repo.git(['checkout', '-q', 'main']);
+  repo.commit('README.md', 'main\n');
+  repo.commit('other.txt', 'main\n');
+  repo.git(['merge', 'feature'], { allowFail: true });
+}
+
+test('cf list 列出冲突文件和进行中的操作', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  conflict(repo);
+
+  const result = repo.run('cf', ['list', '--json']);
+  assert.equal(result.status, 0);
+  assert.deepEqual(JSON.parse(result.stdout), { operation: 'merge', files: ['README.md', 'other.txt'] });
+
+  const show = repo.run('cf', ['show', 'README.md']);
+  assert.match(show.stdout, /1 │ <<<<<<< HEAD/);
+  assert.equal(repo.run('cf', ['show', 'nope.txt']).status, 2);
+});
+
+test('cf ours / theirs 采用一方的版本，cf continue 完成合并', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  conflict(repo);
+
+  assert.equal(repo.run('cf', ['ours', 'README.md']).status, 0);
+  assert.equal(repo.run('cf', ['continue']).status, 1);
+  assert.equal(repo.run('cf', ['theirs', 'other.txt']).status, 0);
+
+  const result = repo.run('cf', ['continue']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['show', 'HEAD:README.md']), 'main');
+  assert.equal(repo.git(['show', 'HEAD:other.txt']), 'feature');
+  assert.equal(repo.git(['rev-list', '--merges', '--count', 'HEAD']), '1');
+});
+
+test('cf 交互模式：逐个文件处理后继续，或中止合并', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  conflict(repo);
+  const head = repo.git(['rev-parse', 'HEAD']);
+
+  const aborted = repo.run('cf', [], { answers: ['__abort__'] });
+  assert.equal(aborted.status, 1);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  assert.equal(repo.git(['status', '--porcelain']), '');
+
+  repo.git(['merge', 'feature'], { allowFail: true });
+  const result = repo.run('cf', [], {
+    answers: ['README.md', 'hunks', 'theirs', 'other.txt', 'ours', '__continue__']
+  });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['show', 'HEAD:README.md']), 'feature');
+  assert.equal(repo.git(['show', 'HEAD:other.txt']), 'main');
+});
+
+test('cf continue 不会自动标记没有冲突标记的二进制冲突和修改/删除冲突', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.commit('logo.bin', Buffer.from([0, 1, 2]));
+  repo.commit('gone.txt', 'base\n');
+  repo.git(['checkout', '-q', '-b', 'feature']);
+  repo.commit('logo.bin', Buffer.from([0, 3, 4]));
+  repo.git(['rm', '-q', 'gone.txt']);
+  repo.git(['commit', '-q', '-m', 'remove gone.txt']);
+  repo.git(['checkout', '-q', 'main']);
+  repo.commit('logo.bin', Buffer.from([0, 5, 6]));
+  repo.commit('gone.txt', 'changed\n');
+  repo.git(['merge', 'feature'], { allowFail: true });
+
+  const result = repo.run('cf', ['continue']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /still conflicted: logo\.bin, gone\.txt|still conflicted: gone\.txt, logo\.bin/);
+  assert.deepEqual(JSON.parse(repo.run('cf', ['list', '--json']).stdout).files.sort(), ['gone.txt', 'logo.bin']);
+
+  assert.equal(repo.run('cf', ['theirs', 'logo.bin']).status, 0);
+  assert.equal(repo.run('cf', ['resolved', 'gone.txt']).status, 0);
+  assert.equal(repo.run('cf', ['continue']).status, 0);
+  assert.deepEqual([...fs.readFileSync(path.join(repo.dir, 'logo.bin'))], [0, 3, 4]);
+  assert.equal(repo.git(['show', 'HEAD:gone.txt']), 'changed');
+});
+
+test('cf 用编辑器打开文件时文件名不会被 shell 解析', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const file = 'x$(touch INJ).txt';
+  repo.commit(file, 'base\n');
+  repo.git(['checkout', '-q', '-b', 'feature']);
+  repo.commit(file, 'feature\n');
+  repo.git(['checkout', '-q', 'main']);
+  repo.commit(file, 'main\n');
+  repo.git(['merge', 'feature'], { allowFail: true });
+
+  // 编辑器命令带参数，把收到的文件路径写入 args
+  const args = path.join(repo.home, 'args');
+  const editor = path.join(repo.home, 'editor.sh');
+  fs.writeFileSync(editor, `#!/bin/sh\nshift\nprintf '%s\\n' "$@" > ${JSON.stringify(args)}\n`, { mode: 0o755 });
+
+  const result = repo.run('cf', [], { answers: [file, 'editor', 'back', '__later__'], env: { GIT_EDITOR: `${editor} --wait` } });
+  assert.equal(result.status, 1, result.stderr);
+  assert.equal(fs.readFileSync(args, 'utf8'), path.join(repo.dir, file) + '\n');
+  assert.ok(!fs.existsSync(path.join(repo.dir, 'INJ')));
+  assert.ok(!fs.existsSync(path.join(repo.home, 'INJ')));
+});
+
+test('stash pop 产生冲突时列出冲突文件', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('README.md', 'stashed\n');
+  repo.git(['stash', '-q']);
+  repo.commit('README.md', 'committed\n');
+
+  const result = repo.run('stash', ['pop', '0']);
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /README\.md/);
+  assert.match(result.stdout, /run cf/);
+  assert.equal(repo.git(['stash', 'list']).split('\n').length, 1);
+});
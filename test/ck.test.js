@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+// 在远程创建一个本地没有的分支（同事推送的分支）
+function remoteOnly(repo, branch) {
+  repo.git(['push', '-q', 'origin', `main:${branch}`]);
+  repo.git(['fetch', '-q']);
+}
+
+test('ck 交互切换到本地分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/a']);
+
+  const result = repo.run('ck', [], { answers: ['feature/a'] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/a');
+});
+
+test('ck 选择远程分支时创建跟踪它的本地分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  remoteOnly(repo, 'feature/colleague');
+
+  const result = repo.run('ck', [], { answers: ['origin/feature/colleague'] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/colleague');
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', '@{upstream}']), 'origin/feature/colleague');
+});
+
+test('ck -s 支持远程分支，已跟踪的远程分支不再单独列出', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  remoteOnly(repo, 'feature/b');
+
+  assert.equal(repo.run('ck', ['-s', 'origin/feature/b']).status, 0);
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', '@{upstream}']), 'origin/feature/b');
+  repo.git(['checkout', '-q', 'main']);
+  // origin/feature/b 已有本地分支跟踪，不是可选项
+  assert.notEqual(repo.run('ck', [], { answers: ['origin/feature/b'] }).status, 0);
+  assert.equal(repo.run('ck', ['-s', 'origin/nope']).status, 1);
+});
+
+test('ck 新分支交互选择时默认从刚 fetch 的 origin/main 创建，不跟踪它；无法交互时从当前 HEAD 或 ck.base 创建', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/old']);
+  const pushed = repo.commit('old.txt', 'old\n');
+  // 同事在远程 main 上的新提交，本地还没有 fetch
+  repo.git(['push', '-q', 'origin', 'HEAD:main']);
+  repo.git(['update-ref', 'refs/remotes/origin/main', 'main']);
+  const head = repo.commit('local.txt', 'local\n');
+
+  // 无法交互且没有 --base 时保持当前 HEAD
+  const here = repo.run('ck', ['feature/here']);
+  assert.equal(here.status, 0, here.stderr);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/here');
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  assert.equal(repo.git(['rev-parse', 'origin/main']), repo.git(['rev-parse', 'main']));
+
+  // ck.base 明确配置时使用它
+  const configured = repo.run('ck', ['feature/configured'], { env: { TS_CK_BASE: 'origin/main' } });
+  assert.equal(configured.status, 0, configured.stderr);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), pushed);
+
+  // 交互选择刚 fetch 的 origin/main
+  repo.git(['update-ref', 'refs/remotes/origin/main', 'main']);
+  repo.git(['checkout', '-q', 'feature/old']);
+  const result = repo.run('ck', ['feature/new', '--no-push'], { answers: ['origin/main'] });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/new');
+  assert.equal(repo.git(['rev-parse', 'HEAD']), pushed);
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', 'feature/new@{upstream}'], { allowFail: true }), '');
+
+  assert.equal(repo.run('ck', ['feature/main', '--base', 'main']).status, 0);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), repo.git(['rev-parse', 'main']));
+  assert.equal(repo.run('ck', ['feature/x', '--base', 'origin/nope']).status, 1);
+});
+
+test('ck -b 按模板填写分支名，描述转换为 slug，并推送设置 upstream', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const env = { TS_CK_TEMPLATES: 'feature/<ticket>-<slug>,fix/<slug>' };
+
+  const result = repo.run('ck', ['-b'], {
+    env,
+    answers: ['feature/<ticket>-<slug>', 'PROJ-42', '  Fix Login Bug! ', 'origin/main', true]
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/PROJ-42-fix-login-bug');
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', '@{upstream}']), 'origin/feature/PROJ-42-fix-login-bug');
+
+  // 不符合模板的分支名被拒绝
+  const rejected = repo.run('ck', ['wip', '--no-push'], { env });
+  assert.equal(rejected.status, 1);
+  assert.match(rejected.stderr, /naming rules/);
+  assert.equal(repo.run('ck', ['fix/typo', '--no-push'], { env }).status, 0);
+  assert.equal(repo.run('ck', ['hotfix-1', '--no-push'], { env: { TS_CK_PATTERN: '^hotfix-\\d+$' } }).status, 0);
+});
+
+test('ck 切换时自动 stash 未提交的更改，切回时自动恢复', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.commit('a.txt', 'a\n');
+  repo.git(['checkout', '-q', 'main']);
+  // README.md 在两个分支上相同，a.txt 只在 feature/a 上：未跟踪的 a.txt 会阻止直接切换
+  repo.write('README.md', 'wip\n');
+  repo.write('a.txt', 'local\n');
+
+  assert.equal(repo.run('ck', ['-s', 'feature/a', '--no-stash']).status, 1);
+  assert.equal(repo.git(['branch', '--show-current']), 'main');
+
+  const result = repo.run('ck', ['-s', 'feature/a'], { answers: ['stash'] });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['branch', '--show-current']), 'feature/a');
+  assert.equal(repo.git(['status', '--porcelain']), '');
+  assert.match(repo.git(['stash', 'list']), /ts-autostash: main/);
+
+  assert.equal(repo.run('ck', ['-s', 'main']).status, 0);
+  assert.equal(repo.git(['stash', 'list']), '');
+  assert.equal(repo.git(['status', '--porcelain']), 'M README.md\n?? a.txt');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createRepo } from './helpers.js';
+
+test('ts __complete 补全命令名、分支、子命令、选项和选项的取值', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/a']);
+  repo.git(['branch', 'feature/b']);
+  const complete = (...words) => repo.ts(['__complete', ...words]).stdout.split('\n').filter(Boolean);
+
+  assert.deepEqual(complete('ts', 'c').sort(), ['c', 'cf', 'ck', 'completion', 'config']);
+  assert.deepEqual(complete('ts', 'ck', 'feature/'), ['feature/a', 'feature/b']);
+  // 已注册的短命令
+  assert.deepEqual(complete('ck', 'feature/'), ['feature/a', 'feature/b']);
+  assert.deepEqual(complete('ts', 'res', ''), ['commits', 'unstage', 'remote', 'commit', 'backups', 'restore']);
+  assert.deepEqual(complete('ts', 'res', '--mode', ''), ['soft', 'mixed', 'hard']);
+  assert.deepEqual(complete('ts', 'res', '--d'), ['--dry-run', '--delete']);
+  assert.deepEqual(complete('ts', 'nope', ''), []);
+});
+
+test('ts __complete 补全别名和插件声明的选项', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/a']);
+  repo.write('.terminalscriptrc', JSON.stringify({ 'alias.co': 'ck' }));
+  const dir = path.join(repo.home, '.terminalscript', 'commands');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'deploy.js'), 'export default { aliases: ["dp"], flags: ["--env <name>", "--dry-run"], run() {} };\n');
+  const complete = (...words) => repo.ts(['__complete', ...words]).stdout.split('\n').filter(Boolean);
+
+  assert.deepEqual(complete('ts', 'd').sort(), ['deploy', 'dp']);
+  assert.deepEqual(complete('ts', 'co').sort(), ['co', 'completion', 'config']);
+  assert.deepEqual(complete('ts', 'co', 'feature/'), ['feature/a']);
+  assert.deepEqual(complete('ts', 'dp', '--'), ['--env', '--dry-run']);
+});
+
+test('completion 输出 bash / zsh / fish 补全脚本，不支持的 shell 返回 2', (t) => {
+  const repo = createRepo({ remote: false });
+  t.after(repo.cleanup);
+
+  const bash = repo.ts(['completion', 'bash', 'ck', 'stash']);
+  assert.equal(bash.status, 0);
+  assert.match(bash.stdout, /^# terminalScript bash completion/);
+  assert.match(bash.stdout, /complete -o default -F _terminalscript_complete ts ck stash/);
+  assert.match(repo.ts(['completion', 'zsh']).stdout, /compdef _terminalscript_complete ts$/m);
+  assert.match(repo.ts(['completion', 'fish', 'ck']).stdout, /complete -c ck -f -a '\(__terminalscript_complete\)'/);
+
+  assert.equal(repo.ts(['completion']).status, 2);
+  assert.equal(repo.ts(['completion', 'powershell']).status, 2);
+});
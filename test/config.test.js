@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, envName, parseValue, ConfigError } from '../lib/config.js';
+
+// 创建 home 和仓库目录，分别写入全局和仓库配置
+function setup(globalConfig, localConfig) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'terminalscript-config-'));
+  const home = path.join(root, 'home');
+  const repo = path.join(root, 'repo');
+  fs.mkdirSync(home);
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  if (globalConfig) fs.writeFileSync(path.join(home, '.terminalscriptrc'), JSON.stringify(globalConfig));
+  if (localConfig) fs.writeFileSync(path.join(repo, '.terminalscriptrc'), JSON.stringify(localConfig));
+  return { root, home, repo };
+}
+
+test('配置按 默认值 < 全局文件 < 仓库文件 < 环境变量 覆盖', () => {
+  const { root, home, repo } = setup(
+    { 'log.limit': 30, 'remote.default': 'upstream' },
+    { 'log.limit': 40 }
+  );
+  try {
+    const config = loadConfig({ cwd: repo, home, env: { TS_REMOTE_DEFAULT: 'fork' } });
+    assert.deepEqual(config['log.limit'], { value: 40, source: 'local' });
+    assert.deepEqual(config['remote.default'], { value: 'fork', source: 'env' });
+    assert.deepEqual(config['res.counts'], { value: [1, 2, 3, 5], source: 'default' });
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('配置文件中的别名会被加载', () => {
+  const { root, home, repo } = setup({ 'alias.co': 'ck' });
+  try {
+    assert.equal(loadConfig({ cwd: repo, home, env: {} })['alias.co'].value, 'ck');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('plugins.dir 只从全局文件和环境变量读取，仓库文件中的设置被忽略并警告', () => {
+  const { root, home, repo } = setup({ 'plugins.dir': '/global/plugins' }, { 'plugins.dir': '.tools', 'log.limit': 40 });
+  try {
+    const warnings = [];
+    const config = loadConfig({ cwd: repo, home, env: {}, warn: message => warnings.push(message) });
+    assert.deepEqual(config['plugins.dir'], { value: '/global/plugins', source: 'global' });
+    assert.equal(config['log.limit'].value, 40);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /plugins\.dir.*TS_PLUGINS_DIR/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('配置值按类型校验', () => {
+  assert.equal(parseValue('log.limit', '15'), 15);
+  assert.deepEqual(parseValue('res.counts', '1, 4'), [1, 4]);
+  assert.deepEqual(parseValue('protected.branches', 'main, release/*'), ['main', 'release/*']);
+  assert.deepEqual(parseValue('protected.branches', ''), []);
+  assert.equal(parseValue('protected.action', 'block'), 'block');
+  assert.throws(() => parseValue('protected.action', 'ask'), ConfigError);
+  assert.throws(() => parseValue('log.limit', 'abc'), ConfigError);
+  assert.throws(() => parseValue('nope', '1'), ConfigError);
+  assert.equal(envName('s.defaultScript'), 'TS_S_DEFAULT_SCRIPT');
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzyScore, fuzzySuggest } from '../lib/fuzzy.js';
+
+test('fuzzyScore 按顺序匹配字符，不区分大小写', () => {
+  assert.notEqual(fuzzyScore('fl', 'feature/Login'), null);
+  assert.equal(fuzzyScore('lf', 'feature/login'), null);
+  assert.equal(fuzzyScore('', 'main'), 0);
+});
+
+test('fuzzySuggest 过滤并把连续匹配、单词开头匹配的选项排在前面', () => {
+  const choices = ['fix/slow-log', 'feature/login', 'main', 'release/1.0'].map(name => ({ name }));
+  assert.deepEqual(fuzzySuggest('log', choices).map(c => c.name), ['feature/login', 'fix/slow-log']);
+  assert.deepEqual(fuzzySuggest('', choices), choices);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRepo } from './helpers.js';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts');
+
+test('h 列出所有内置命令及说明', (t) => {
+  const repo = createRepo({ remote: false });
+  t.after(repo.cleanup);
+
+  const result = repo.run('h');
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /Available commands/);
+  assert.match(result.stdout, /\bres\s+- Git reset helper/);
+  assert.doesNotMatch(result.stdout, /No description/);
+
+  // 每个内置命令都有说明
+  const commands = JSON.parse(repo.run('h', ['--json']).stdout);
+  const scripts = fs.readdirSync(SCRIPTS_DIR).map(file => file.replace(/\.js$/, '')).sort();
+  assert.deepEqual(commands.map(c => c.name).sort(), scripts);
+  assert.ok(commands.every(c => c.source === 'builtin' && c.description));
+});
@@ -0,0 +1,121 @@
+// helpers.js - 测试工具：创建临时 git 仓库（本地 bare 仓库作为远程）、运行命令并注入交互答案
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 创建临时目录，测试结束后由 cleanup 删除
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `terminalscript-${prefix}-`));
+}
+
+// 不属于某个测试仓库的命令使用的 HOME
+function sharedHome() {
+  const home = path.join(os.tmpdir(), 'terminalscript-test-home');
+  fs.mkdirSync(home, { recursive: true });
+  return home;
+}
+
+// 隔离的环境变量：独立的 HOME（不读取用户配置和插件）、固定的提交身份、英文消息
+// 并去掉外部的 TS_* 和 GIT_* 变量，避免开发者自己的设置影响结果
+function testEnv(home, extra = {}) {
+  const base = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(TS|GIT)_/.test(name)));
+  return {
+    ...base,
+    HOME: home,
+    USERPROFILE: home,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+    TS_LOCALE: 'en',
+    ...extra
+  };
+}
+
+// 创建测试仓库：{ dir, remote, home, git, write, commit, run, ts, cleanup }
+// 默认带一个 bare 远程仓库 origin，main 分支有一个初始提交并已推送
+export function createRepo({ remote = true } = {}) {
+  const root = tempDir('repo');
+  const home = path.join(root, 'home');
+  const dir = path.join(root, 'work');
+  const remoteDir = path.join(root, 'remote.git');
+  fs.mkdirSync(home);
+  fs.mkdirSync(dir);
+
+  const env = testEnv(home);
+
+  // 在仓库中执行 git，失败时抛出
+  const git = (args, options = {}) => {
+    const result = spawnSync('git', args, { cwd: options.cwd || dir, env, encoding: 'utf8' });
+    if (result.status !== 0 && !options.allowFail) {
+      throw new Error(`git ${args.join(' ')} failed: ${result.stderr}`);
+    }
+    return result.stdout.trim();
+  };
+
+  // 写入文件（相对仓库根目录）
+  const write = (file, content) => {
+    const full = path.join(dir, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content);
+  };
+
+  // 写入文件并提交，返回提交 hash
+  const commit = (file, content, message = `update ${file}`) => {
+    write(file, content);
+    git(['add', file]);
+    git(['commit', '-q', '-m', message]);
+    return git(['rev-parse', 'HEAD']);
+  };
+
+  git(['init', '-q', '-b', 'main']);
+  commit('README.md', 'init\n', 'initial commit');
+  if (remote) {
+    git(['init', '-q', '--bare', '-b', 'main', remoteDir], { cwd: root });
+    git(['remote', 'add', 'origin', remoteDir]);
+    git(['push', '-q', '-u', 'origin', 'main']);
+  }
+
+  return {
+    dir,
+    home,
+    remote: remote ? remoteDir : null,
+    git,
+    write,
+    commit,
+    run: (command, args = [], options = {}) => runCommand(command, args, { cwd: dir, home, ...options }),
+    ts: (args = [], options = {}) => runTs(args, { cwd: dir, home, ...options }),
+    cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+// 用 node 运行脚本（file 为绝对路径或相对于项目根目录的路径）：answers 为注入的交互答案（按提示出现的顺序），返回 { status, stdout, stderr }
+// 未指定 home 时使用系统临时目录下共用的空目录
+export function runScript(file, args = [], { cwd, home = sharedHome(), answers, env = {} } = {}) {
+  const extra = { ...env };
+  if (answers) extra.TS_PROMPT_ANSWERS = JSON.stringify(answers);
+  const result = spawnSync(process.execPath, [path.resolve(ROOT, file), ...args], {
+    cwd,
+    env: testEnv(home, extra),
+    encoding: 'utf8',
+    input: '',
+    timeout: 30000
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+// 运行 scripts 下的命令，选项同 runScript
+export function runCommand(command, args = [], options = {}) {
+  return runScript(path.join('scripts', `${command}.js`), args, options);
+}
+
+// 通过 ts 入口（bin/ts.js）运行，args 以命令名开头，选项同 runScript
+export function runTs(args = [], options = {}) {
+  return runScript(path.join('bin', 'ts.js'), args, options);
+}
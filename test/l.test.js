@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+test('l --interactive 翻页、按路径搜索并 cherry-pick 选中的提交', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  const picked = repo.commit('a.txt', 'a\n', 'add a');
+  repo.commit('b.txt', 'b\n', 'add b');
+  repo.git(['checkout', '-q', 'main']);
+
+  const result = repo.run('l', ['--interactive', 'feature/a'], {
+    env: { TS_LOG_LIMIT: '1' },
+    answers: ['__next__', '__search__', 'path', 'a.txt', picked, 'patch', 'cherry-pick', '__quit__']
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Commits 2-2/);
+  assert.match(result.stdout, /Search: path: a\.txt/);
+  assert.match(result.stdout, /\+a/);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'add a');
+});
+
+test('l --interactive revert 提交，reset 交给 res', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const first = repo.commit('a.txt', 'a\n', 'add a');
+  repo.commit('b.txt', 'b\n', 'add b');
+
+  let result = repo.run('l', ['--interactive'], {
+    answers: ['__search__', 'grep', 'ADD A', first, 'revert', '__quit__']
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'Revert "add a"');
+
+  result = repo.run('l', ['--interactive'], { answers: [first, 'reset', 'soft'] });
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), first);
+});
+
+test('l 的筛选选项保留默认格式，可与 git log 参数组合', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.commit('src/a.txt', 'a\n', 'add a');
+  repo.commit('docs/b.txt', 'b\n', 'Fix docs');
+
+  const subjects = (args) => JSON.parse(repo.run('l', ['--json', ...args]).stdout).map(c => c.subject);
+  assert.deepEqual(subjects(['--vs', 'main']), ['Fix docs', 'add a']);
+  assert.deepEqual(subjects(['--vs', 'main', '--path', 'src/']), ['add a']);
+  assert.deepEqual(subjects(['--grep=FIX', '--mine', '--since', '2w']), ['Fix docs']);
+  assert.deepEqual(subjects(['--author', 'nobody']), []);
+  assert.deepEqual(subjects(['main', '--since', '1d']), ['initial commit']);
+
+  const graph = repo.run('l', ['--vs', 'main']);
+  assert.equal(graph.status, 0);
+  assert.match(graph.stdout, /\* .*Fix docs/);
+  assert.doesNotMatch(graph.stdout, /initial commit/);
+  assert.equal(repo.run('l', ['--vs', 'nope']).status, 2);
+
+  // 改变格式的选项会破坏 --json 的解析
+  for (const option of ['--oneline', '--pretty=short', '--format=%s']) {
+    const refused = repo.run('l', ['--json', option]);
+    assert.equal(refused.status, 2);
+    assert.match(refused.stderr, /--json/);
+  }
+  assert.deepEqual(subjects(['--', '--oneline']), []);
+
+  // 附加输出的选项不影响 --json 的记录
+  const json = JSON.parse(repo.run('l', ['--json', '--vs', 'main']).stdout);
+  for (const option of ['--stat', '--graph', '-p', '--name-only', '--name-status']) {
+    assert.deepEqual(JSON.parse(repo.run('l', ['--json', '--vs', 'main', option]).stdout), json, option);
+  }
+  assert.deepEqual(subjects(['--stat', '-n', '3']), ['Fix docs', 'add a', 'initial commit']);
+});
+
+test('l --guided 引导填写筛选条件并打印等价命令', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.commit('a.txt', 'a\n', 'add a');
+
+  const result = repo.run('l', ['--guided'], { answers: [['mine', 'vs'], 'main'] });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /l --mine --vs main/);
+  assert.match(result.stdout, /add a/);
+  assert.doesNotMatch(result.stdout, /initial commit/);
+});
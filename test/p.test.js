@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+// 让 origin/main 比本地多一个提交（推送后把本地回退），返回远程的新提交
+function remoteAhead(repo, file = 'remote.txt', content = 'remote\n') {
+  const sha = repo.commit(file, content);
+  repo.git(['push', '-q']);
+  repo.git(['reset', '-q', '--hard', 'HEAD~1']);
+  return sha;
+}
+
+test('p 预览将要拉取的提交，--ff-only 快进', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const sha = remoteAhead(repo);
+
+  const result = repo.run('p', ['--ff-only']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /1 commit\(s\) to pull from origin\/main/);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), sha);
+});
+
+test('p --rebase 把本地提交移到远程提交之后，并自动暂存本地修改', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const sha = remoteAhead(repo);
+  repo.commit('local.txt', 'local\n');
+  repo.write('README.md', 'dirty\n');
+
+  const result = repo.run('p', ['--rebase']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', 'HEAD~1']), sha);
+  assert.equal(repo.git(['rev-list', '--merges', '--count', 'HEAD']), '0');
+  assert.equal(repo.git(['status', '--porcelain']), 'M README.md');
+});
+
+test('p 交互选择策略：已分叉时 merge 创建合并提交', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  remoteAhead(repo);
+  repo.commit('local.txt', 'local\n');
+
+  // 已分叉时 ff-only 不可选（与 enquirer 中 disabled 的选项一样）
+  const disabled = repo.run('p', [], { answers: ['ff-only'] });
+  assert.equal(disabled.status, 1);
+  assert.match(disabled.stderr, /"ff-only" is not a choice/);
+
+  const result = repo.run('p', [], { answers: ['merge'] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-list', '--merges', '--count', 'HEAD']), '1');
+});
+
+test('p 出现冲突时列出冲突文件，选择中止后恢复原状', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  remoteAhead(repo, 'README.md', 'remote\n');
+  const head = repo.commit('README.md', 'local\n');
+
+  const manual = repo.run('p', ['--merge']);
+  assert.equal(manual.status, 1);
+  assert.match(manual.stdout, /README\.md/);
+  assert.match(manual.stdout, /cf abort/);
+  repo.git(['merge', '--abort']);
+
+  const aborted = repo.run('p', ['--rebase'], { answers: ['__abort__'] });
+  assert.equal(aborted.status, 1);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  assert.equal(repo.git(['status', '--porcelain']), '');
+});
+
+test('p 解决冲突后继续 rebase', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const sha = remoteAhead(repo, 'README.md', 'remote\n');
+  repo.commit('README.md', 'local\n');
+
+  // 编辑器把冲突文件改为最终内容
+  const editor = `node -e "require('fs').writeFileSync(process.argv[1], 'merged\\n')"`;
+  const result = repo.run('p', ['--rebase'], { answers: ['README.md', 'editor', 'back', '__continue__'], env: { GIT_EDITOR: editor } });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', 'HEAD~1']), sha);
+  assert.equal(repo.git(['show', 'HEAD:README.md']), 'merged');
+});
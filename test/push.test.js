@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+test('push 在新分支上自动设置 upstream', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/new']);
+  const sha = repo.commit('new.txt', 'new\n');
+
+  const result = repo.run('push');
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', 'feature/new@{upstream}']), 'origin/feature/new');
+  assert.match(repo.git(['ls-remote', '--heads', 'origin', 'feature/new']), new RegExp(`^${sha}`));
+});
+
+test('push 推送已有 upstream 的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const sha = repo.commit('a.txt', 'a\n');
+
+  const result = repo.run('push');
+  assert.equal(result.status, 0);
+  assert.match(repo.git(['ls-remote', '--heads', 'origin', 'main']), new RegExp(`^${sha}`));
+});
+
+test('push 直接推送受保护的分支需要输入分支名', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const before = repo.git(['rev-parse', 'HEAD']);
+  const sha = repo.commit('a.txt', 'a\n');
+  const env = { TS_PROTECTED_BRANCHES: 'main' };
+
+  const refused = repo.run('push', [], { answers: ['mian'], env });
+  assert.equal(refused.status, 1);
+  assert.match(repo.git(['ls-remote', '--heads', 'origin', 'main']), new RegExp(`^${before}`));
+
+  const result = repo.run('push', [], { answers: ['main'], env });
+  assert.equal(result.status, 0);
+  assert.match(repo.git(['ls-remote', '--heads', 'origin', 'main']), new RegExp(`^${sha}`));
+});
+
+test('protected.action 为 block 时拒绝推送受保护的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.commit('a.txt', 'a\n');
+
+  const result = repo.run('push', [], { env: { TS_PROTECTED_BRANCHES: 'main', TS_PROTECTED_ACTION: 'block' } });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /protected branch/);
+});
+
+// 在 feature/a 上制造分叉：远程有一个本地没有的提交，本地有一个新提交
+function diverge(repo) {
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.commit('a.txt', 'a\n');
+  repo.git(['push', '-q', '-u', 'origin', 'feature/a']);
+  repo.git(['reset', '-q', '--hard', 'HEAD~1']);
+  return repo.commit('b.txt', 'b\n');
+}
+
+test('push 在远程有新提交时拒绝普通推送', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  diverge(repo);
+
+  const result = repo.run('push');
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /update a\.txt/);
+});
+
+test('push --force 确认后使用 --force-with-lease 覆盖远程提交', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const sha = diverge(repo);
+
+  const cancelled = repo.run('push', ['--force'], { answers: [false] });
+  assert.equal(cancelled.status, 0);
+  assert.doesNotMatch(repo.git(['ls-remote', '--heads', 'origin', 'feature/a']), new RegExp(`^${sha}`));
+
+  const result = repo.run('push', ['--force', '--yes']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /--force-with-lease=feature\/a:/);
+  assert.match(repo.git(['ls-remote', '--heads', 'origin', 'feature/a']), new RegExp(`^${sha}`));
+});
+
+test('push 有多个远程时选择远程，并可同时推送标签', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['init', '-q', '--bare', '../fork.git']);
+  repo.git(['remote', 'add', 'fork', '../fork.git']);
+  repo.git(['checkout', '-q', '-b', 'feature/new']);
+  repo.commit('new.txt', 'new\n');
+  repo.git(['tag', 'v1.0']);
+
+  const result = repo.run('push', ['--tags'], { answers: ['fork'] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', '--abbrev-ref', 'feature/new@{upstream}']), 'fork/feature/new');
+  assert.notEqual(repo.git(['ls-remote', '--tags', 'fork', 'v1.0']), '');
+  assert.equal(repo.git(['ls-remote', '--heads', 'origin', 'feature/new']), '');
+});
+
+test('push 运行 push.checks 中的推送前检查，失败时不推送', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  repo.write('package.json', JSON.stringify({
+    scripts: { lint: 'node -e "process.exit(0)"', test: 'node -e "console.log(\'boom\'); process.exit(3)"' }
+  }));
+  repo.write('.terminalscriptrc', JSON.stringify({ 'push.checks': ['lint', 'test'] }));
+  repo.commit('a.txt', 'a\n');
+
+  const failed = repo.run('push');
+  assert.equal(failed.status, 1);
+  assert.match(failed.stdout, /lint .* passed/);
+  assert.match(failed.stdout, /test .* failed \(exit code 3\)/);
+  assert.match(failed.stdout, /boom/);
+  assert.equal(repo.git(['ls-remote', '--heads', 'origin', 'feature/a']), '');
+
+  const skipped = repo.run('push', ['--no-verify']);
+  assert.equal(skipped.status, 0);
+  assert.notEqual(repo.git(['ls-remote', '--heads', 'origin', 'feature/a']), '');
+});
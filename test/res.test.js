@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+// 创建两个提交，返回 reset 前的 HEAD
+function setup(repo) {
+  repo.commit('a.txt', 'a\n');
+  return repo.commit('b.txt', 'b\n');
+}
+
+test('res commits --mode soft 保留暂存区的修改', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  setup(repo);
+
+  const result = repo.run('res', ['commits', '1', '--mode', 'soft']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'update a.txt');
+  assert.equal(repo.git(['diff', '--cached', '--name-only']), 'b.txt');
+});
+
+test('res commits --mode mixed 把修改放回工作区', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  setup(repo);
+
+  const result = repo.run('res', ['commits', '1', '--mode', 'mixed']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['diff', '--cached', '--name-only']), '');
+  assert.equal(repo.git(['status', '--porcelain']), '?? b.txt');
+});
+
+test('res commits --mode hard 需要 --yes，确认后丢弃修改', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const head = setup(repo);
+
+  const refused = repo.run('res', ['commits', '2', '--mode', 'hard']);
+  assert.equal(refused.status, 2);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+
+  const result = repo.run('res', ['commits', '2', '--mode', 'hard', '--yes']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'initial commit');
+  assert.equal(repo.git(['status', '--porcelain']), '');
+});
+
+test('res 交互模式：选择回退次数和模式', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  setup(repo);
+
+  // 主菜单 → 回退 2 个提交 → soft
+  const result = repo.run('res', [], { answers: ['resetCommits', '2', 'soft'] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'initial commit');
+  assert.equal(repo.git(['diff', '--cached', '--name-only']), 'a.txt\nb.txt');
+});
+
+test('res 在受保护的分支上 hard reset 需要输入分支名，--yes 不能跳过', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const head = setup(repo);
+  const env = { TS_PROTECTED_BRANCHES: 'main' };
+
+  const refused = repo.run('res', ['commits', '1', '--mode', 'hard', '--yes'], { env });
+  assert.equal(refused.status, 1);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+
+  const result = repo.run('res', ['commits', '1', '--mode', 'hard', '--yes'], { answers: ['main'], env });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['log', '-1', '--format=%s']), 'update a.txt');
+});
+
+test('res 从 reflog 选择目标，回到上一次 reset 之前的状态', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  const head = setup(repo);
+  repo.git(['reset', '-q', '--hard', 'HEAD~2']);
+
+  const result = repo.run('res', [], {
+    answers: ['resetToCommit', '__source__', 'HEAD@{1}', 'hard', 'yes']
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /2 commit\(s\) not on the current branch will be brought back/);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+});
+
+test('res 按提交说明搜索目标，并列出将丢弃和保留的提交', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  setup(repo);
+  const target = repo.git(['rev-parse', 'HEAD~1']);
+
+  const result = repo.run('res', [], {
+    answers: ['resetCommits', 'pick', '__search__', 'UPDATE A', target, 'soft', true]
+  });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /1 commit\(s\) will be discarded[^\n]*\n\s+- \w+ update b\.txt/);
+  assert.match(result.stdout, /Kept: \w+ and everything before it \(2 commits\)/);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), target);
+});
+
+test('res --dry-run 预览各模式对文件的影响，不执行重置', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const head = setup(repo);
+  repo.write('a.txt', 'a\nchanged\n');
+
+  const result = repo.run('res', ['commits', '1', '--dry-run']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  const out = result.stdout;
+  assert.match(out, /soft:\n\s+1 file\(s\) staged:\n\s+b\.txt\s+\+1 -0\n\s+1 file\(s\) unstaged:\n\s+a\.txt\s+\+1 -0/);
+  assert.match(out, /mixed:\n\s+2 file\(s\) unstaged:\n\s+a\.txt\s+\+1 -0\n\s+b\.txt\s+\+1 -0/);
+  assert.match(out, /hard:\n\s+1 file\(s\) with committed changes discarded[^\n]*\n\s+b\.txt\s+\+1 -0\n\s+⚠️ 1 file\(s\) with uncommitted changes lost permanently:\n\s+a\.txt/);
+
+  const hardOnly = repo.run('res', ['commits', '1', '--mode', 'hard', '--dry-run']);
+  assert.equal(hardOnly.status, 0);
+  assert.doesNotMatch(hardOnly.stdout, /soft:/);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+});
+
+test('res hard reset 前自动备份，res restore 恢复 HEAD 和未提交的修改', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/a']);
+  const head = setup(repo);
+  repo.write('a.txt', 'a\nstaged\n');
+  repo.git(['add', 'a.txt']);
+  repo.write('b.txt', 'b\nunstaged\n');
+  repo.write('new.txt', 'untracked\n');
+
+  const reset = repo.run('res', ['commits', '2', '--mode', 'hard', '--yes']);
+  assert.equal(reset.status, 0, reset.stderr);
+  assert.match(reset.stdout, /Backed up the current HEAD and uncommitted changes: #1/);
+  // hard reset 不会删除未跟踪的文件，恢复时它仍在工作区
+  assert.equal(repo.git(['status', '--porcelain']), '?? new.txt');
+
+  const list = JSON.parse(repo.run('res', ['backups', '--json']).stdout);
+  assert.equal(list.length, 1);
+  assert.equal(list[0].head, head);
+  assert.equal(list[0].hasChanges, true);
+
+  const restored = repo.run('res', ['restore', '1', '--yes']);
+  assert.equal(restored.status, 0, restored.stderr);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  assert.equal(repo.git(['status', '--porcelain']), 'M  a.txt\n M b.txt\n?? new.txt');
+  // 恢复前的状态也有备份
+  assert.equal(JSON.parse(repo.run('res', ['backups', '--json']).stdout)[0].id, 2);
+
+  // 工作区中内容不同的同名未跟踪文件不会被覆盖
+  repo.write('new.txt', 'changed\n');
+  const collision = repo.run('res', ['restore', '1', '--yes']);
+  assert.equal(collision.status, 1);
+  assert.match(collision.stderr, /new\.txt/);
+  assert.equal(fs.readFileSync(path.join(repo.dir, 'new.txt'), 'utf8'), 'changed\n');
+
+  repo.git(['checkout', '-q', '-b', 'feature/b']);
+  assert.equal(repo.run('res', ['restore', '1', '--yes']).status, 1);
+
+  // 删除不再需要的备份
+  assert.equal(repo.run('res', ['backups', '--delete', '9', '--yes']).status, 1);
+  const deleted = repo.run('res', ['backups', '--delete', '1', '--yes']);
+  assert.equal(deleted.status, 0, deleted.stderr);
+  assert.deepEqual(JSON.parse(repo.run('res', ['backups', '--json']).stdout).map(b => b.id), [2]);
+  assert.equal(repo.run('res', ['backups', '--delete', 'all'], { answers: [true] }).status, 0);
+  assert.deepEqual(JSON.parse(repo.run('res', ['backups', '--json']).stdout), []);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+// 写入带 scripts 的 package.json，args 脚本输出收到的参数
+function setup(repo) {
+  repo.write('print.js', 'console.log(`args: ${process.argv.slice(2).join(",")}`);\n');
+  repo.write('package.json', JSON.stringify({ scripts: { args: 'node print.js', sit: 'node print.js sit' } }));
+}
+
+test('s 运行指定的 npm script，-- 之后的参数传给脚本', (t) => {
+  const repo = createRepo({ remote: false });
+  t.after(repo.cleanup);
+  setup(repo);
+
+  const result = repo.run('s', ['args', '--', 'a', 'b']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /Running: npm run args/);
+  assert.match(result.stdout, /args: a,b/);
+
+  const missing = repo.run('s', ['nope']);
+  assert.equal(missing.status, 1);
+  assert.match(missing.stderr, /no script named: nope/);
+});
+
+test('s 交互选择 npm script；没有 package.json 时返回 1', (t) => {
+  const repo = createRepo({ remote: false });
+  t.after(repo.cleanup);
+
+  assert.equal(repo.run('s').status, 1);
+
+  setup(repo);
+  const result = repo.run('s', [], { answers: ['sit'] });
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /args: sit/);
+});
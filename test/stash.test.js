@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+test('stash push / pop 暂存并恢复修改', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('README.md', 'changed\n');
+
+  assert.equal(repo.run('stash', ['push', '-m', 'wip']).status, 0);
+  assert.equal(repo.git(['status', '--porcelain']), '');
+  assert.match(repo.git(['stash', 'list']), /wip/);
+
+  assert.equal(repo.run('stash', ['pop']).status, 0);
+  assert.equal(repo.git(['stash', 'list']), '');
+  assert.equal(repo.git(['status', '--porcelain']), 'M README.md');
+});
+
+test('stash pop 冲突时失败并保留 stash', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('README.md', 'stashed\n');
+  repo.git(['stash', 'push', '-q']);
+  repo.commit('README.md', 'committed\n');
+
+  const result = repo.run('stash', ['pop', '0']);
+  assert.equal(result.status, 1);
+  assert.notEqual(repo.git(['stash', 'list']), '');
+  assert.match(repo.git(['status', '--porcelain']), /^UU README.md/);
+});
+
+test('stash 交互模式：选择暂存并删除', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('README.md', 'changed\n');
+  repo.git(['stash', 'push', '-q']);
+
+  // 主菜单 → 管理暂存 → 选择 stash@{0} → 删除 → 确认
+  const result = repo.run('stash', [], { answers: ['manage', 'stash@{0}', 'drop', true] });
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['stash', 'list']), '');
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRepo, runScript } from './helpers.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// 写入插件模块，run 以 JSON 输出插件名和收到的参数
+function writePlugin(file, meta = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const source = `export default {\n  ...${JSON.stringify(meta)},\n  run(args) {\n    console.log(JSON.stringify({ plugin: ${JSON.stringify(path.basename(file))}, args }));\n  }\n};\n`;
+  fs.writeFileSync(file, source);
+}
+
+test('ts 分发到内置命令，不带命令时列出命令，未知命令返回 1', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['branch', 'feature/a']);
+
+  const branches = repo.ts(['b', '--json']);
+  assert.equal(branches.status, 0, branches.stderr);
+  assert.deepEqual(JSON.parse(branches.stdout).map(b => b.name), ['feature/a', 'main']);
+  assert.equal(JSON.parse(repo.ts(['l', '--json', '--grep', 'initial']).stdout).length, 1);
+
+  const list = repo.ts([]);
+  assert.equal(list.status, 0);
+  assert.match(list.stdout, /Available commands/);
+  assert.match(list.stdout, /\bck\s+- /);
+
+  assert.match(repo.ts(['--help']).stdout, /Usage: ts <command>/);
+
+  const unknown = repo.ts(['nope']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /Unknown command: nope/);
+});
+
+test('ts 展开配置的别名（带参数），别名不覆盖内置命令', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('.terminalscriptrc', JSON.stringify({ 'alias.bj': 'b --json', 'alias.l': 'b' }));
+
+  const alias = repo.ts(['bj']);
+  assert.equal(alias.status, 0, alias.stderr);
+  assert.deepEqual(JSON.parse(alias.stdout).map(b => b.name), ['main']);
+
+  const builtin = JSON.parse(repo.ts(['l', '--json']).stdout);
+  assert.deepEqual(builtin.map(c => c.subject), ['initial commit']);
+
+  assert.match(repo.ts(['h']).stdout, /bj\s+→ b --json/);
+});
+
+test('ts 加载用户目录中的插件：名称、别名、参数、说明，忽略格式错误和重名的插件', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const dir = path.join(repo.home, '.terminalscript', 'commands');
+  writePlugin(path.join(dir, 'deploy.js'), { description: 'Deploy it', aliases: ['dp'], flags: ['--env <name>'] });
+  writePlugin(path.join(dir, 'l.js'));
+  fs.writeFileSync(path.join(dir, 'broken.mjs'), 'export default { name: "broken" };\n');
+
+  const run = repo.ts(['deploy', '--env', 'test']);
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(run.stdout), { plugin: 'deploy.js', args: ['--env', 'test'] });
+  assert.deepEqual(JSON.parse(repo.ts(['dp', 'x']).stdout).args, ['x']);
+
+  const help = repo.ts(['h', '--json']);
+  const deploy = JSON.parse(help.stdout).find(c => c.name === 'deploy');
+  assert.deepEqual(deploy, { name: 'deploy', description: 'Deploy it', aliases: ['dp'], flags: ['--env <name>'], source: 'user' });
+  assert.ok(!JSON.parse(help.stdout).some(c => c.name === 'broken'));
+  assert.match(help.stderr, /Invalid plugin.*broken\.mjs/);
+  assert.match(help.stderr, /Plugin command l clashes/);
+
+  // 内置命令不会被同名插件替换
+  assert.deepEqual(JSON.parse(repo.ts(['l', '--json']).stdout).map(c => c.subject), ['initial commit']);
+
+  // plugins.dir 指定其他目录
+  const other = path.join(repo.home, 'other-plugins');
+  writePlugin(path.join(other, 'hello.js'));
+  const env = { TS_PLUGINS_DIR: other };
+  assert.deepEqual(JSON.parse(repo.ts(['hello'], { env }).stdout).args, []);
+  assert.equal(repo.ts(['deploy'], { env }).status, 1);
+});
+
+test('ts 加载与它并列安装的 npm 插件包（包括 scope 包）', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'terminalscript-global-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  // 模拟全局安装：node_modules/@tomiaa/terminal-script 与插件包位于同一个 node_modules
+  const nodeModules = path.join(root, 'node_modules');
+  const pkg = path.join(nodeModules, '@tomiaa', 'terminal-script');
+  for (const entry of ['bin', 'lib', 'scripts', 'package.json']) {
+    fs.cpSync(path.join(ROOT, entry), path.join(pkg, entry), { recursive: true });
+  }
+  fs.symlinkSync(fs.realpathSync(path.join(ROOT, 'node_modules', 'enquirer')), path.join(nodeModules, 'enquirer'), 'dir');
+
+  const hello = path.join(nodeModules, 'terminalscript-plugin-hello');
+  writePlugin(path.join(hello, 'main.js'), { description: 'Say hello' });
+  fs.writeFileSync(path.join(hello, 'package.json'), JSON.stringify({ name: 'terminalscript-plugin-hello', main: 'main.js' }));
+  writePlugin(path.join(nodeModules, '@acme', 'terminalscript-plugin-scoped', 'index.js'), { aliases: ['sc'] });
+
+  const ts = path.join(pkg, 'bin', 'ts.js');
+  const run = runScript(ts, ['hello', 'a'], { cwd: root });
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(run.stdout), { plugin: 'main.js', args: ['a'] });
+  assert.deepEqual(JSON.parse(runScript(ts, ['sc'], { cwd: root }).stdout).plugin, 'index.js');
+
+  const commands = JSON.parse(runScript(ts, ['h', '--json'], { cwd: root }).stdout);
+  assert.deepEqual(
+    commands.filter(c => c.source === 'npm').map(c => [c.name, c.description]),
+    [['hello', 'Say hello'], ['scoped', null]]
+  );
+});
+
+test('ts 不读取仓库本地配置中的 plugins.dir，插件文件未变化时列出命令不执行插件代码', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const marker = path.join(repo.home, 'imported');
+  const source = `import fs from 'fs';\nfs.appendFileSync(${JSON.stringify(marker)}, 'x');\nexport default { run() { console.log('ran'); } };\n`;
+
+  // 仓库里的 .terminalscriptrc 不能让 ts 执行仓库中的代码
+  repo.write('.terminalscriptrc', JSON.stringify({ 'plugins.dir': '.tools' }));
+  repo.write('.tools/evil.js', source);
+  const complete = repo.ts(['__complete', 'ts', '']);
+  assert.equal(complete.status, 0);
+  assert.match(complete.stderr, /Ignored plugins\.dir/);
+  assert.ok(!complete.stdout.split('\n').includes('evil'));
+  assert.equal(repo.ts(['evil']).status, 1);
+  assert.ok(!fs.existsSync(marker));
+
+  // 用户目录中的插件只在第一次列出命令和执行时导入
+  const dir = path.join(repo.home, '.terminalscript', 'commands');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'counted.js'), source);
+  assert.ok(repo.ts(['__complete', 'ts', 'cou']).stdout.includes('counted'));
+  assert.ok(repo.ts(['__complete', 'ts', 'cou']).stdout.includes('counted'));
+  assert.equal(fs.readFileSync(marker, 'utf8'), 'x');
+  assert.equal(repo.ts(['counted']).stdout, 'ran\n');
+  assert.equal(fs.readFileSync(marker, 'utf8'), 'xx');
+});
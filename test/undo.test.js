@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo } from './helpers.js';
+
+test('undo 恢复 hard reset 之前的 HEAD', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  const head = repo.commit('a.txt', 'a\n');
+  repo.run('res', ['commits', '1', '--mode', 'hard', '--yes']);
+
+  const result = repo.run('undo', ['last']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', 'HEAD']), head);
+  assert.equal(repo.git(['status', '--porcelain']), '');
+});
+
+test('undo 在原提交上重建强制删除的分支', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.git(['checkout', '-q', '-b', 'feature/wip']);
+  const tip = repo.commit('wip.txt', 'wip\n');
+  repo.git(['checkout', '-q', 'main']);
+  repo.run('bd', ['feature/wip', '--force']);
+
+  const result = repo.run('undo', ['last']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['rev-parse', 'feature/wip']), tip);
+});
+
+test('undo 恢复清空的 stash 并保持顺序', (t) => {
+  const repo = createRepo();
+  t.after(repo.cleanup);
+  repo.write('README.md', 'first\n');
+  repo.git(['stash', 'push', '-q', '-m', 'first']);
+  repo.write('README.md', 'second\n');
+  repo.git(['stash', 'push', '-q', '-m', 'second']);
+  const before = repo.git(['stash', 'list', '--format=%H']);
+  repo.run('stash', ['clear', '--yes']);
+
+  const result = repo.run('undo', ['last']);
+  assert.equal(result.status, 0);
+  assert.equal(repo.git(['stash', 'list', '--format=%H']), before);
+});